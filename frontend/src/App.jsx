@@ -6,25 +6,49 @@ import StockSelector from './components/StockSelector';
 import DateRangePicker from './components/DateRangePicker';
 import QueryResults from './components/QueryResults';
 import AdvancedEditor from './components/AdvancedEditor';
+import ScreenerView from './components/ScreenerView';
+import CorrelationHeatmap from './components/CorrelationHeatmap';
+import SeasonalityHeatmap from './components/SeasonalityHeatmap';
+
+// Parameter inputs give strings; bind numbers and booleans as such
+function parameterValues(template, params) {
+  return Object.fromEntries((template?.parameters || []).map((parameter) => {
+    const value = params[parameter.name] ?? parameter.default;
+    if (parameter.type === 'boolean') return [parameter.name, value === true || value === 'true'];
+    if (parameter.type === 'string') return [parameter.name, String(value)];
+    return [parameter.name, Number(value)];
+  }));
+}
+
+// A template expression with its parameter values declared up front, so it also runs as plain text
+function withParameterValues(expression, values) {
+  const names = Object.keys(values);
+  if (names.length === 0) return expression;
+  const declarations = names.map(name => `  $${name} := ${JSON.stringify(values[name])};`).join('\n');
+  return `(\n${declarations}\n  ${expression}\n)`;
+}
 
 function App() {
   const [templates, setTemplates] = useState([]);
   const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [templateParams, setTemplateParams] = useState({});
   const [symbol, setSymbol] = useState('NVDA');
   const [startDate, setStartDate] = useState('2020-01-01');
   const [endDate, setEndDate] = useState('2025-11-15');
   const [queryExpression, setQueryExpression] = useState('');
+  const [rollingWindow, setRollingWindow] = useState(''); // Rows per window; empty runs the query once
   const [chartMetadata, setChartMetadata] = useState(null); // Store chart type, label, format
   const [queryResults, setQueryResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [advancedMode, setAdvancedMode] = useState(false);
+  const [view, setView] = useState('query'); // 'query', 'screener', 'correlation' or 'seasonality'
   const [metricsVisible, setMetricsVisible] = useState(false);
   const [metricsSymbol, setMetricsSymbol] = useState(null);
 
-  // Fetch templates on mount
-  useEffect(() => {
-    fetch('/api/stocks/query/templates')
+  // Fetch built-in and saved templates
+  const loadTemplates = () => {
+    return fetch('/api/stocks/query/templates')
       .then(res => res.json())
       .then(data => {
         // Convert templates object to array format
@@ -42,12 +66,16 @@ function App() {
             
             templatesArray.push({
               name: `${category}: ${name}`,
+              key: name,
               category: category,
               expression: expression,
               chartType: chartType,
               label: label,
               format: format,
-              description: getTemplateDescription(category, name),
+              description: queryConfig.description || 'Query data',
+              parameters: queryConfig.parameters || [],
+              id: queryConfig.id,
+              saved: Boolean(queryConfig.saved),
               endpoint: getTemplateEndpoint(name)
             });
           });
@@ -59,31 +87,45 @@ function App() {
         console.error('Failed to load templates:', err);
         setTemplates([]);
       });
+  };
+
+  useEffect(() => {
+    loadTemplates();
   }, []);
-  
-  // Helper function to get template descriptions
-  const getTemplateDescription = (category, name) => {
-    const descriptions = {
-      'basic-simplifiedBollingerB': 'Price position within high/low range (0-100%)',
-      'basic-bollingerB': 'Traditional Bollinger %B with 20-day SMA and 2σ bands',
-      'basic-globalHigh': 'Find the highest price in the date range',
-      'basic-globalLow': 'Find the lowest price in the date range',
-      'basic-avgClose': 'Calculate average closing price',
-      'basic-totalVolume': 'Sum of all trading volume',
-      'basic-recordCount': 'Count of data points',
-      'performance-totalReturn': 'Calculate total return percentage',
-      'performance-startPrice': 'Starting price',
-      'performance-endPrice': 'Ending price',
-      'performance-priceRange': 'Price range (high - low)',
-      'advanced-volatility': 'Calculate price volatility',
-      'advanced-movingAverage20': '20-day moving average',
-      'advanced-highestVolumeDay': 'Day with highest volume',
-      'advanced-priceAboveMa': 'Days above moving average',
-      'patterns-consecutiveGreenDays': 'Longest streak of up days',
-      'patterns-gapUps': 'Find gap up days',
-      'patterns-largeMoves': 'Find days with >5% moves'
-    };
-    return descriptions[`${category}-${name}`] || 'Query data';
+
+  // Save the advanced editor's expression as a template
+  const handleSaveQuery = async (query) => {
+    const response = await fetch('/api/queries', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(query)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save query');
+    }
+
+    await loadTemplates();
+  };
+
+  // Delete a saved template
+  const handleDeleteQuery = async (template) => {
+    if (!window.confirm(`Delete saved query ${template.name}?`)) {
+      return;
+    }
+
+    const response = await fetch(`/api/queries/${template.id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const data = await response.json();
+      setError(data.error || 'Failed to delete query');
+      return;
+    }
+
+    if (selectedTemplate?.name === template.name) {
+      setSelectedTemplate(null);
+    }
+    await loadTemplates();
   };
   
   // Helper function to get template endpoints
@@ -105,7 +147,18 @@ function App() {
     try {
       let url, options;
       
-      if (advancedMode) {
+      if (rollingWindow) {
+        // Rolling: evaluate the expression or template over each window to plot it as a line
+        url = `/api/stocks/query/${symbol}/rolling`;
+        const body = advancedMode
+          ? { expression: queryExpression }
+          : { template: selectedTemplate?.key, params: templateParams };
+        options = {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...body, window: Number(rollingWindow), startDate, endDate })
+        };
+      } else if (advancedMode) {
         // Advanced mode: POST with custom expression
         url = `/api/stocks/query/${symbol}`;
         options = {
@@ -118,23 +171,20 @@ function App() {
           })
         };
       } else if (selectedTemplate) {
-        // Template mode: check if it has a specific endpoint or needs POST
+        // Template mode: check if it has a specific endpoint or runs by name
         const endpoint = selectedTemplate.endpoint;
-        const needsPost = endpoint === '/api/stocks/query/:symbol';
+        const byName = endpoint === '/api/stocks/query/:symbol' || selectedTemplate.parameters.length > 0;
         
         url = endpoint.replace(':symbol', symbol) + `?startDate=${startDate}&endDate=${endDate}`;
         
-        if (needsPost) {
-          // Most templates need POST with expression wrapped in queries object
-          options = {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-              queries: { result: queryExpression },
-              startDate,
-              endDate
-            })
-          };
+        if (byName) {
+          // Most templates run by name, with their parameters as params[name]=value
+          const query = new URLSearchParams({ template: selectedTemplate.key, startDate, endDate });
+          Object.entries(templateParams).forEach(([name, value]) => {
+            query.append(`params[${name}]`, value);
+          });
+          url = `/api/stocks/query/${symbol}?${query}`;
+          options = { method: 'GET' };
         } else {
           // Special endpoints like /high-low, /performance use GET
           options = { method: 'GET' };
@@ -146,7 +196,7 @@ function App() {
       const response = await fetch(url, options);
       const data = await response.json();
       
-      if (!response.ok) {
+      if (!response.ok || data.success === false) {
         throw new Error(data.error || 'Query failed');
       }
       
@@ -162,7 +212,8 @@ function App() {
   // Handle template selection
   const handleTemplateSelect = (template) => {
     setSelectedTemplate(template);
-    setQueryExpression(template.expression);
+    setTemplateParams(Object.fromEntries(template.parameters.map(param => [param.name, param.default])));
+    setQueryExpression(withParameterValues(template.expression, parameterValues(template, {})));
     setChartMetadata({
       chartType: template.chartType,
       label: template.label,
@@ -171,6 +222,13 @@ function App() {
     setAdvancedMode(false);
   };
 
+  // Keep the displayed expression in step with the parameter values
+  const handleParamChange = (name, value) => {
+    const params = { ...templateParams, [name]: value };
+    setTemplateParams(params);
+    setQueryExpression(withParameterValues(selectedTemplate.expression, parameterValues(selectedTemplate, params)));
+  };
+
   // Handle ticker click - toggle metrics panel
   const handleTickerClick = (clickedSymbol) => {
     if (metricsVisible && metricsSymbol === clickedSymbol) {
@@ -201,103 +259,154 @@ function App() {
       />
 
       <main className="max-w-7xl mx-auto px-4 py-8 sm:px-6 lg:px-8">
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-          {/* Left Column - Query Builder */}
-          <div className="lg:col-span-1 space-y-6">
-            {/* Mode Toggle */}
-            <div className="bg-gray-800 shadow rounded-lg p-4">
-              <div className="flex items-center justify-between">
-                <span className="text-sm font-medium text-gray-300">
-                  {advancedMode ? 'Advanced Mode' : 'Template Mode'}
-                </span>
-                <button
-                  onClick={() => setAdvancedMode(!advancedMode)}
-                  className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
-                >
-                  {advancedMode ? 'Use Templates' : 'Advanced'}
-                </button>
+        {/* View Tabs */}
+        <div className="flex gap-2 mb-6">
+          {[['query', 'Query'], ['screener', 'Screener'], ['correlation', 'Correlation'], ['seasonality', 'Seasonality']].map(([key, title]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-4 py-2 text-sm font-medium rounded ${
+                view === key
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-800 text-gray-400 hover:text-gray-300'
+              }`}
+            >
+              {title}
+            </button>
+          ))}
+        </div>
+
+        {view === 'screener' ? (
+          <ScreenerView onSymbolClick={handleTickerClick} />
+        ) : view === 'correlation' ? (
+          <CorrelationHeatmap />
+        ) : view === 'seasonality' ? (
+          <SeasonalityHeatmap symbol={symbol} />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Left Column - Query Builder */}
+            <div className="lg:col-span-1 space-y-6">
+              {/* Mode Toggle */}
+              <div className="bg-gray-800 shadow rounded-lg p-4">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-300">
+                    {advancedMode ? 'Advanced Mode' : 'Template Mode'}
+                  </span>
+                  <button
+                    onClick={() => setAdvancedMode(!advancedMode)}
+                    className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+                  >
+                    {advancedMode ? 'Use Templates' : 'Advanced'}
+                  </button>
+                </div>
               </div>
-            </div>
 
-            {/* Template Gallery or Advanced Editor */}
-            {advancedMode ? (
-              <AdvancedEditor 
-                expression={queryExpression}
-                onChange={setQueryExpression}
-              />
-            ) : (
-              <TemplateGallery 
-                templates={templates}
-                selectedTemplate={selectedTemplate}
-                onSelect={handleTemplateSelect}
+              {/* Template Gallery or Advanced Editor */}
+              {advancedMode ? (
+                <AdvancedEditor 
+                  expression={queryExpression}
+                  parameters={(selectedTemplate?.parameters || []).map(parameter => parameter.name)}
+                  onChange={setQueryExpression}
+                  onSave={handleSaveQuery}
+                />
+              ) : (
+                <TemplateGallery 
+                  templates={templates}
+                  selectedTemplate={selectedTemplate}
+                  onSelect={handleTemplateSelect}
+                  onDelete={handleDeleteQuery}
+                  params={templateParams}
+                  onParamChange={handleParamChange}
+                />
+              )}
+
+              {/* Stock Selector */}
+              <StockSelector 
+                symbol={symbol}
+                onChange={setSymbol}
               />
-            )}
 
-            {/* Stock Selector */}
-            <StockSelector 
-              symbol={symbol}
-              onChange={setSymbol}
-            />
+              {/* Date Range Picker */}
+              <DateRangePicker
+                startDate={startDate}
+                endDate={endDate}
+                onStartDateChange={setStartDate}
+                onEndDateChange={setEndDate}
+              />
 
-            {/* Date Range Picker */}
-            <DateRangePicker
-              startDate={startDate}
-              endDate={endDate}
-              onStartDateChange={setStartDate}
-              onEndDateChange={setEndDate}
-            />
+              {/* Rolling Window */}
+              <div className="bg-gray-800 shadow rounded-lg p-4">
+                <h2 className="text-lg font-semibold text-gray-100 mb-4">Rolling Window</h2>
+                <label className="block text-sm font-medium text-gray-300 mb-1">
+                  Rows per window
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={rollingWindow}
+                  onChange={(e) => setRollingWindow(e.target.value)}
+                  placeholder="Off - run once over the range"
+                  className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Evaluates the query on every day using the previous N rows and plots it as a line.
+                </p>
+              </div>
 
-          </div>
+            </div>
 
-          {/* Right Column - Results */}
-          <div className="lg:col-span-2 space-y-4">
-            {/* Thin Execute Button */}
-            {queryExpression && (
-              <button
-                onClick={executeQuery}
-                disabled={loading || (!advancedMode && !selectedTemplate) || (advancedMode && !queryExpression)}
-                className="w-full py-1 px-4 bg-green-600 text-white text-sm font-semibold rounded hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed"
-              >
-                {loading ? 'Executing...' : 'Run Query'}
-              </button>
-            )}
+            {/* Right Column - Results */}
+            <div className="lg:col-span-2 space-y-4">
+              {/* Thin Execute Button */}
+              {queryExpression && (
+                <button
+                  onClick={executeQuery}
+                  disabled={loading || (!advancedMode && !selectedTemplate) || (advancedMode && !queryExpression)}
+                  className="w-full py-1 px-4 bg-green-600 text-white text-sm font-semibold rounded hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Executing...' : 'Run Query'}
+                </button>
+              )}
 
-            {/* Expression Display */}
-            {queryExpression && (
-              <div className="bg-gray-800 shadow rounded-lg p-4">
-                <h3 className="text-sm font-semibold text-gray-300 mb-2">
-                  JSONata Expression
-                </h3>
-                <pre className="text-xs bg-gray-900 text-green-400 p-3 rounded whitespace-pre-wrap break-words">
-                  {queryExpression}
-                </pre>
-              </div>
-            )}
+              {/* Expression Display */}
+              {queryExpression && (
+                <div className="bg-gray-800 shadow rounded-lg p-4">
+                  <h3 className="text-sm font-semibold text-gray-300 mb-2">
+                    JSONata Expression
+                  </h3>
+                  <pre className="text-xs bg-gray-900 text-green-400 p-3 rounded whitespace-pre-wrap break-words">
+                    {queryExpression}
+                  </pre>
+                </div>
+              )}
 
-            {/* Execute Button - Show when no expression */}
-            {!queryExpression && (
-              <button
-                onClick={executeQuery}
-                disabled={loading || (!advancedMode && !selectedTemplate) || (advancedMode && !queryExpression)}
-                className="w-full py-3 px-4 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed shadow-lg"
-              >
-                {loading ? 'Executing...' : 'Execute Query'}
-              </button>
-            )}
+              {/* Execute Button - Show when no expression */}
+              {!queryExpression && (
+                <button
+                  onClick={executeQuery}
+                  disabled={loading || (!advancedMode && !selectedTemplate) || (advancedMode && !queryExpression)}
+                  className="w-full py-3 px-4 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed shadow-lg"
+                >
+                  {loading ? 'Executing...' : 'Execute Query'}
+                </button>
+              )}
 
-            {error && (
-              <div className="bg-red-900 border border-red-700 text-red-200 px-4 py-3 rounded">
-                <strong>Error:</strong> {error}
-              </div>
-            )}
+              {error && (
+                <div className="bg-red-900 border border-red-700 text-red-200 px-4 py-3 rounded">
+                  <strong>Error:</strong> {error}
+                </div>
+              )}
             
-            <QueryResults 
-              results={queryResults}
-              loading={loading}
-              chartMetadata={chartMetadata}
-            />
+              <QueryResults 
+                results={queryResults}
+                loading={loading}
+                chartMetadata={chartMetadata}
+                startDate={startDate}
+                endDate={endDate}
+              />
+            </div>
           </div>
-        </div>
+        )}
       </main>
     </div>
   );
@@ -1,22 +1,248 @@
-export default function AdvancedEditor({ expression, onChange }) {
+import { useState, useEffect, useRef } from 'react';
+
+// Split the expression into plain and marked segments; overlapping marks keep the first
+function markSegments(expression, marks) {
+  const segments = [];
+  let cursor = 0;
+  [...marks].sort((a, b) => a.start - b.start).forEach((mark) => {
+    if (mark.start < cursor) return;
+    segments.push({ text: expression.slice(cursor, mark.start) });
+    segments.push({ text: expression.slice(mark.start, mark.end), kind: mark.kind });
+    cursor = mark.end;
+  });
+  segments.push({ text: expression.slice(cursor) });
+  return segments;
+}
+
+export default function AdvancedEditor({ expression, parameters = [], onChange, onSave }) {
+  const [validation, setValidation] = useState(null);
+  const overlayRef = useRef(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [form, setForm] = useState({
+    name: '',
+    label: '',
+    category: 'saved',
+    chartType: 'stat',
+    format: '',
+    description: ''
+  });
+
+  // Validate shortly after typing stops
+  useEffect(() => {
+    if (!expression) {
+      setValidation(null);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      fetch('/api/stocks/query/validate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // Template parameters are bound when the query runs, so they are not undefined variables
+        body: JSON.stringify({ expression, parameters })
+      })
+        .then(res => res.json())
+        .then(setValidation)
+        .catch(() => setValidation(null));
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [expression, parameters.join(',')]);
+
+  const current = validation?.expression === expression ? validation : null;
+  const marks = [];
+  if (current?.error) {
+    marks.push({ start: current.error.start, end: current.error.end, kind: 'error' });
+  }
+  (current?.warnings || []).forEach((warning) => {
+    if (warning.start !== undefined) {
+      marks.push({ start: warning.start, end: warning.end, kind: 'warning' });
+    }
+  });
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaveError(null);
+    setSaved(null);
+
+    try {
+      await onSave({
+        ...form,
+        expression,
+        format: form.format || null
+      });
+      setSaved(form.name);
+      setSaving(false);
+    } catch (err) {
+      setSaveError(err.message);
+    }
+  };
+
   return (
     <div className="bg-gray-800 shadow rounded-lg p-4">
       <h2 className="text-lg font-semibold text-gray-100 mb-4">Custom JSONata Expression</h2>
-      
-      <textarea
-        value={expression}
-        onChange={(e) => onChange(e.target.value)}
-        placeholder="Enter your JSONata expression here..."
-        rows={10}
-        className="w-full px-3 py-2 bg-gray-900 border border-gray-600 text-green-400 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent placeholder-gray-500"
-      />
-      
+
+      <div className="relative bg-gray-900 rounded-lg">
+        {/* Same box as the textarea, so the underlines sit under the typed text */}
+        <div
+          ref={overlayRef}
+          aria-hidden="true"
+          className="absolute inset-0 px-3 py-2 border border-transparent font-mono text-sm text-transparent whitespace-pre-wrap break-words overflow-hidden pointer-events-none"
+        >
+          {markSegments(expression, marks).map((segment, i) => (
+            <span
+              key={i}
+              className={
+                segment.kind === 'error'
+                  ? 'underline decoration-wavy decoration-red-500'
+                  : segment.kind === 'warning'
+                    ? 'underline decoration-wavy decoration-yellow-500'
+                    : undefined
+              }
+            >
+              {segment.text}
+            </span>
+          ))}
+        </div>
+        <textarea
+          value={expression}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={(e) => {
+            if (overlayRef.current) overlayRef.current.scrollTop = e.target.scrollTop;
+          }}
+          placeholder="Enter your JSONata expression here..."
+          rows={10}
+          spellCheck={false}
+          className="relative w-full px-3 py-2 bg-transparent border border-gray-600 text-green-400 rounded-lg font-mono text-sm whitespace-pre-wrap break-words focus:ring-2 focus:ring-blue-500 focus:border-transparent placeholder-gray-500"
+        />
+      </div>
+
+      {current && (
+        <div className="mt-2 text-xs space-y-1">
+          {current.error && (
+            <p className="text-red-400">
+              Line {current.error.line}, column {current.error.column}: {current.error.message}
+            </p>
+          )}
+          {(current.warnings || []).map((warning, i) => (
+            <p key={i} className="text-yellow-400">{warning.message}</p>
+          ))}
+          {current.cost && (
+            <p className="text-gray-400">
+              Cost: {current.cost.complexity}, ~{current.cost.estimatedOperations.toLocaleString()} operations over {current.cost.rows} rows ({current.cost.level})
+            </p>
+          )}
+        </div>
+      )}
+
       <div className="mt-3 text-xs text-gray-400">
         <p className="font-semibold mb-1 text-gray-300">Available fields:</p>
         <code className="bg-gray-900 text-green-400 px-2 py-1 rounded">
           date, open, high, low, close, volume, adjusted_close, split_adjusted, adjustment_factor
         </code>
+        <p className="mt-2">
+          <code className="bg-gray-900 text-green-400 px-2 py-1 rounded">adjusted_close</code> includes reinvested dividends;
+          {' '}<code className="bg-gray-900 text-green-400 px-2 py-1 rounded">dividends</code> lists exDate and amount for the range.
+        </p>
+        <p className="font-semibold mt-2 mb-1 text-gray-300">Indicator functions (newest first, like data):</p>
+        <code className="bg-gray-900 text-green-400 px-2 py-1 rounded">
+          $sma, $ema, $rsi, $macd, $bollinger, $atr, $returns, $drawdown, $stddev, $rolling
+        </code>
+        <p className="mt-2">
+          e.g. <code className="bg-gray-900 text-green-400 px-2 py-1 rounded">$sma(data.close, 50)[0]</code> or
+          {' '}<code className="bg-gray-900 text-green-400 px-2 py-1 rounded">$rolling(data.close, 5, $max)</code>
+        </p>
       </div>
+
+      {onSave && !saving && (
+        <div className="mt-3 flex items-center gap-3">
+          <button
+            onClick={() => { setSaving(true); setSaved(null); }}
+            disabled={!expression}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed"
+          >
+            Save as template
+          </button>
+          {saved && <span className="text-xs text-green-400">Saved {saved}</span>}
+        </div>
+      )}
+
+      {onSave && saving && (
+        <form onSubmit={handleSave} className="mt-3 space-y-2">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => updateForm('name', e.target.value)}
+            placeholder="Name (e.g., goldenCross)"
+            required
+            className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm placeholder-gray-400"
+          />
+          <input
+            type="text"
+            value={form.label}
+            onChange={(e) => updateForm('label', e.target.value)}
+            placeholder="Label"
+            className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm placeholder-gray-400"
+          />
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => updateForm('description', e.target.value)}
+            placeholder="Description"
+            className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm placeholder-gray-400"
+          />
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="text"
+              value={form.category}
+              onChange={(e) => updateForm('category', e.target.value)}
+              placeholder="Category"
+              className="px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm placeholder-gray-400"
+            />
+            <select
+              value={form.chartType}
+              onChange={(e) => updateForm('chartType', e.target.value)}
+              className="px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm"
+            >
+              <option value="stat">stat</option>
+              <option value="object">object</option>
+              <option value="table">table</option>
+            </select>
+            <select
+              value={form.format}
+              onChange={(e) => updateForm('format', e.target.value)}
+              className="px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm"
+            >
+              <option value="">no format</option>
+              <option value="currency">currency</option>
+              <option value="percent">percent</option>
+              <option value="number">number</option>
+            </select>
+          </div>
+          {saveError && <p className="text-xs text-red-400">{saveError}</p>}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => { setSaving(false); setSaveError(null); }}
+              className="px-3 py-1 text-sm bg-gray-600 text-white rounded hover:bg-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
     </div>
   );
 }
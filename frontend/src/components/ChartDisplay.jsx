@@ -1,8 +1,14 @@
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceLine } from 'recharts';
 
-export default function ChartDisplay({ data }) {
+// `levels` is a /query/:symbol/levels response, drawn over the price chart as zones and pivot lines
+export default function ChartDisplay({ data, label, levels }) {
   // Determine chart type based on data structure
   const renderChart = () => {
+    // Rolling query: one value per date
+    if (Array.isArray(data.series) && data.series.length > 0) {
+      return renderIndicatorChart(data.series);
+    }
+
     // Case 1: Array of data points (time series)
     if (Array.isArray(data.data) && data.data.length > 0) {
       const firstItem = data.data[0];
@@ -58,11 +64,30 @@ export default function ChartDisplay({ data }) {
                   tick={{ fontSize: 12 }}
                   tickFormatter={(date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: '2-digit' })}
                 />
-                <YAxis tick={{ fontSize: 12 }} />
+                <YAxis tick={{ fontSize: 12 }} domain={levels ? ['auto', 'auto'] : undefined} />
                 <Tooltip 
                   formatter={(value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 })}
                 />
                 <Legend />
+                {levels?.zones.map((zone) => (
+                  <ReferenceArea
+                    key={`${zone.type}-${zone.level}`}
+                    y1={zone.low}
+                    y2={zone.high}
+                    fill={zone.type === 'support' ? '#10b981' : '#ef4444'}
+                    fillOpacity={0.08 + zone.strength / 100 * 0.22}
+                    stroke="none"
+                  />
+                ))}
+                {levels?.pivots && ['s1', 'pivot', 'r1'].map((key) => (
+                  <ReferenceLine
+                    key={key}
+                    y={levels.pivots.classic[key]}
+                    stroke="#9ca3af"
+                    strokeDasharray="4 4"
+                    label={{ value: key === 'pivot' ? 'P' : key.toUpperCase(), position: 'right', fontSize: 11, fill: '#6b7280' }}
+                  />
+                ))}
                 <Line type="monotone" dataKey="close" stroke="#3b82f6" strokeWidth={2} dot={false} name="Close Price" />
                 {displayData[0].high !== undefined && (
                   <Line type="monotone" dataKey="high" stroke="#10b981" strokeWidth={1} dot={false} name="High" />
@@ -75,6 +100,20 @@ export default function ChartDisplay({ data }) {
           </div>
         )}
 
+        {levels && levels.zones.length > 0 && (
+          <div className="text-xs text-gray-600">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Support / Resistance Zones</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-1">
+              {levels.zones.map((zone) => (
+                <div key={`${zone.type}-${zone.level}`}>
+                  <span className={zone.type === 'support' ? 'text-green-600' : 'text-red-600'}>{zone.type}</span>
+                  {' '}{zone.low.toFixed(2)}–{zone.high.toFixed(2)}, {zone.touches} touches, strength {zone.strength}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {hasVolume && (
           <div>
             <h3 className="text-sm font-semibold text-gray-700 mb-2">Volume</h3>
@@ -99,6 +138,47 @@ export default function ChartDisplay({ data }) {
     );
   };
 
+  const renderIndicatorChart = (series) => {
+    const numeric = series.filter(point => typeof point.value === 'number');
+
+    if (numeric.length === 0) {
+      return (
+        <div className="p-8 text-center text-gray-600">
+          <p>The rolling query did not return numbers to plot.</p>
+          <p className="text-sm mt-2">Try the JSON or Table view.</p>
+        </div>
+      );
+    }
+
+    const displayData = series.length > 365
+      ? series.filter((_, idx) => idx % Math.ceil(series.length / 365) === 0)
+      : series;
+
+    return (
+      <div className="p-4">
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">
+          {label || 'Rolling Value'} ({data.window}-row window)
+        </h3>
+        <ResponsiveContainer width="100%" height={350}>
+          <LineChart data={displayData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis 
+              dataKey="date" 
+              tick={{ fontSize: 12 }}
+              tickFormatter={(date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: '2-digit' })}
+            />
+            <YAxis tick={{ fontSize: 12 }} domain={['auto', 'auto']} />
+            <Tooltip 
+              formatter={(value) => typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : String(value)}
+            />
+            <Legend />
+            <Line type="monotone" dataKey="value" stroke="#f59e0b" strokeWidth={2} dot={false} connectNulls name={label || 'Value'} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  };
+
   const renderKeyValueDisplay = (result) => {
     return (
       <div className="p-8">
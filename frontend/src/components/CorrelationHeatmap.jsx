@@ -0,0 +1,225 @@
+import { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+
+// Red for +1, white-ish for 0, blue for -1
+function cellColor(value) {
+  if (value === null || value === undefined) return 'rgb(55, 65, 81)';
+  const strength = Math.min(Math.abs(value), 1);
+  const fade = Math.round(255 * (1 - strength));
+  return value >= 0 ? `rgb(239, ${fade}, ${fade})` : `rgb(${fade}, ${fade}, 239)`;
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+
+export default function CorrelationHeatmap() {
+  const [symbols, setSymbols] = useState('');
+  const [rollingWindow, setRollingWindow] = useState(60);
+  const [startDate, setStartDate] = useState('');
+  const [pair, setPair] = useState(null);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Empty symbols means every tracked stock
+  const loadCorrelation = async (selectedPair = pair) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const query = new URLSearchParams({ window: rollingWindow });
+      if (symbols.trim()) query.append('symbols', symbols);
+      if (startDate) query.append('startDate', startDate);
+      if (selectedPair) query.append('pair', selectedPair.join(','));
+
+      const response = await fetch(`/api/analytics/correlation?${query}`);
+      const result = await response.json();
+
+      if (!response.ok || result.success === false) {
+        throw new Error(result.error || 'Failed to compute correlations');
+      }
+
+      setData(result);
+    } catch (err) {
+      setError(err.message);
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCorrelation();
+  }, []);
+
+  const selectPair = (a, b) => {
+    if (a === b) return;
+    const selected = [a, b];
+    setPair(selected);
+    loadCorrelation(selected);
+  };
+
+  const rollingSeries = () => {
+    if (!data?.pair) return [];
+    const [a, b] = data.pair.symbols;
+    return data.rolling.pairs[`${a}/${b}`] || data.rolling.pairs[`${b}/${a}`] || [];
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Controls */}
+      <div className="bg-gray-800 shadow rounded-lg p-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-300 mb-1">Symbols</label>
+            <input
+              type="text"
+              value={symbols}
+              onChange={(e) => setSymbols(e.target.value)}
+              placeholder="All tracked stocks, or e.g. NVDA,AMD,MSFT"
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm placeholder-gray-400"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Rolling window (days)</label>
+            <input
+              type="number"
+              min="5"
+              value={rollingWindow}
+              onChange={(e) => setRollingWindow(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Start date</label>
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm"
+            />
+          </div>
+        </div>
+        <button
+          onClick={() => { setPair(null); loadCorrelation(null); }}
+          disabled={loading}
+          className="mt-3 w-full py-2 px-4 bg-green-600 text-white text-sm font-semibold rounded hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Computing...' : 'Compute Correlations'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-900 border border-red-700 text-red-200 px-4 py-3 rounded">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {data && (
+        <div className="bg-gray-800 shadow rounded-lg p-4">
+          <h2 className="text-lg font-semibold text-gray-100 mb-1">Daily Return Correlation</h2>
+          <p className="text-xs text-gray-400 mb-4">
+            {data.dataCount} shared trading days, {data.dateRange.start} to {data.dateRange.end}. Click a cell to analyze the pair.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="border-separate" style={{ borderSpacing: 2 }}>
+              <thead>
+                <tr>
+                  <th />
+                  {data.matrix.symbols.map((symbol) => (
+                    <th key={symbol} className="px-2 py-1 text-xs font-medium text-gray-300">{symbol}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.matrix.symbols.map((rowSymbol, i) => (
+                  <tr key={rowSymbol}>
+                    <th className="px-2 py-1 text-xs font-medium text-gray-300 text-right">{rowSymbol}</th>
+                    {data.matrix.values[i].map((value, j) => {
+                      const colSymbol = data.matrix.symbols[j];
+                      const selected = data.pair && data.pair.symbols.includes(rowSymbol) &&
+                        data.pair.symbols.includes(colSymbol) && rowSymbol !== colSymbol;
+                      return (
+                        <td
+                          key={colSymbol}
+                          onClick={() => selectPair(rowSymbol, colSymbol)}
+                          title={`${rowSymbol} / ${colSymbol}`}
+                          className={`w-16 h-12 text-center text-xs font-semibold text-gray-900 rounded ${
+                            rowSymbol !== colSymbol ? 'cursor-pointer hover:opacity-80' : ''
+                          } ${selected ? 'ring-2 ring-yellow-400' : ''}`}
+                          style={{ backgroundColor: cellColor(value) }}
+                        >
+                          {value === null ? '—' : value.toFixed(2)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {data?.pair && (
+        <div className="bg-gray-800 shadow rounded-lg p-4 space-y-6">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-100 mb-2">
+              {data.pair.symbols[0]} / {data.pair.symbols[1]}
+            </h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <div className="text-gray-400">Correlation</div>
+                <div className="text-gray-100 font-semibold">{data.pair.correlation?.toFixed(3) ?? '—'}</div>
+              </div>
+              <div>
+                <div className="text-gray-400">Hedge ratio</div>
+                <div className="text-gray-100 font-semibold">{data.pair.hedgeRatio.toFixed(3)}</div>
+              </div>
+              <div>
+                <div className="text-gray-400">ADF statistic</div>
+                <div className={`font-semibold ${data.pair.cointegration.cointegrated ? 'text-green-400' : 'text-gray-100'}`}>
+                  {data.pair.cointegration.adfStatistic.toFixed(2)}
+                  {data.pair.cointegration.cointegrated ? ' (cointegrated)' : ''}
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-400">Spread z-score</div>
+                <div className="text-gray-100 font-semibold">{data.pair.spread.zScore?.toFixed(2) ?? '—'}</div>
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-300 mb-2">Rolling {data.window}-day correlation</h3>
+            <ResponsiveContainer width="100%" height={250}>
+              <LineChart data={rollingSeries()}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" tick={{ fontSize: 12 }} tickFormatter={formatDate} />
+                <YAxis domain={[-1, 1]} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => value?.toFixed(3)} />
+                <ReferenceLine y={0} stroke="#6b7280" />
+                <Line type="monotone" dataKey="value" stroke="#3b82f6" strokeWidth={2} dot={false} name="Correlation" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-300 mb-2">Spread z-score ({data.window}-day)</h3>
+            <ResponsiveContainer width="100%" height={250}>
+              <LineChart data={data.pair.spread.series}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" tick={{ fontSize: 12 }} tickFormatter={formatDate} />
+                <YAxis tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => value?.toFixed(2)} />
+                <Legend />
+                <ReferenceLine y={2} stroke="#ef4444" strokeDasharray="4 4" />
+                <ReferenceLine y={-2} stroke="#ef4444" strokeDasharray="4 4" />
+                <Line type="monotone" dataKey="zScore" stroke="#f59e0b" strokeWidth={2} dot={false} name="z-score" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,40 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import JsonView from 'react18-json-view';
 import 'react18-json-view/src/style.css';
 import ChartDisplay from './ChartDisplay';
 import StatCard from './StatCard';
 
-export default function QueryResults({ results, loading, chartMetadata }) {
+export default function QueryResults({ results, loading, chartMetadata, startDate, endDate }) {
   const [viewMode, setViewMode] = useState('json'); // 'json', 'chart', 'table'
+  const [levelsChart, setLevelsChart] = useState(null); // { bars, levels } for the support/resistance overlay
+  const [levelsError, setLevelsError] = useState(null);
+
+  useEffect(() => {
+    setLevelsChart(null);
+    setLevelsError(null);
+  }, [results]);
+
+  // Price history and support/resistance levels for the queried symbol, over the same range
+  const loadLevels = async () => {
+    setLevelsError(null);
+    try {
+      const range = new URLSearchParams({ startDate, endDate });
+      const [historyResponse, levelsResponse] = await Promise.all([
+        fetch(`/api/stocks/historical/${results.symbol}?${range}&order=asc&limit=5000`),
+        fetch(`/api/stocks/query/${results.symbol}/levels?${range}&limit=5000`)
+      ]);
+      const history = await historyResponse.json();
+      const levels = await levelsResponse.json();
+
+      if (!historyResponse.ok || levels.success === false) {
+        throw new Error(history.error || levels.error || 'Failed to load levels');
+      }
+
+      setLevelsChart({ bars: history.data, levels });
+    } catch (err) {
+      setLevelsError(err.message);
+    }
+  };
 
   if (loading) {
     return (
@@ -45,8 +74,43 @@ export default function QueryResults({ results, loading, chartMetadata }) {
   };
 
   const renderChart = () => {
+    const levelsToggle = typeof results.symbol === 'string' && (
+      <div className="px-4 pt-4 flex items-center gap-3">
+        <button
+          onClick={() => (levelsChart ? setLevelsChart(null) : loadLevels())}
+          className="text-xs px-2 py-1 bg-gray-700 text-gray-300 rounded hover:bg-gray-600"
+        >
+          {levelsChart ? 'Back to result' : 'Support / Resistance'}
+        </button>
+        {levelsError && <span className="text-xs text-red-400">{levelsError}</span>}
+      </div>
+    );
+
+    if (levelsChart) {
+      return (
+        <div>
+          {levelsToggle}
+          <ChartDisplay data={{ data: levelsChart.bars }} levels={levelsChart.levels} />
+        </div>
+      );
+    }
+
+    return (
+      <div>
+        {levelsToggle}
+        {renderResultChart()}
+      </div>
+    );
+  };
+
+  const renderResultChart = () => {
     // Extract the actual result value
     const resultValue = results.results?.result ?? results.result;
+
+    // Rolling queries return a dated series, plotted as an indicator line
+    if (Array.isArray(results.series)) {
+      return <ChartDisplay data={results} label={chartMetadata?.label} />;
+    }
     
     // If we have chart metadata from a template, use it
     if (chartMetadata) {
@@ -122,7 +186,9 @@ export default function QueryResults({ results, loading, chartMetadata }) {
     // Handle different result structures
     let tableData = [];
     
-    if (Array.isArray(results.result)) {
+    if (Array.isArray(results.series)) {
+      tableData = results.series;
+    } else if (Array.isArray(results.result)) {
       tableData = results.result;
     } else if (results.result && typeof results.result === 'object') {
       tableData = [results.result];
@@ -0,0 +1,378 @@
+import { useState, useEffect } from 'react';
+
+const EMPTY_SCREEN = {
+  name: '',
+  description: '',
+  filter: 'data[0].close > $sma(data.close, 200)[0] and $rsi(data.close)[0] < 30',
+  rank: '(data[0].close - data[63].close) / data[63].close * 100',
+  sort: 'desc',
+  columns: [{ name: 'rsi', expression: '$rsi(data.close)[0]' }]
+};
+
+const inputClass = 'w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm placeholder-gray-400';
+const codeClass = 'w-full px-3 py-2 bg-gray-900 border border-gray-600 text-green-400 rounded-lg font-mono text-sm placeholder-gray-500';
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export default function ScreenerView({ onSymbolClick }) {
+  const [screens, setScreens] = useState([]);
+  const [screen, setScreen] = useState(EMPTY_SCREEN);
+  const [selectedId, setSelectedId] = useState(null);
+  const [top, setTop] = useState('');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(null);
+
+  // Fetch saved screens
+  const loadScreens = () => {
+    return fetch('/api/screener/screens')
+      .then(res => res.json())
+      .then(data => setScreens(data.data || []))
+      .catch(err => {
+        console.error('Failed to load screens:', err);
+        setScreens([]);
+      });
+  };
+
+  useEffect(() => {
+    loadScreens();
+  }, []);
+
+  const updateScreen = (field, value) => {
+    setScreen({ ...screen, [field]: value });
+  };
+
+  const updateColumn = (index, field, value) => {
+    setScreen({
+      ...screen,
+      columns: screen.columns.map((column, i) => (i === index ? { ...column, [field]: value } : column))
+    });
+  };
+
+  // The API takes columns as { name: expression }
+  const toRequest = () => ({
+    name: screen.name || undefined,
+    description: screen.description || null,
+    filter: screen.filter,
+    rank: screen.rank || null,
+    sort: screen.sort,
+    columns: Object.fromEntries(
+      screen.columns
+        .filter(column => column.name && column.expression)
+        .map(column => [column.name, column.expression])
+    )
+  });
+
+  const handleSelect = (id) => {
+    setSaved(null);
+    if (!id) {
+      setSelectedId(null);
+      setScreen(EMPTY_SCREEN);
+      return;
+    }
+    const chosen = screens.find(s => String(s.id) === id);
+    setSelectedId(chosen.id);
+    setScreen({
+      name: chosen.name,
+      description: chosen.description || '',
+      filter: chosen.filter,
+      rank: chosen.rank || '',
+      sort: chosen.sort,
+      columns: Object.entries(chosen.columns).map(([name, expression]) => ({ name, expression }))
+    });
+  };
+
+  const runScreen = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/screener', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...toRequest(), top: top ? Number(top) : undefined })
+      });
+      const data = await response.json();
+
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || 'Screen failed');
+      }
+
+      setResults(data);
+    } catch (err) {
+      setError(err.message);
+      setResults(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Save a new screen, or update the selected one
+  const saveScreen = async () => {
+    setError(null);
+    setSaved(null);
+
+    const response = await fetch(selectedId ? `/api/screener/screens/${selectedId}` : '/api/screener/screens', {
+      method: selectedId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toRequest())
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      setError(data.error || 'Failed to save screen');
+      return;
+    }
+
+    setSelectedId(data.data.id);
+    setSaved(data.data.name);
+    await loadScreens();
+  };
+
+  const deleteScreen = async () => {
+    if (!window.confirm(`Delete screen ${screen.name}?`)) {
+      return;
+    }
+
+    const response = await fetch(`/api/screener/screens/${selectedId}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const data = await response.json();
+      setError(data.error || 'Failed to delete screen');
+      return;
+    }
+
+    handleSelect('');
+    await loadScreens();
+  };
+
+  const columnNames = results?.results.length > 0
+    ? Object.keys(results.results[0]).filter(key => !['rank', 'symbol', 'score', 'date', 'close'].includes(key))
+    : [];
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Left Column - Screen Definition */}
+      <div className="lg:col-span-1 space-y-6">
+        <div className="bg-gray-800 shadow rounded-lg p-4 space-y-3">
+          <h2 className="text-lg font-semibold text-gray-100">Screen</h2>
+
+          <select
+            value={selectedId || ''}
+            onChange={(e) => handleSelect(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">New screen</option>
+            {screens.map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Filter (must return true)</label>
+            <textarea
+              value={screen.filter}
+              onChange={(e) => updateScreen('filter', e.target.value)}
+              rows={4}
+              spellCheck={false}
+              className={codeClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Rank by</label>
+            <textarea
+              value={screen.rank}
+              onChange={(e) => updateScreen('rank', e.target.value)}
+              rows={2}
+              spellCheck={false}
+              placeholder="Optional score expression"
+              className={codeClass}
+            />
+            <select
+              value={screen.sort}
+              onChange={(e) => updateScreen('sort', e.target.value)}
+              className={`${inputClass} mt-2`}
+            >
+              <option value="desc">Highest first</option>
+              <option value="asc">Lowest first</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Columns</label>
+            <div className="space-y-2">
+              {screen.columns.map((column, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={column.name}
+                    onChange={(e) => updateColumn(index, 'name', e.target.value)}
+                    placeholder="name"
+                    className={`${inputClass} w-1/3`}
+                  />
+                  <input
+                    type="text"
+                    value={column.expression}
+                    onChange={(e) => updateColumn(index, 'expression', e.target.value)}
+                    placeholder="expression"
+                    spellCheck={false}
+                    className={codeClass}
+                  />
+                  <button
+                    onClick={() => updateScreen('columns', screen.columns.filter((_, i) => i !== index))}
+                    className="px-2 text-gray-400 hover:text-red-400"
+                    title="Remove column"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => updateScreen('columns', [...screen.columns, { name: '', expression: '' }])}
+              className="mt-2 text-xs px-2 py-1 bg-gray-700 text-gray-300 rounded hover:bg-gray-600"
+            >
+              Add column
+            </button>
+          </div>
+
+          <input
+            type="number"
+            min="1"
+            value={top}
+            onChange={(e) => setTop(e.target.value)}
+            placeholder="Top N (all matches if empty)"
+            className={inputClass}
+          />
+
+          <div className="border-t border-gray-700 pt-3 space-y-2">
+            <input
+              type="text"
+              value={screen.name}
+              onChange={(e) => updateScreen('name', e.target.value)}
+              placeholder="Name (e.g., oversoldUptrend)"
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={screen.description}
+              onChange={(e) => updateScreen('description', e.target.value)}
+              placeholder="Description"
+              className={inputClass}
+            />
+            <div className="flex items-center gap-2">
+              <button
+                onClick={saveScreen}
+                disabled={!screen.name || !screen.filter}
+                className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed"
+              >
+                {selectedId ? 'Update screen' : 'Save screen'}
+              </button>
+              {selectedId && (
+                <button
+                  onClick={deleteScreen}
+                  className="px-3 py-1 text-sm bg-gray-600 text-white rounded hover:bg-red-600"
+                >
+                  Delete
+                </button>
+              )}
+              {saved && <span className="text-xs text-green-400">Saved {saved}</span>}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Right Column - Ranked Results */}
+      <div className="lg:col-span-2 space-y-4">
+        <button
+          onClick={runScreen}
+          disabled={loading || !screen.filter}
+          className="w-full py-3 px-4 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed shadow-lg"
+        >
+          {loading ? 'Screening...' : 'Run Screen'}
+        </button>
+
+        {error && (
+          <div className="bg-red-900 border border-red-700 text-red-200 px-4 py-3 rounded">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        {!results && !loading && (
+          <div className="bg-gray-800 shadow rounded-lg p-8 text-center text-gray-400">
+            <p>Run a screen to rank every tracked symbol that passes the filter.</p>
+          </div>
+        )}
+
+        {results && (
+          <div className="bg-gray-800 shadow rounded-lg">
+            <div className="px-6 py-3 border-b border-gray-700 text-sm text-gray-400">
+              {results.matched} of {results.screened} symbols matched
+              {results.cached && ' (cached)'}
+            </div>
+
+            {results.results.length === 0 ? (
+              <div className="p-4 text-gray-400">No symbols matched the filter</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-700">
+                  <thead className="bg-gray-900">
+                    <tr>
+                      {['#', 'Symbol', 'Score', 'Date', 'Close', ...columnNames].map((col) => (
+                        <th
+                          key={col}
+                          className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider"
+                        >
+                          {col}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-gray-800 divide-y divide-gray-700">
+                    {results.results.map((row) => (
+                      <tr key={row.symbol} className="hover:bg-gray-700">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{row.rank}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <button
+                            onClick={() => onSymbolClick(row.symbol)}
+                            className="font-semibold text-blue-400 hover:text-blue-300"
+                          >
+                            {row.symbol}
+                          </button>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-200">{formatCell(row.score)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-200">{row.date}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-200">{formatCell(row.close)}</td>
+                        {columnNames.map((col) => (
+                          <td key={col} className="px-6 py-4 whitespace-nowrap text-sm text-gray-200">
+                            {formatCell(row[col])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {results.errors.length > 0 && (
+              <div className="px-6 py-3 border-t border-gray-700 text-xs text-yellow-400 space-y-1">
+                {results.errors.map((err, i) => (
+                  <p key={i}>
+                    {err.symbol}{err.column ? ` (${err.column})` : ''}: {err.error}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Green for gains, red for losses, saturating at +/-10%
+function cellColor(value) {
+  if (value === null || value === undefined) return 'rgb(55, 65, 81)';
+  const strength = Math.min(Math.abs(value) / 10, 1);
+  const fade = Math.round(255 * (1 - strength));
+  return value >= 0 ? `rgb(${fade}, 200, ${fade})` : `rgb(239, ${fade}, ${fade})`;
+}
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(2)}%`);
+
+function ReturnBars({ data, dataKey }) {
+  return (
+    <ResponsiveContainer width="100%" height={220}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey={dataKey} tick={{ fontSize: 12 }} />
+        <YAxis tick={{ fontSize: 12 }} tickFormatter={(value) => `${value}%`} />
+        <Tooltip
+          formatter={(value, name, item) => [formatPercent(value), `Average (hit rate ${item.payload.hitRate?.toFixed(0) ?? '—'}%, n=${item.payload.count})`]}
+        />
+        <ReferenceLine y={0} stroke="#6b7280" />
+        <Bar dataKey="average">
+          {data.map((entry) => (
+            <Cell key={entry[dataKey]} fill={entry.average >= 0 ? '#22c55e' : '#ef4444'} />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+function StatsRow({ label, stats }) {
+  return (
+    <tr className="border-t border-gray-700">
+      <td className="py-1 pr-4 text-gray-300">{label}</td>
+      <td className="py-1 pr-4 text-right">{stats.count}</td>
+      <td className="py-1 pr-4 text-right">{formatPercent(stats.average)}</td>
+      <td className="py-1 pr-4 text-right">{formatPercent(stats.median)}</td>
+      <td className="py-1 text-right">{stats.hitRate === null ? '—' : `${stats.hitRate.toFixed(0)}%`}</td>
+    </tr>
+  );
+}
+
+function StatsTable({ children }) {
+  return (
+    <table className="w-full text-sm text-gray-100">
+      <thead>
+        <tr className="text-gray-400 text-xs">
+          <th className="text-left font-medium pb-1" />
+          <th className="text-right font-medium pb-1 pr-4">Count</th>
+          <th className="text-right font-medium pb-1 pr-4">Average</th>
+          <th className="text-right font-medium pb-1 pr-4">Median</th>
+          <th className="text-right font-medium pb-1">Hit rate</th>
+        </tr>
+      </thead>
+      <tbody>{children}</tbody>
+    </table>
+  );
+}
+
+export default function SeasonalityHeatmap({ symbol: initialSymbol }) {
+  const [symbol, setSymbol] = useState(initialSymbol || 'NVDA');
+  const [startDate, setStartDate] = useState('');
+  const [earnings, setEarnings] = useState('');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSeasonality = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const query = new URLSearchParams();
+      if (startDate) query.append('startDate', startDate);
+      if (earnings.trim()) query.append('earnings', earnings.replace(/\s+/g, ''));
+
+      const response = await fetch(`/api/stocks/query/${symbol.toUpperCase()}/seasonality?${query}`);
+      const result = await response.json();
+
+      if (!response.ok || result.success === false) {
+        throw new Error(result.error || 'Failed to compute seasonality');
+      }
+
+      setData(result);
+    } catch (err) {
+      setError(err.message);
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSeasonality();
+  }, []);
+
+  return (
+    <div className="space-y-6">
+      {/* Controls */}
+      <div className="bg-gray-800 shadow rounded-lg p-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Symbol</label>
+            <input
+              type="text"
+              value={symbol}
+              onChange={(e) => setSymbol(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Start date</label>
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm"
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-300 mb-1">Earnings dates (optional)</label>
+            <input
+              type="text"
+              value={earnings}
+              onChange={(e) => setEarnings(e.target.value)}
+              placeholder="e.g. 2024-02-21,2024-05-22"
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-lg text-sm placeholder-gray-400"
+            />
+          </div>
+        </div>
+        <button
+          onClick={loadSeasonality}
+          disabled={loading || !symbol.trim()}
+          className="mt-3 w-full py-2 px-4 bg-green-600 text-white text-sm font-semibold rounded hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Computing...' : 'Compute Seasonality'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-900 border border-red-700 text-red-200 px-4 py-3 rounded">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {data && (
+        <>
+          <div className="bg-gray-800 shadow rounded-lg p-4">
+            <h2 className="text-lg font-semibold text-gray-100 mb-1">{data.symbol} Monthly Returns</h2>
+            <p className="text-xs text-gray-400 mb-4">
+              {data.dataCount} trading days, {data.dateRange.start} to {data.dateRange.end} ({data.adjustment}-adjusted closes)
+            </p>
+            <div className="overflow-x-auto">
+              <table className="border-separate" style={{ borderSpacing: 2 }}>
+                <thead>
+                  <tr>
+                    <th />
+                    {MONTHS.map((month) => (
+                      <th key={month} className="px-2 py-1 text-xs font-medium text-gray-300">{month}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.monthlyReturns.map((row) => (
+                    <tr key={row.year}>
+                      <th className="px-2 py-1 text-xs font-medium text-gray-300 text-right">{row.year}</th>
+                      {row.months.map((value, i) => (
+                        <td
+                          key={i}
+                          title={`${MONTHS[i]} ${row.year}`}
+                          className="w-16 h-10 text-center text-xs font-semibold text-gray-900 rounded"
+                          style={{ backgroundColor: cellColor(value) }}
+                        >
+                          {value === null ? '—' : value.toFixed(1)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr>
+                    <th className="px-2 py-1 text-xs font-medium text-gray-300 text-right">Avg</th>
+                    {data.byMonth.map((month) => (
+                      <td
+                        key={month.month}
+                        title={`Median ${formatPercent(month.median)}, hit rate ${month.hitRate?.toFixed(0) ?? '—'}%`}
+                        className="w-16 h-10 text-center text-xs font-bold text-gray-900 rounded ring-1 ring-gray-500"
+                        style={{ backgroundColor: cellColor(month.average) }}
+                      >
+                        {month.average === null ? '—' : month.average.toFixed(1)}
+                      </td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <th className="px-2 py-1 text-xs font-medium text-gray-300 text-right">Hit %</th>
+                    {data.byMonth.map((month) => (
+                      <td key={month.month} className="text-center text-xs text-gray-300">
+                        {month.hitRate === null ? '—' : month.hitRate.toFixed(0)}
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-gray-800 shadow rounded-lg p-4">
+              <h3 className="text-sm font-semibold text-gray-300 mb-2">Average daily return by weekday</h3>
+              <ReturnBars data={data.byWeekday} dataKey="name" />
+            </div>
+            <div className="bg-gray-800 shadow rounded-lg p-4">
+              <h3 className="text-sm font-semibold text-gray-300 mb-2">Average daily return by day of month</h3>
+              <ReturnBars data={data.byDayOfMonth} dataKey="day" />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-gray-800 shadow rounded-lg p-4">
+              <h3 className="text-sm font-semibold text-gray-300 mb-2">Around market holidays (daily return)</h3>
+              <StatsTable>
+                <StatsRow label="Pre-holiday" stats={data.holidays.preHoliday} />
+                <StatsRow label="Post-holiday" stats={data.holidays.postHoliday} />
+                <StatsRow label="Other days" stats={data.holidays.otherDays} />
+              </StatsTable>
+            </div>
+
+            <div className="bg-gray-800 shadow rounded-lg p-4">
+              <h3 className="text-sm font-semibold text-gray-300 mb-2">Around earnings</h3>
+              {data.earnings ? (
+                <>
+                  <StatsTable>
+                    <StatsRow label={`Run-up (${data.earnings.window} days)`} stats={data.earnings.runUp} />
+                    <StatsRow label="Reaction day" stats={data.earnings.reaction} />
+                    <StatsRow label={`Drift (${data.earnings.window} days)`} stats={data.earnings.drift} />
+                  </StatsTable>
+                  <ReturnBars data={data.earnings.byOffset} dataKey="offset" />
+                </>
+              ) : (
+                <p className="text-sm text-gray-400">Enter earnings dates above to measure returns around them.</p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,21 +1,76 @@
-export default function TemplateGallery({ templates, selectedTemplate, onSelect }) {
+function ParameterInput({ parameter, value, onChange }) {
+  if (parameter.type === 'boolean') {
+    return (
+      <input
+        type="checkbox"
+        checked={value === true || value === 'true'}
+        onChange={(e) => onChange(e.target.checked)}
+        className="h-4 w-4"
+      />
+    );
+  }
+
+  const numeric = parameter.type !== 'string';
+  return (
+    <input
+      type={numeric ? 'number' : 'text'}
+      value={value ?? ''}
+      min={parameter.min}
+      max={parameter.max}
+      step={parameter.type === 'integer' ? 1 : 'any'}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-24 px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded text-sm"
+    />
+  );
+}
+
+export default function TemplateGallery({ templates, selectedTemplate, onSelect, onDelete, params = {}, onParamChange }) {
   return (
     <div className="bg-gray-800 shadow rounded-lg p-4">
       <h2 className="text-lg font-semibold text-gray-100 mb-4">Query Templates</h2>
       <div className="space-y-2 max-h-96 overflow-y-auto pr-2">
         {templates.map((template) => (
-          <button
-            key={template.name}
-            onClick={() => onSelect(template)}
-            className={`w-full text-left p-3 rounded-lg border transition-colors ${
-              selectedTemplate?.name === template.name
-                ? 'border-blue-500 bg-blue-900'
-                : 'border-gray-600 hover:border-gray-500 hover:bg-gray-700'
-            }`}
-          >
-            <div className="font-medium text-gray-100">{template.name}</div>
-            <div className="text-sm text-gray-400 mt-1">{template.description}</div>
-          </button>
+          <div key={template.name} className="relative">
+            <button
+              onClick={() => onSelect(template)}
+              className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                selectedTemplate?.name === template.name
+                  ? 'border-blue-500 bg-blue-900'
+                  : 'border-gray-600 hover:border-gray-500 hover:bg-gray-700'
+              }`}
+            >
+              <div className="font-medium text-gray-100 pr-6">{template.name}</div>
+              <div className="text-sm text-gray-400 mt-1">{template.description}</div>
+            </button>
+            {template.saved && onDelete && (
+              <button
+                onClick={() => onDelete(template)}
+                title="Delete saved query"
+                className="absolute top-2 right-2 text-gray-500 hover:text-red-400 text-sm"
+              >
+                ✕
+              </button>
+            )}
+            {selectedTemplate?.name === template.name && template.parameters?.length > 0 && onParamChange && (
+              <div className="mt-2 p-3 rounded-lg bg-gray-900 space-y-2">
+                {template.parameters.map((parameter) => (
+                  <label key={parameter.name} className="flex items-center justify-between gap-3 text-sm text-gray-300">
+                    <span>
+                      {parameter.label || parameter.name}
+                      {parameter.min !== undefined && parameter.max !== undefined && (
+                        <span className="text-xs text-gray-500 ml-1">({parameter.min}–{parameter.max})</span>
+                      )}
+                    </span>
+                    <ParameterInput
+                      parameter={parameter}
+                      value={params[parameter.name]}
+                      onChange={(value) => onParamChange(parameter.name, value)}
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
         ))}
       </div>
     </div>
@@ -51,6 +51,8 @@ function initializeDatabase() {
       last_updated DATETIME,
       last_data_refresh DATE,
       last_split_check DATE,
+      last_overview_refresh DATE,
+      overview TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `, (err) => {
@@ -61,6 +63,8 @@ function initializeDatabase() {
       // Add columns if they don't exist (for existing databases)
       db.run(`ALTER TABLE tracked_stocks ADD COLUMN last_data_refresh DATE`, () => {});
       db.run(`ALTER TABLE tracked_stocks ADD COLUMN last_split_check DATE`, () => {});
+      db.run(`ALTER TABLE tracked_stocks ADD COLUMN last_overview_refresh DATE`, () => {});
+      db.run(`ALTER TABLE tracked_stocks ADD COLUMN overview TEXT`, () => {});
     }
   });
 
@@ -76,6 +80,7 @@ function initializeDatabase() {
       close REAL NOT NULL,
       adjusted_close REAL,
       volume INTEGER,
+      price_basis TEXT DEFAULT 'raw',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(symbol, date)
     )
@@ -84,6 +89,111 @@ function initializeDatabase() {
       console.error('❌ Error creating historical_stock_data table:', err.message);
     } else {
       console.log('✅ Historical stock data table initialized');
+      // Rows stored before this column existed were split-adjusted on insert and keep NULL
+      db.run(`ALTER TABLE historical_stock_data ADD COLUMN price_basis TEXT`, () => {});
+    }
+  });
+
+  // Audit log of split reconciliation runs
+  db.run(`
+    CREATE TABLE IF NOT EXISTS split_reconciliations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      splits TEXT,
+      converted_rows INTEGER DEFAULT 0,
+      affected_rows INTEGER DEFAULT 0,
+      adjustment_version INTEGER,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating split_reconciliations table:', err.message);
+    } else {
+      console.log('✅ Split reconciliations table initialized');
+    }
+  });
+
+  // Splits inferred from price discontinuities, awaiting confirmation
+  db.run(`
+    CREATE TABLE IF NOT EXISTS suspected_splits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      split_date DATE NOT NULL,
+      suggested_ratio REAL NOT NULL,
+      price_ratio REAL,
+      volume_ratio REAL,
+      confidence REAL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME,
+      UNIQUE(symbol, split_date)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating suspected_splits table:', err.message);
+    } else {
+      console.log('✅ Suspected splits table initialized');
+    }
+  });
+
+  // JSONata queries saved by users, listed alongside the built-in templates
+  db.run(`
+    CREATE TABLE IF NOT EXISTS saved_queries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      expression TEXT NOT NULL,
+      label TEXT,
+      chart_type TEXT,
+      format TEXT,
+      category TEXT NOT NULL DEFAULT 'saved',
+      description TEXT,
+      parameters TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating saved_queries table:', err.message);
+    } else {
+      console.log('✅ Saved queries table initialized');
+    }
+  });
+
+  // Screens (filter, ranking and column expressions) run across every tracked symbol
+  db.run(`
+    CREATE TABLE IF NOT EXISTS saved_screens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      filter TEXT NOT NULL,
+      rank TEXT,
+      sort_order TEXT NOT NULL DEFAULT 'desc',
+      columns TEXT,
+      row_limit INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating saved_screens table:', err.message);
+    } else {
+      console.log('✅ Saved screens table initialized');
+    }
+  });
+
+  // Bumped whenever a symbol's splits or dividends change, so adjusted reads can be versioned
+  db.run(`
+    CREATE TABLE IF NOT EXISTS adjustment_versions (
+      symbol TEXT PRIMARY KEY,
+      version INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating adjustment_versions table:', err.message);
+    } else {
+      console.log('✅ Adjustment versions table initialized');
     }
   });
 
@@ -95,6 +205,7 @@ function initializeDatabase() {
       split_date DATE NOT NULL,
       split_ratio REAL NOT NULL,
       description TEXT,
+      reconciled_at DATETIME,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(symbol, split_date)
     )
@@ -103,10 +214,141 @@ function initializeDatabase() {
       console.error('❌ Error creating stock_splits table:', err.message);
     } else {
       console.log('✅ Stock splits table initialized');
+      // Set once reconcile has accounted for the split in stored rows
+      db.run(`ALTER TABLE stock_splits ADD COLUMN reconciled_at DATETIME`, () => {});
       initializeSplitData();
     }
   });
 
+  // Corporate actions other than splits: spin-offs and ticker renames.
+  // Splits (forward and reverse) stay in stock_splits, which adjustments read.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS corporate_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      action_type TEXT NOT NULL CHECK (action_type IN ('spinoff', 'rename')),
+      effective_date DATE NOT NULL,
+      new_symbol TEXT NOT NULL,
+      distribution_ratio REAL,
+      cost_basis_allocation REAL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(symbol, action_type, effective_date)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating corporate_actions table:', err.message);
+    } else {
+      console.log('✅ Corporate actions table initialized');
+      initializeCorporateActionData();
+    }
+  });
+
+  // Dividend events (amounts as paid, not split-adjusted)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS dividends (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      ex_date DATE NOT NULL,
+      amount REAL NOT NULL,
+      declaration_date DATE,
+      record_date DATE,
+      payment_date DATE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(symbol, ex_date)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating dividends table:', err.message);
+    } else {
+      console.log('✅ Dividends table initialized');
+    }
+  });
+
+  // API call ledger for provider quota tracking
+  db.run(`
+    CREATE TABLE IF NOT EXISTS api_call_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      endpoint TEXT NOT NULL,
+      symbol TEXT,
+      call_date DATE NOT NULL,
+      called_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating api_call_ledger table:', err.message);
+    } else {
+      console.log('✅ API call ledger table initialized');
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_api_call_ledger_provider_called_at
+        ON api_call_ledger(provider, called_at)
+      `);
+    }
+  });
+
+  // Background jobs (refresh, init, add-stock)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      payload TEXT,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating jobs table:', err.message);
+    } else {
+      console.log('✅ Jobs table initialized');
+    }
+  });
+
+  // Per-symbol progress for background jobs
+  db.run(`
+    CREATE TABLE IF NOT EXISTS job_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      error TEXT,
+      result TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES jobs(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating job_items table:', err.message);
+    } else {
+      console.log('✅ Job items table initialized');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_job_items_job_id ON job_items(job_id)`);
+    }
+  });
+
+  // Scheduled task overrides and run history (cron NULL = use env/default)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schedules (
+      name TEXT PRIMARY KEY,
+      cron TEXT,
+      enabled INTEGER DEFAULT 1,
+      last_run_at DATETIME,
+      last_status TEXT,
+      last_error TEXT,
+      last_job_id INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating schedules table:', err.message);
+    } else {
+      console.log('✅ Schedules table initialized');
+    }
+  });
+
   // Create index for faster queries
   db.run(`
     CREATE INDEX IF NOT EXISTS idx_historical_stock_data_symbol_date 
@@ -188,9 +430,6 @@ function initializeSplitData() {
     // Square (Block)
     { symbol: 'SQ', split_date: '2022-02-01', split_ratio: 10.0, description: '10-for-1 stock split' },
     
-    // PayPal
-    { symbol: 'PYPL', split_date: '2015-07-17', split_ratio: 2.0, description: 'Spun off from eBay (effective split)' },
-    
     // Snowflake
     { symbol: 'SNOW', split_date: '2021-03-05', split_ratio: 10.0, description: '10-for-1 stock split' },
     
@@ -242,4 +481,32 @@ function initializeSplitData() {
   console.log('✅ Stock split data initialized for Magnificent 7');
 }
 
+// Initialize known spin-offs and ticker renames
+function initializeCorporateActionData() {
+  const actionData = [
+    // PayPal was distributed to eBay holders, one PYPL share per EBAY share
+    { symbol: 'EBAY', action_type: 'spinoff', effective_date: '2015-07-20', new_symbol: 'PYPL', distribution_ratio: 1.0, description: 'PayPal spun off from eBay' },
+
+    // Ticker changes
+    { symbol: 'FB', action_type: 'rename', effective_date: '2022-06-09', new_symbol: 'META', description: 'Facebook renamed to Meta Platforms' },
+    { symbol: 'SQ', action_type: 'rename', effective_date: '2025-01-21', new_symbol: 'XYZ', description: 'Block changed ticker from SQ to XYZ' }
+  ];
+
+  // Older databases recorded the PayPal spin-off as a split
+  db.run(`DELETE FROM stock_splits WHERE symbol = 'PYPL' AND split_date = '2015-07-17' AND description LIKE 'Spun off%'`, () => {});
+
+  actionData.forEach(action => {
+    db.run(`
+      INSERT OR IGNORE INTO corporate_actions (symbol, action_type, effective_date, new_symbol, distribution_ratio, description)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [action.symbol, action.action_type, action.effective_date, action.new_symbol, action.distribution_ratio || null, action.description], (err) => {
+      if (err) {
+        console.error(`❌ Error inserting corporate action for ${action.symbol}:`, err.message);
+      }
+    });
+  });
+
+  console.log('✅ Corporate action data initialized');
+}
+
 module.exports = db;
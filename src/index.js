@@ -3,8 +3,14 @@ const cors = require('cors');
 const path = require('path');
 const db = require('./database');
 const stockRoutes = require('./routes/stocks');
-const startupRefreshService = require('./services/startupRefreshService');
+const jobRoutes = require('./routes/jobs');
+const schedulerRoutes = require('./routes/scheduler');
+const queryRoutes = require('./routes/queries');
+const screenerRoutes = require('./routes/screener');
+const analyticsRoutes = require('./routes/analytics');
 const priceService = require('./services/priceService');
+const jobQueueService = require('./services/jobQueueService');
+const schedulerService = require('./services/schedulerService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,6 +28,11 @@ app.get('/health', (req, res) => {
 });
 
 app.use('/api/stocks', stockRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/queries', queryRoutes);
+app.use('/api/screener', screenerRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Catch-all route - serve React app for any non-API routes
 app.get('*', (req, res) => {
@@ -51,8 +62,11 @@ async function startup() {
     console.warn('⚠️  Price service not available yet, will retry later');
   }
 
-  // Perform startup refresh
-  await startupRefreshService.performStartupRefresh();
+  // Resume queued jobs left over from a previous run
+  await jobQueueService.start();
+
+  // Start the scheduler; tasks whose last scheduled run was missed run right away
+  await schedulerService.start();
 
   // Start the Express server
   app.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const dataRefreshService = require('../services/dataRefreshService');
+const splitAdjustmentService = require('../services/splitAdjustmentService');
+const correlationService = require('../services/correlationService');
+
+function parseSymbols(value) {
+  return String(value)
+    .split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+// Correlation matrix and rolling pairwise correlations (?symbols= defaults to tracked stocks),
+// plus cointegration and the spread z-score for ?pair=A,B
+router.get('/correlation', async (req, res) => {
+  try {
+    const { startDate, endDate, limit, adjustment } = req.query;
+
+    const example = {
+      symbols: 'NVDA,AMD,MSFT',
+      window: 60,
+      pair: 'NVDA,AMD',
+      startDate: '2023-01-01'
+    };
+
+    const symbols = req.query.symbols
+      ? [...new Set(parseSymbols(req.query.symbols))]
+      : (await dataRefreshService.getTrackedStocks()).map(stock => stock.symbol);
+
+    const pair = req.query.pair ? parseSymbols(req.query.pair) : null;
+    if (pair) {
+      if (pair.length !== 2 || pair[0] === pair[1]) {
+        return res.status(400).json({ error: 'pair must be two different symbols', example });
+      }
+      pair.filter(symbol => !symbols.includes(symbol)).forEach(symbol => symbols.push(symbol));
+    }
+
+    if (symbols.length < 2) {
+      return res.status(400).json({ error: 'At least two symbols are required', example });
+    }
+
+    const window = req.query.window === undefined ? 60 : Number(req.query.window);
+    if (!Number.isInteger(window) || window < 5) {
+      return res.status(400).json({ error: 'window must be a whole number of trading days, at least 5', example });
+    }
+
+    if (adjustment && !splitAdjustmentService.isValidAdjustment(adjustment)) {
+      return res.status(400).json({
+        error: `Invalid adjustment "${adjustment}"`,
+        example: { adjustment: 'raw | split | total' }
+      });
+    }
+
+    const options = { window };
+    if (pair) options.pair = pair;
+    if (startDate) options.startDate = startDate;
+    if (endDate) options.endDate = endDate;
+    if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
+
+    const result = await correlationService.getCorrelation(symbols, options);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error computing correlations:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
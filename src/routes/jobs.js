@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const jobQueueService = require('../services/jobQueueService');
+
+// List recent jobs
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+
+    const jobs = await jobQueueService.listJobs({
+      status,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      count: jobs.length,
+      data: jobs
+    });
+
+  } catch (error) {
+    console.error('Error listing jobs:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get job status with per-symbol progress
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await jobQueueService.getJob(parseInt(id));
+
+    if (!job) {
+      return res.status(404).json({ error: `Job ${id} not found` });
+    }
+
+    res.json({ data: job });
+
+  } catch (error) {
+    console.error('Error fetching job:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const savedQueryService = require('../services/savedQueryService');
+const queryService = require('../services/queryService');
+
+const EXAMPLE = {
+  name: 'goldenCross',
+  expression: '$sma(data.close, $fast)[0] > $sma(data.close, $slow)[0]',
+  label: 'Golden Cross Active',
+  chartType: 'stat',
+  format: null,
+  category: 'signals',
+  description: 'Fast SMA above the slow SMA',
+  parameters: [
+    { name: 'fast', type: 'integer', default: 50, min: 1, max: 500, label: 'Fast SMA' },
+    { name: 'slow', type: 'integer', default: 200, min: 1, max: 500, label: 'Slow SMA' }
+  ]
+};
+
+// Saved queries may not take the name of a built-in template
+function isBuiltInName(name) {
+  return Object.values(queryService.getQueryTemplates()).some(templates => name in templates);
+}
+
+// List saved queries (?category=)
+router.get('/', async (req, res) => {
+  try {
+    const { category } = req.query;
+    const queries = await savedQueryService.listSavedQueries({ category });
+
+    res.json({
+      count: queries.length,
+      data: queries
+    });
+
+  } catch (error) {
+    console.error('Error listing saved queries:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single saved query
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const query = await savedQueryService.getSavedQuery(parseInt(id));
+
+    if (!query) {
+      return res.status(404).json({ error: `Saved query ${id} not found` });
+    }
+
+    res.json({ data: query });
+
+  } catch (error) {
+    console.error('Error fetching saved query:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a query
+router.post('/', async (req, res) => {
+  try {
+    const problem = await savedQueryService.validateSavedQuery(req.body);
+    if (problem) {
+      return res.status(400).json({ error: problem, example: EXAMPLE });
+    }
+
+    if (isBuiltInName(req.body.name)) {
+      return res.status(409).json({ error: `${req.body.name} is a built-in template name` });
+    }
+
+    const query = await savedQueryService.createSavedQuery(req.body);
+    res.status(201).json({ data: query, message: 'Query saved successfully' });
+
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: `A saved query named ${req.body.name} already exists` });
+    }
+    console.error('Error saving query:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a saved query (only the fields given)
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const problem = await savedQueryService.validateSavedQuery(req.body, true);
+    if (problem) {
+      return res.status(400).json({ error: problem, example: EXAMPLE });
+    }
+
+    if (req.body.name !== undefined && isBuiltInName(req.body.name)) {
+      return res.status(409).json({ error: `${req.body.name} is a built-in template name` });
+    }
+
+    const query = await savedQueryService.updateSavedQuery(parseInt(id), req.body);
+
+    if (!query) {
+      return res.status(404).json({ error: `Saved query ${id} not found` });
+    }
+
+    res.json({ data: query, message: 'Query updated successfully' });
+
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: `A saved query named ${req.body.name} already exists` });
+    }
+    console.error('Error updating saved query:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a saved query
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await savedQueryService.deleteSavedQuery(parseInt(id));
+
+    if (!deleted) {
+      return res.status(404).json({ error: `Saved query ${id} not found` });
+    }
+
+    res.json({ message: 'Query deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting saved query:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const schedulerService = require('../services/schedulerService');
+
+// List all scheduled tasks
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await schedulerService.getSchedules();
+
+    res.json({
+      timeZone: schedulerService.timeZone,
+      count: schedules.length,
+      data: schedules
+    });
+
+  } catch (error) {
+    console.error('Error listing schedules:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single scheduled task
+router.get('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const schedule = await schedulerService.getSchedule(name);
+
+    if (!schedule) {
+      return res.status(404).json({ error: `Scheduled task ${name} not found` });
+    }
+
+    res.json({ data: schedule });
+
+  } catch (error) {
+    console.error('Error fetching schedule:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a scheduled task's cron and/or enabled flag
+router.put('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { cron, enabled } = req.body;
+
+    if (!(await schedulerService.getSchedule(name))) {
+      return res.status(404).json({ error: `Scheduled task ${name} not found` });
+    }
+
+    if (cron === undefined && enabled === undefined) {
+      return res.status(400).json({
+        error: 'cron or enabled is required',
+        example: {
+          cron: '30 16 * * 1-5',
+          enabled: true
+        },
+        note: 'Set cron to null to fall back to the environment/default schedule'
+      });
+    }
+
+    if (cron) {
+      const validation = schedulerService.validateCron(cron);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+    }
+
+    const schedule = await schedulerService.updateSchedule(name, { cron, enabled });
+
+    res.json({
+      message: `Schedule ${name} updated successfully`,
+      data: schedule
+    });
+
+  } catch (error) {
+    console.error('Error updating schedule:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a scheduled task immediately
+router.post('/:name/run', async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!(await schedulerService.getSchedule(name))) {
+      return res.status(404).json({ error: `Scheduled task ${name} not found` });
+    }
+
+    const outcome = await schedulerService.runTask(name);
+
+    res.status(outcome.jobId ? 202 : 200).json({
+      message: `Scheduled task ${name}: ${outcome.status}`,
+      jobId: outcome.jobId,
+      statusUrl: outcome.jobId ? `/api/jobs/${outcome.jobId}` : null,
+      data: outcome
+    });
+
+  } catch (error) {
+    console.error('Error running scheduled task:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
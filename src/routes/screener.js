@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const screenerService = require('../services/screenerService');
+const splitAdjustmentService = require('../services/splitAdjustmentService');
+
+const EXAMPLE = {
+  name: 'oversoldUptrend',
+  description: 'Above the 200-day average with RSI under 30, strongest 3-month return first',
+  filter: 'data[0].close > $sma(data.close, 200)[0] and $rsi(data.close)[0] < 30',
+  rank: '(data[0].close - data[63].close) / data[63].close * 100',
+  sort: 'desc',
+  columns: {
+    rsi: '$rsi(data.close)[0]',
+    sma200: '$sma(data.close, 200)[0]'
+  }
+};
+
+// Run a screen across the tracked symbols (body: a screen, or { screen: name or id } for a saved one)
+router.post('/', async (req, res) => {
+  try {
+    const { top, endDate, symbols } = req.body;
+    const adjustment = req.body.adjustment || req.query.adjustment;
+
+    let screen = req.body;
+    if (req.body.screen !== undefined) {
+      screen = await screenerService.getScreen(req.body.screen);
+      if (!screen) {
+        return res.status(404).json({
+          error: `Screen ${req.body.screen} not found`,
+          suggestion: 'List saved screens with GET /api/screener/screens'
+        });
+      }
+    }
+
+    const problem = screenerService.validateScreen(screen);
+    if (problem) {
+      return res.status(400).json({ error: problem, example: EXAMPLE });
+    }
+
+    if (adjustment && !splitAdjustmentService.isValidAdjustment(adjustment)) {
+      return res.status(400).json({
+        error: `Invalid adjustment "${adjustment}"`,
+        example: { adjustment: 'raw | split | total' }
+      });
+    }
+
+    if (top !== undefined && (!Number.isInteger(top) || top < 1)) {
+      return res.status(400).json({ error: 'top must be a whole number, at least 1', example: { ...EXAMPLE, top: 10 } });
+    }
+
+    if (symbols !== undefined && (!Array.isArray(symbols) || symbols.length === 0)) {
+      return res.status(400).json({ error: 'symbols must be a non-empty array', example: { ...EXAMPLE, symbols: ['NVDA', 'AAPL'] } });
+    }
+
+    const options = {};
+    if (top) options.top = top;
+    if (endDate) options.endDate = endDate;
+    if (adjustment) options.adjustment = adjustment;
+    if (symbols) options.symbols = symbols.map(symbol => String(symbol).toUpperCase());
+
+    const result = await screenerService.runScreen(screen, options);
+
+    res.json(screen.id ? { ...result, screen: screen.name } : result);
+
+  } catch (error) {
+    console.error('Error running screen:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List saved screens
+router.get('/screens', async (req, res) => {
+  try {
+    const screens = await screenerService.listScreens();
+
+    res.json({
+      count: screens.length,
+      data: screens
+    });
+
+  } catch (error) {
+    console.error('Error listing saved screens:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single saved screen by id or name
+router.get('/screens/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const screen = await screenerService.getScreen(id);
+
+    if (!screen) {
+      return res.status(404).json({ error: `Screen ${id} not found` });
+    }
+
+    res.json({ data: screen });
+
+  } catch (error) {
+    console.error('Error fetching saved screen:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a screen
+router.post('/screens', async (req, res) => {
+  try {
+    const problem = screenerService.validateScreen(req.body, { requireName: true });
+    if (problem) {
+      return res.status(400).json({ error: problem, example: EXAMPLE });
+    }
+
+    const screen = await screenerService.createScreen(req.body);
+    res.status(201).json({ data: screen, message: 'Screen saved successfully' });
+
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: `A screen named ${req.body.name} already exists` });
+    }
+    console.error('Error saving screen:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a saved screen (only the fields given)
+router.put('/screens/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const problem = screenerService.validateScreen(req.body, { requireName: true, partial: true });
+    if (problem) {
+      return res.status(400).json({ error: problem, example: EXAMPLE });
+    }
+
+    const screen = await screenerService.updateScreen(parseInt(id), req.body);
+
+    if (!screen) {
+      return res.status(404).json({ error: `Screen ${id} not found` });
+    }
+
+    res.json({ data: screen, message: 'Screen updated successfully' });
+
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: `A screen named ${req.body.name} already exists` });
+    }
+    console.error('Error updating saved screen:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a saved screen
+router.delete('/screens/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await screenerService.deleteScreen(parseInt(id));
+
+    if (!deleted) {
+      return res.status(404).json({ error: `Screen ${id} not found` });
+    }
+
+    res.json({ message: 'Screen deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting saved screen:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
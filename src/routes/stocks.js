@@ -3,10 +3,72 @@ const router = express.Router();
 const db = require('../database');
 const dataRefreshService = require('../services/dataRefreshService');
 const dataInitService = require('../services/dataInitService');
-const alphaVantageService = require('../services/alphaVantageService');
+const marketDataService = require('../services/marketDataService');
+const apiQuotaService = require('../services/apiQuotaService');
 const queryService = require('../services/queryService');
+const querySandboxService = require('../services/querySandboxService');
+const queryCacheService = require('../services/queryCacheService');
+const queryValidationService = require('../services/queryValidationService');
+const riskAnalyticsService = require('../services/riskAnalyticsService');
+const candlestickPatternService = require('../services/candlestickPatternService');
+const supportResistanceService = require('../services/supportResistanceService');
+const seasonalityService = require('../services/seasonalityService');
 const splitAdjustmentService = require('../services/splitAdjustmentService');
+const splitReconciliationService = require('../services/splitReconciliationService');
+const splitDetectionService = require('../services/splitDetectionService');
+const corporateActionService = require('../services/corporateActionService');
+const dividendService = require('../services/dividendService');
 const priceService = require('../services/priceService');
+const jobQueueService = require('../services/jobQueueService');
+
+// Send a 400 for an unknown ?adjustment= value; returns true when the request was rejected
+function rejectInvalidAdjustment(adjustment, res) {
+  if (!adjustment || splitAdjustmentService.isValidAdjustment(adjustment)) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: `Invalid adjustment "${adjustment}"`,
+    example: { adjustment: 'raw | split | total' }
+  });
+  return true;
+}
+
+// Send a 400 for an unknown ?order= value; returns true when the request was rejected
+function rejectInvalidOrder(order, res) {
+  if (!order || dataRefreshService.isValidOrder(order)) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: `Invalid order "${order}"`,
+    example: { order: 'asc | desc' }
+  });
+  return true;
+}
+
+// Send a 400 unless params (bound as $name with a raw expression) maps names to numbers,
+// strings or booleans; returns true when the request was rejected
+function rejectInvalidParams(params, res) {
+  const valid = params === undefined || (
+    params !== null && typeof params === 'object' && !Array.isArray(params) &&
+    Object.values(params).every(value => ['number', 'string', 'boolean'].includes(typeof value))
+  );
+  if (valid) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'params must be an object of numbers, strings or booleans, bound as $name',
+    example: { params: { period: 50 } }
+  });
+  return true;
+}
+
+// Send a query result; one stopped by a sandbox limit gets 408 (time) or 422 (depth, size, memory)
+function sendQueryResult(result, res) {
+  res.status(querySandboxService.getStatusCode(result) || 200).json(result);
+}
 
 // === UTILITY ENDPOINTS (must come before parameterized routes) ===
 
@@ -30,10 +92,13 @@ router.get('/tracked', async (req, res) => {
 router.get('/summary', async (req, res) => {
   try {
     const summary = await dataRefreshService.getDataSummary();
+    const apiBudget = await apiQuotaService.getBudget();
     
     res.json({ 
       data: summary,
-      apiConfigured: alphaVantageService.isConfigured()
+      apiConfigured: marketDataService.isConfigured(),
+      providers: marketDataService.getProviderInfo(),
+      apiBudget
     });
 
   } catch (error) {
@@ -59,7 +124,7 @@ router.get('/init/status', async (req, res) => {
     
     res.json({ 
       data: status,
-      apiConfigured: alphaVantageService.isConfigured()
+      apiConfigured: marketDataService.isConfigured()
     });
 
   } catch (error) {
@@ -72,9 +137,18 @@ router.get('/init/status', async (req, res) => {
 router.get('/splits/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const splitSummary = await splitAdjustmentService.getSplitSummary(symbol);
+    // Include splits recorded under earlier or later tickers (e.g. SQ for XYZ)
+    const { linkedSymbols, actions } = await corporateActionService.getCorporateActions(symbol);
+    const splitSummary = await splitAdjustmentService.getSplitSummary(
+      symbol,
+      linkedSymbols.map(segment => segment.symbol)
+    );
     
-    res.json(splitSummary);
+    res.json({
+      ...splitSummary,
+      linkedSymbols,
+      corporateActions: actions.filter(action => action.type === 'spinoff' || action.type === 'rename')
+    });
 
   } catch (error) {
     console.error('Error getting split information:', error.message);
@@ -139,9 +213,9 @@ router.post('/splits/:symbol', async (req, res) => {
     const { symbol } = req.params;
     const { split_date, split_ratio, description } = req.body;
 
-    if (!split_date || !split_ratio) {
+    if (!split_date || !(parseFloat(split_ratio) > 0)) {
       return res.status(400).json({ 
-        error: 'split_date and split_ratio are required',
+        error: 'split_date and a positive split_ratio are required (below 1 for a reverse split)',
         example: {
           split_date: '2024-06-07',
           split_ratio: 10.0,
@@ -154,14 +228,16 @@ router.post('/splits/:symbol', async (req, res) => {
       symbol, 
       split_date, 
       parseFloat(split_ratio), 
-      description || `${split_ratio}-for-1 stock split`
+      description || splitAdjustmentService.describeSplitRatio(parseFloat(split_ratio))
     );
 
     if (success) {
+      const reconciliation = await splitReconciliationService.reconcile(symbol);
       const updatedSummary = await splitAdjustmentService.getSplitSummary(symbol);
       res.json({
         message: `Stock split added successfully for ${symbol.toUpperCase()}`,
-        data: updatedSummary
+        data: updatedSummary,
+        reconciliation
       });
     } else {
       res.status(500).json({ error: 'Failed to add stock split' });
@@ -173,6 +249,265 @@ router.post('/splits/:symbol', async (req, res) => {
   }
 });
 
+// Reconcile stored history with the symbol's splits (?dryRun=true to preview)
+router.post('/splits/:symbol/reconcile', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const dryRun = String(req.body?.dryRun ?? req.query.dryRun ?? 'false') === 'true';
+
+    const report = await splitReconciliationService.reconcile(symbol, { dryRun });
+
+    res.json({
+      message: dryRun
+        ? `Dry run: ${report.newSplits.length} unreconciled split(s), ${report.convertedRows} legacy row(s) would be converted`
+        : `Reconciled ${symbol.toUpperCase()}: ${report.newSplits.length} split(s), ${report.convertedRows} legacy row(s) converted`,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error reconciling splits:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the split reconciliation audit log for a symbol
+router.get('/splits/:symbol/reconciliations', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { limit = 50 } = req.query;
+
+    const reconciliations = await splitReconciliationService.getReconciliations(symbol, parseInt(limit));
+
+    res.json({
+      symbol: symbol.toUpperCase(),
+      count: reconciliations.length,
+      data: reconciliations
+    });
+
+  } catch (error) {
+    console.error('Error getting split reconciliations:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scan stored prices for splits missing from stock_splits
+router.get('/splits/:symbol/suspected', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { tolerance, minConfidence, includeKnown } = req.query;
+
+    const options = {};
+    if (tolerance) options.tolerance = parseFloat(tolerance);
+    if (minConfidence) options.minConfidence = parseFloat(minConfidence);
+    if (includeKnown) options.includeKnown = includeKnown === 'true';
+
+    const result = await splitDetectionService.detectSplits(symbol, options);
+
+    res.json({
+      message: `${result.candidates.length} suspected split(s) for ${result.symbol}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error detecting splits:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm a suspected split into stock_splits
+router.post('/splits/:symbol/suspected/:date/confirm', async (req, res) => {
+  try {
+    const { symbol, date } = req.params;
+    const { split_ratio } = req.body || {};
+
+    // split_ratio is optional and overrides the suggested ratio
+    const hasRatio = split_ratio !== undefined && split_ratio !== null;
+    if (hasRatio && !(parseFloat(split_ratio) > 0)) {
+      return res.status(400).json({ 
+        error: 'split_ratio must be a positive number (below 1 for a reverse split)',
+        example: { split_ratio: 4.0 }
+      });
+    }
+
+    const result = await splitDetectionService.confirmSuspectedSplit(
+      symbol,
+      date,
+      hasRatio ? parseFloat(split_ratio) : null
+    );
+
+    if (!result) {
+      return res.status(404).json({ 
+        error: `No suspected split for ${symbol.toUpperCase()} on ${date}`,
+        suggestion: `Use GET /api/stocks/splits/${symbol}/suspected to scan for candidates first`
+      });
+    }
+
+    res.json({
+      message: `Confirmed ${result.split.description} for ${result.split.symbol} on ${date}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error confirming suspected split:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dismiss a suspected split
+router.post('/splits/:symbol/suspected/:date/dismiss', async (req, res) => {
+  try {
+    const { symbol, date } = req.params;
+
+    const dismissed = await splitDetectionService.dismissSuspectedSplit(symbol, date);
+
+    if (!dismissed) {
+      return res.status(404).json({ error: `No suspected split for ${symbol.toUpperCase()} on ${date}` });
+    }
+
+    res.json({ message: `Dismissed suspected split for ${symbol.toUpperCase()} on ${date}` });
+
+  } catch (error) {
+    console.error('Error dismissing suspected split:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get splits, reverse splits, spin-offs and ticker renames for a symbol
+router.get('/corporate-actions/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const corporateActions = await corporateActionService.getCorporateActions(symbol);
+
+    res.json(corporateActions);
+
+  } catch (error) {
+    console.error('Error getting corporate actions:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a corporate action (for maintenance)
+router.post('/corporate-actions/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { action_type, effective_date, ratio, new_symbol, distribution_ratio, cost_basis_allocation, description } = req.body;
+
+    const splitRatio = parseFloat(ratio);
+    const allocation = cost_basis_allocation !== undefined ? parseFloat(cost_basis_allocation) : null;
+    let problem = null;
+    if (!corporateActionService.isValidActionType(action_type) || !effective_date) {
+      problem = 'action_type (split, reverse_split, spinoff or rename) and effective_date are required';
+    } else if (action_type === 'split' && !(splitRatio > 1)) {
+      problem = 'A split needs a ratio above 1';
+    } else if (action_type === 'reverse_split' && !(splitRatio > 0 && splitRatio < 1)) {
+      problem = 'A reverse split needs a ratio between 0 and 1 (0.1 for 1-for-10)';
+    } else if ((action_type === 'spinoff' || action_type === 'rename') && !new_symbol) {
+      problem = `A ${action_type} needs new_symbol`;
+    } else if (allocation !== null && !(allocation > 0 && allocation < 1)) {
+      problem = 'cost_basis_allocation is the fraction of basis moved to the spun-off shares, between 0 and 1';
+    }
+
+    if (problem) {
+      return res.status(400).json({
+        error: problem,
+        example: {
+          action_type: 'spinoff',
+          effective_date: '2015-07-20',
+          new_symbol: 'PYPL',
+          distribution_ratio: 1.0,
+          cost_basis_allocation: 0.6
+        }
+      });
+    }
+
+    const result = await corporateActionService.addCorporateAction({
+      symbol,
+      type: action_type,
+      effectiveDate: effective_date,
+      ratio: splitRatio,
+      newSymbol: new_symbol,
+      distributionRatio: distribution_ratio !== undefined ? parseFloat(distribution_ratio) : null,
+      costBasisAllocation: allocation,
+      description
+    });
+
+    res.json({
+      message: `Corporate action added successfully for ${symbol.toUpperCase()}`,
+      ...result,
+      data: await corporateActionService.getCorporateActions(symbol)
+    });
+
+  } catch (error) {
+    console.error('Error adding corporate action:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Allocate a position's cost basis across a spin-off (?cost_basis=1000&shares=10)
+router.get('/corporate-actions/:symbol/cost-basis', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { cost_basis, shares, date } = req.query;
+
+    const allocation = await corporateActionService.allocateCostBasis(symbol, {
+      costBasis: cost_basis !== undefined ? parseFloat(cost_basis) : null,
+      shares: shares !== undefined ? parseFloat(shares) : null,
+      date
+    });
+
+    if (!allocation) {
+      return res.status(404).json({
+        error: `No spin-off recorded for ${symbol.toUpperCase()}${date ? ` on ${date}` : ''}`,
+        suggestion: `Use GET /api/stocks/corporate-actions/${symbol} to list its corporate actions`
+      });
+    }
+
+    res.json(allocation);
+
+  } catch (error) {
+    console.error('Error allocating cost basis:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get dividend history for a symbol
+router.get('/dividends/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const dividendSummary = await dividendService.getDividendSummary(symbol);
+
+    res.json(dividendSummary);
+
+  } catch (error) {
+    console.error('Error getting dividend information:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fetch dividend history from the provider
+router.post('/dividends/:symbol/refresh', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+
+    if (!marketDataService.isConfigured(symbol)) {
+      return res.status(503).json({ 
+        error: marketDataService.getNotConfiguredMessage(symbol)
+      });
+    }
+
+    const result = await dividendService.fetchAndStoreDividends(symbol);
+
+    res.json({
+      message: `Dividends refreshed for ${symbol.toUpperCase()}: ${result.inserted} new, ${result.skipped} existing`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error refreshing dividends:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // === REAL-TIME PRICE ENDPOINTS ===
 
 // Get current price from price service (yfinance)
@@ -266,15 +601,17 @@ router.get('/current-quote/:symbol', async (req, res) => {
 // === JSONATA QUERY ENDPOINTS ===
 
 // Get query templates
-router.get('/query/templates', (req, res) => {
+router.get('/query/templates', async (req, res) => {
   try {
-    const templates = queryService.getQueryTemplates();
+    // Built-ins first; saved queries join their category (or 'saved')
+    const templates = await queryService.getAllTemplates();
     
     res.json({
       message: 'Available JSONata query templates',
       templates: templates,
       examples: {
         customQuery: '/api/stocks/query/NVDA?expression=$max(data.close)&startDate=2020-01-01',
+        template: '/api/stocks/query/NVDA?template=movingAverage20&params[period]=50',
         globalHighLow: '/api/stocks/query/NVDA/high-low?startDate=2020-01-01',
         performance: '/api/stocks/query/AAPL/performance?startDate=2020-01-01'
       }
@@ -286,32 +623,168 @@ router.get('/query/templates', (req, res) => {
   }
 });
 
-// Execute custom JSONata query
+// Query cache diagnostics: result and compiled expression hit/miss counts
+router.get('/query/cache', (req, res) => {
+  try {
+    res.json({
+      ...queryCacheService.getStats(),
+      limits: querySandboxService.limits
+    });
+
+  } catch (error) {
+    console.error('Error getting query cache stats:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Empty the query result cache
+router.delete('/query/cache', (req, res) => {
+  try {
+    queryCacheService.clear();
+    res.json({ message: 'Query result cache cleared', ...queryCacheService.getStats() });
+
+  } catch (error) {
+    console.error('Error clearing query cache:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Parse an expression without running it: error location, referenced names and cost
+router.post('/query/validate', async (req, res) => {
+  try {
+    const { expression, parameters, symbols, limit } = req.body;
+
+    if (!expression || typeof expression !== 'string') {
+      return res.status(400).json({
+        error: 'JSONata expression is required',
+        example: {
+          expression: '$sma(data.close, $period)[0]',
+          parameters: ['period'],
+          limit: 1000
+        }
+      });
+    }
+
+    // Accept parameter names or the definitions saved with a template
+    const parameterNames = (Array.isArray(parameters) ? parameters : [])
+      .map(parameter => typeof parameter === 'string' ? parameter : parameter?.name)
+      .filter(Boolean);
+
+    const result = await queryValidationService.validateExpression(expression, {
+      parameters: parameterNames,
+      symbols: typeof symbols === 'string' ? symbols.split(',') : symbols,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({ expression, ...result });
+
+  } catch (error) {
+    console.error('Error validating query:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Execute JSONata against several symbols with date-aligned rows
+router.post('/query', async (req, res) => {
+  try {
+    const { expression, queries, startDate, endDate, limit } = req.body;
+    const adjustment = req.body.adjustment || req.query.adjustment;
+    const order = req.body.order || req.query.order;
+    const symbols = typeof req.body.symbols === 'string' ? req.body.symbols.split(',') : req.body.symbols;
+
+    if (!Array.isArray(symbols) || symbols.length === 0 || (!expression && (!queries || typeof queries !== 'object'))) {
+      return res.status(400).json({
+        error: 'symbols and either expression or queries are required',
+        example: {
+          symbols: ['NVDA', 'AMD'],
+          expression: 'aligned.{"date": date, "ratio": NVDA.close / AMD.close}',
+          queries: {
+            nvdaReturn: '(aligned[0].NVDA.close - aligned[-1].NVDA.close) / aligned[-1].NVDA.close * 100',
+            amdReturn: '(aligned[0].AMD.close - aligned[-1].AMD.close) / aligned[-1].AMD.close * 100'
+          }
+        }
+      });
+    }
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
+    if (rejectInvalidOrder(order, res)) return;
+
+    const options = {};
+    if (startDate) options.startDate = startDate;
+    if (endDate) options.endDate = endDate;
+    if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
+    if (order) options.order = order;
+
+    const uniqueSymbols = [...new Set(symbols.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean))];
+    const result = await queryService.executeMultiSymbolQuery(uniqueSymbols, expression || queries, options);
+
+    sendQueryResult(result, res);
+
+  } catch (error) {
+    console.error('Error executing multi-symbol query:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Execute custom JSONata query, or a template with ?template=name&params[period]=50
 router.get('/query/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { expression, startDate, endDate, limit } = req.query;
+    const { expression, template: templateName, params, startDate, endDate, limit, adjustment, order } = req.query;
 
-    if (!expression) {
+    if (!expression && !templateName) {
       return res.status(400).json({ 
-        error: 'JSONata expression is required',
+        error: 'JSONata expression or template name is required',
         examples: {
           globalHigh: '$max(data.high)',
           globalLow: '$min(data.low)',
           avgClose: '$average(data.close)',
-          volatility: '$sqrt($average($map(data[0..$count(data)-2], function($v, $i) { $power((data[$i].close - data[$i+1].close) / data[$i+1].close, 2) }))) * 100'
+          volatility: '$sqrt($average($map(data[0..$count(data)-2], function($v, $i) { $power((data[$i].close - data[$i+1].close) / data[$i+1].close, 2) }))) * 100',
+          template: '?template=movingAverage20&params[period]=50'
         }
       });
     }
 
+    if (rejectInvalidAdjustment(adjustment, res)) return;
+    if (rejectInvalidOrder(order, res)) return;
+
     const options = {};
     if (startDate) options.startDate = startDate;
     if (endDate) options.endDate = endDate;
     if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
+    if (order) options.order = order;
 
-    const result = await queryService.executeQuery(symbol.toUpperCase(), expression, options);
-    
-    res.json(result);
+    if (!templateName) {
+      const result = await queryService.executeQuery(symbol.toUpperCase(), expression, options);
+      return sendQueryResult(result, res);
+    }
+
+    const template = await queryService.getTemplate(templateName);
+    if (!template) {
+      return res.status(404).json({
+        error: `Template ${templateName} not found`,
+        suggestion: 'List templates with GET /api/stocks/query/templates'
+      });
+    }
+
+    const { values, problem } = queryService.resolveTemplateParameters(
+      template,
+      params && typeof params === 'object' ? params : {}
+    );
+    if (problem) {
+      return res.status(400).json({ error: problem, parameters: template.parameters });
+    }
+
+    // Templates are written against newest-first data
+    const result = await queryService.executeQuery(symbol.toUpperCase(), template.expression, {
+      ...options,
+      order: 'desc',
+      bindings: values
+    });
+
+    sendQueryResult({ ...result, template: template.name, parameters: values }, res);
 
   } catch (error) {
     console.error('Error executing query:', error.message);
@@ -323,7 +796,9 @@ router.get('/query/:symbol', async (req, res) => {
 router.post('/query/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { queries, startDate, endDate, limit } = req.body;
+    const { queries, params, startDate, endDate, limit } = req.body;
+    const adjustment = req.body.adjustment || req.query.adjustment;
+    const order = req.body.order || req.query.order;
 
     if (!queries || typeof queries !== 'object') {
       return res.status(400).json({ 
@@ -338,10 +813,17 @@ router.post('/query/:symbol', async (req, res) => {
       });
     }
 
+    if (rejectInvalidAdjustment(adjustment, res)) return;
+    if (rejectInvalidOrder(order, res)) return;
+    if (rejectInvalidParams(params, res)) return;
+
     const options = {};
     if (startDate) options.startDate = startDate;
     if (endDate) options.endDate = endDate;
     if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
+    if (order) options.order = order;
+    if (params) options.bindings = params;
 
     const result = await queryService.executeMultipleQueries(symbol.toUpperCase(), queries, options);
     
@@ -353,16 +835,96 @@ router.post('/query/:symbol', async (req, res) => {
   }
 });
 
+// Evaluate an expression or template over a sliding window, returning a dated series
+router.post('/query/:symbol/rolling', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { expression, template: templateName, params, startDate, endDate } = req.body;
+    const adjustment = req.body.adjustment || req.query.adjustment;
+    const order = req.body.order || req.query.order;
+    const window = Number(req.body.window);
+    const step = req.body.step === undefined ? 1 : Number(req.body.step);
+
+    const example = {
+      template: 'bollingerB',
+      params: { period: 20 },
+      window: 20,
+      step: 1,
+      startDate: '2024-01-01',
+      endDate: '2024-12-31'
+    };
+
+    if (!expression && !templateName) {
+      return res.status(400).json({ error: 'JSONata expression or template name is required', example });
+    }
+
+    if (!Number.isInteger(window) || window < 1) {
+      return res.status(400).json({ error: 'window must be a whole number of rows, at least 1', example });
+    }
+
+    if (!Number.isInteger(step) || step < 1) {
+      return res.status(400).json({ error: 'step must be a whole number of rows, at least 1', example });
+    }
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
+    if (rejectInvalidOrder(order, res)) return;
+
+    const options = { window, step };
+    if (startDate) options.startDate = startDate;
+    if (endDate) options.endDate = endDate;
+    if (adjustment) options.adjustment = adjustment;
+    if (order) options.order = order;
+
+    if (!templateName) {
+      if (rejectInvalidParams(params, res)) return;
+      const result = await queryService.executeRollingQuery(symbol.toUpperCase(), expression, { ...options, bindings: params });
+      return sendQueryResult(result, res);
+    }
+
+    const template = await queryService.getTemplate(templateName);
+    if (!template) {
+      return res.status(404).json({
+        error: `Template ${templateName} not found`,
+        suggestion: 'List templates with GET /api/stocks/query/templates'
+      });
+    }
+
+    const { values, problem } = queryService.resolveTemplateParameters(
+      template,
+      params && typeof params === 'object' ? params : {}
+    );
+    if (problem) {
+      return res.status(400).json({ error: problem, parameters: template.parameters });
+    }
+
+    // Templates are written against newest-first data
+    const result = await queryService.executeRollingQuery(symbol.toUpperCase(), template.expression, {
+      ...options,
+      order: 'desc',
+      bindings: values
+    });
+
+    sendQueryResult({ ...result, template: template.name, parameters: values }, res);
+
+  } catch (error) {
+    console.error('Error executing rolling query:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Global high/low analysis
 router.get('/query/:symbol/high-low', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { startDate, endDate, limit } = req.query;
+    const { startDate, endDate, limit, adjustment } = req.query;
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
 
     const options = {};
     if (startDate) options.startDate = startDate;
     if (endDate) options.endDate = endDate;
     if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
 
     const result = await queryService.getGlobalHighLow(symbol.toUpperCase(), options);
     
@@ -378,12 +940,15 @@ router.get('/query/:symbol/high-low', async (req, res) => {
 router.get('/query/:symbol/volume', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { startDate, endDate, limit } = req.query;
+    const { startDate, endDate, limit, adjustment } = req.query;
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
 
     const options = {};
     if (startDate) options.startDate = startDate;
     if (endDate) options.endDate = endDate;
     if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
 
     const result = await queryService.getVolumeStats(symbol.toUpperCase(), options);
     
@@ -399,12 +964,15 @@ router.get('/query/:symbol/volume', async (req, res) => {
 router.get('/query/:symbol/performance', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { startDate, endDate, limit } = req.query;
+    const { startDate, endDate, limit, adjustment } = req.query;
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
 
     const options = {};
     if (startDate) options.startDate = startDate;
     if (endDate) options.endDate = endDate;
     if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
 
     const result = await queryService.getPricePerformance(symbol.toUpperCase(), options);
     
@@ -416,16 +984,81 @@ router.get('/query/:symbol/performance', async (req, res) => {
   }
 });
 
+// Risk and performance analytics
+router.get('/query/:symbol/risk', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { startDate, endDate, limit, adjustment, benchmark, riskFreeRate, confidence, window, windows } = req.query;
+
+    const example = {
+      benchmark: 'SPY',
+      riskFreeRate: 0.04,
+      confidence: 0.95,
+      window: 5,
+      windows: 3,
+      adjustment: 'total'
+    };
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
+
+    const options = {};
+    if (startDate) options.startDate = startDate;
+    if (endDate) options.endDate = endDate;
+    if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
+    if (benchmark) options.benchmark = benchmark.toUpperCase();
+
+    if (riskFreeRate !== undefined) {
+      options.riskFreeRate = Number(riskFreeRate);
+      if (Number.isNaN(options.riskFreeRate) || options.riskFreeRate <= -1 || options.riskFreeRate >= 1) {
+        return res.status(400).json({ error: 'riskFreeRate must be an annual rate as a fraction, e.g. 0.04 for 4%', example });
+      }
+    }
+
+    if (confidence !== undefined) {
+      options.confidence = Number(confidence);
+      if (!(options.confidence >= 0.5 && options.confidence < 1)) {
+        return res.status(400).json({ error: 'confidence must be between 0.5 and 1, e.g. 0.95', example });
+      }
+    }
+
+    if (window !== undefined) {
+      options.windowDays = Number(window);
+      if (!Number.isInteger(options.windowDays) || options.windowDays < 1) {
+        return res.status(400).json({ error: 'window must be a whole number of trading days, at least 1', example });
+      }
+    }
+
+    if (windows !== undefined) {
+      options.windowCount = Number(windows);
+      if (!Number.isInteger(options.windowCount) || options.windowCount < 1 || options.windowCount > 50) {
+        return res.status(400).json({ error: 'windows must be a whole number between 1 and 50', example });
+      }
+    }
+
+    const result = await riskAnalyticsService.getRiskMetrics(symbol.toUpperCase(), options);
+    
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error getting risk metrics:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Moving averages
 router.get('/query/:symbol/moving-averages', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { periods, startDate, endDate, limit } = req.query;
+    const { periods, startDate, endDate, limit, adjustment } = req.query;
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
 
     const options = {};
     if (startDate) options.startDate = startDate;
     if (endDate) options.endDate = endDate;
     if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
 
     // Parse periods if provided
     let periodsArray = [20, 50, 200]; // default
@@ -443,18 +1076,146 @@ router.get('/query/:symbol/moving-averages', async (req, res) => {
   }
 });
 
-// Price patterns and conditions
+// Seasonality: returns by month, weekday, day of month, around holidays and earnings dates
+router.get('/query/:symbol/seasonality', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { startDate, endDate, limit, adjustment, earnings, earningsWindow } = req.query;
+
+    const example = { startDate: '2015-01-01', earnings: '2024-01-25,2024-04-23', earningsWindow: 5 };
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
+
+    const options = {};
+    if (startDate) options.startDate = startDate;
+    if (endDate) options.endDate = endDate;
+    if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
+
+    if (earnings !== undefined) {
+      options.earnings = String(earnings).split(',').map(date => date.trim()).filter(Boolean);
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      const invalid = options.earnings.filter(date => !datePattern.test(date));
+      if (options.earnings.length === 0 || invalid.length > 0) {
+        return res.status(400).json({
+          error: 'earnings must be a comma-separated list of YYYY-MM-DD dates',
+          invalid,
+          example
+        });
+      }
+    }
+
+    if (earningsWindow !== undefined) {
+      options.earningsWindow = Number(earningsWindow);
+      if (!Number.isInteger(options.earningsWindow) || options.earningsWindow < 1 || options.earningsWindow > 30) {
+        return res.status(400).json({ error: 'earningsWindow must be a whole number of bars between 1 and 30', example });
+      }
+    }
+
+    const result = await seasonalityService.getSeasonality(symbol.toUpperCase(), options);
+    
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error computing seasonality:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Support/resistance zones from clustered swing points, and pivot points
+router.get('/query/:symbol/levels', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { startDate, endDate, limit, adjustment, window, tolerance, minTouches, pivotPeriod } = req.query;
+
+    const example = { window: 5, tolerance: 0.015, minTouches: 2, pivotPeriod: 'day | week | month' };
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
+
+    const options = {};
+    if (startDate) options.startDate = startDate;
+    if (endDate) options.endDate = endDate;
+    if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
+
+    if (window !== undefined) {
+      options.window = Number(window);
+      if (!Number.isInteger(options.window) || options.window < 1 || options.window > 100) {
+        return res.status(400).json({ error: 'window must be a whole number of bars between 1 and 100', example });
+      }
+    }
+
+    if (tolerance !== undefined) {
+      options.tolerance = Number(tolerance);
+      if (!(options.tolerance > 0 && options.tolerance < 0.5)) {
+        return res.status(400).json({ error: 'tolerance must be a fraction of price between 0 and 0.5, e.g. 0.015', example });
+      }
+    }
+
+    if (minTouches !== undefined) {
+      options.minTouches = Number(minTouches);
+      if (!Number.isInteger(options.minTouches) || options.minTouches < 1) {
+        return res.status(400).json({ error: 'minTouches must be a whole number, at least 1', example });
+      }
+    }
+
+    if (pivotPeriod !== undefined) {
+      if (!supportResistanceService.pivotPeriods.includes(pivotPeriod)) {
+        return res.status(400).json({ error: `Invalid pivotPeriod "${pivotPeriod}"`, example });
+      }
+      options.pivotPeriod = pivotPeriod;
+    }
+
+    const result = await supportResistanceService.getLevels(symbol.toUpperCase(), options);
+    
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error finding support and resistance:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Price patterns and conditions; ?detect= switches to candlestick pattern detection
 router.get('/query/:symbol/patterns', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { startDate, endDate, limit } = req.query;
+    const { startDate, endDate, limit, adjustment, detect, forward } = req.query;
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
 
     const options = {};
     if (startDate) options.startDate = startDate;
     if (endDate) options.endDate = endDate;
     if (limit) options.limit = parseInt(limit);
+    if (adjustment) options.adjustment = adjustment;
+
+    if (detect === undefined) {
+      const result = await queryService.findPriceConditions(symbol.toUpperCase(), options);
+      return res.json(result);
+    }
+
+    options.detect = String(detect).split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = candlestickPatternService.getUnknownPatterns(options.detect);
+    if (options.detect.length === 0 || unknown.length > 0) {
+      return res.status(400).json({
+        error: unknown.length > 0 ? `Unknown pattern${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}` : 'detect needs at least one pattern',
+        patterns: candlestickPatternService.getPatterns(),
+        example: { detect: 'engulfing,hammer', forward: '1,5,10' }
+      });
+    }
+
+    if (forward !== undefined) {
+      options.forward = String(forward).split(',').map(Number);
+      if (options.forward.some(days => !Number.isInteger(days) || days < 1)) {
+        return res.status(400).json({
+          error: 'forward must be whole numbers of bars, e.g. 1,5,10',
+          example: { detect: 'engulfing,hammer', forward: '1,5,10' }
+        });
+      }
+    }
 
-    const result = await queryService.findPriceConditions(symbol.toUpperCase(), options);
+    const result = await candlestickPatternService.detectPatterns(symbol.toUpperCase(), options);
     
     res.json(result);
 
@@ -575,13 +1336,18 @@ router.delete('/:id', (req, res) => {
 router.get('/historical/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { startDate, endDate, limit = 1000 } = req.query;
+    const { startDate, endDate, limit = 1000, adjustment = 'split', order = 'desc' } = req.query;
+
+    if (rejectInvalidAdjustment(adjustment, res)) return;
+    if (rejectInvalidOrder(order, res)) return;
 
     const data = await dataRefreshService.getHistoricalData(
       symbol, 
       startDate, 
       endDate, 
-      parseInt(limit)
+      parseInt(limit),
+      adjustment,
+      order
     );
 
     if (data.length === 0) {
@@ -596,6 +1362,9 @@ router.get('/historical/:symbol', async (req, res) => {
       count: data.length,
       startDate: startDate || 'earliest',
       endDate: endDate || 'latest',
+      adjustment,
+      adjustmentVersion: await splitAdjustmentService.getAdjustmentVersion(symbol),
+      order,
       data 
     });
 
@@ -605,18 +1374,49 @@ router.get('/historical/:symbol', async (req, res) => {
   }
 });
 
+// List trading days missing from stored historical data
+router.get('/gaps/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((startDate && !datePattern.test(startDate)) || (endDate && !datePattern.test(endDate))) {
+      return res.status(400).json({
+        error: 'startDate and endDate must be YYYY-MM-DD',
+        example: { startDate: '2024-01-01', endDate: '2024-12-31' }
+      });
+    }
+
+    const report = await dataRefreshService.findDataGaps(symbol, startDate, endDate);
+
+    if (!report) {
+      return res.status(404).json({ 
+        error: 'No historical data found for this symbol',
+        suggestion: `Use POST /api/stocks/refresh/${symbol} to fetch data first`
+      });
+    }
+
+    res.json({ data: report });
+
+  } catch (error) {
+    console.error('Error finding data gaps:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get current quote for a symbol
 router.get('/quote/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
 
-    if (!alphaVantageService.isConfigured()) {
+    if (!marketDataService.isConfigured(symbol)) {
       return res.status(503).json({ 
-        error: 'Alpha Vantage API not configured. Please set ALPHA_VANTAGE_API_KEY in environment variables.' 
+        error: marketDataService.getNotConfiguredMessage(symbol)
       });
     }
 
-    const quote = await alphaVantageService.fetchQuote(symbol);
+    const quote = await marketDataService.fetchQuote(symbol);
     res.json({ data: quote });
 
   } catch (error) {
@@ -630,13 +1430,13 @@ router.get('/overview/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
 
-    if (!alphaVantageService.isConfigured()) {
+    if (!marketDataService.isConfigured(symbol)) {
       return res.status(503).json({ 
-        error: 'Alpha Vantage API not configured. Please set ALPHA_VANTAGE_API_KEY in environment variables.' 
+        error: marketDataService.getNotConfiguredMessage(symbol)
       });
     }
 
-    const overview = await alphaVantageService.fetchCompanyOverview(symbol);
+    const overview = await marketDataService.fetchCompanyOverview(symbol);
     res.json({ data: overview });
 
   } catch (error) {
@@ -653,9 +1453,9 @@ router.post('/refresh/:symbol', async (req, res) => {
     const { symbol } = req.params;
     const { fullRefresh = false } = req.body;
 
-    if (!alphaVantageService.isConfigured()) {
+    if (!marketDataService.isConfigured(symbol)) {
       return res.status(503).json({ 
-        error: 'Alpha Vantage API not configured. Please set ALPHA_VANTAGE_API_KEY in environment variables.' 
+        error: marketDataService.getNotConfiguredMessage(symbol)
       });
     }
 
@@ -679,9 +1479,9 @@ router.post('/refresh-all', async (req, res) => {
   try {
     const { fullRefresh = false } = req.body;
 
-    if (!alphaVantageService.isConfigured()) {
+    if (!marketDataService.isConfigured()) {
       return res.status(503).json({ 
-        error: 'Alpha Vantage API not configured. Please set ALPHA_VANTAGE_API_KEY in environment variables.' 
+        error: marketDataService.getNotConfiguredMessage()
       });
     }
 
@@ -693,18 +1493,16 @@ router.post('/refresh-all', async (req, res) => {
       });
     }
 
-    console.log(`📡 Refreshing all ${trackedStocks.length} tracked stocks${fullRefresh ? ' (full)' : ''}...`);
-    
-    const symbols = trackedStocks.map(stock => stock.symbol);
-    const results = await dataRefreshService.refreshMultipleSymbols(symbols, fullRefresh);
-    
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
+    const symbols = await dataRefreshService.prioritizeByStaleness(trackedStocks.map(stock => stock.symbol));
+    const job = await jobQueueService.enqueue('refresh', symbols, { fullRefresh });
 
-    res.json({ 
-      message: `Refresh completed: ${successful} successful, ${failed} failed`,
-      summary: { successful, failed, total: results.length },
-      results 
+    console.log(`📡 Queued refresh of ${symbols.length} tracked stocks${fullRefresh ? ' (full)' : ''} as job #${job.id}`);
+
+    res.status(202).json({ 
+      message: `Refresh of ${symbols.length} tracked stocks queued`,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      data: job
     });
 
   } catch (error) {
@@ -720,20 +1518,35 @@ router.post('/init', async (req, res) => {
   try {
     const { forceRefresh = false } = req.body;
 
-    if (!alphaVantageService.isConfigured()) {
+    if (!marketDataService.isConfigured()) {
       return res.status(503).json({ 
-        error: 'Alpha Vantage API not configured. Please set ALPHA_VANTAGE_API_KEY in environment variables.',
+        error: marketDataService.getNotConfiguredMessage(),
         instructions: 'Get a free API key at https://www.alphavantage.co/support/#api-key and add it to your .env file'
       });
     }
 
-    console.log(`🚀 Initializing Magnificent 7${forceRefresh ? ' (force refresh)' : ''}...`);
-    
-    const result = await dataInitService.initializeMagnificent7(forceRefresh);
+    const { symbolsToRefresh, existingSymbols } = await dataInitService.getSymbolsToInitialize(forceRefresh);
+
+    if (symbolsToRefresh.length === 0) {
+      return res.json({ 
+        message: 'Magnificent 7 initialization completed',
+        data: {
+          status: 'already_initialized',
+          existingSymbols,
+          message: 'All Magnificent 7 stocks already have historical data'
+        }
+      });
+    }
+
+    const job = await jobQueueService.enqueue('init', symbolsToRefresh, { forceRefresh });
+
+    console.log(`🚀 Queued Magnificent 7 initialization${forceRefresh ? ' (force refresh)' : ''} as job #${job.id}`);
     
-    res.json({ 
-      message: 'Magnificent 7 initialization completed',
-      data: result 
+    res.status(202).json({ 
+      message: `Magnificent 7 initialization queued for ${symbolsToRefresh.length} symbols`,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      data: job
     });
 
   } catch (error) {
@@ -748,19 +1561,21 @@ router.post('/add-stock/:symbol', async (req, res) => {
     const { symbol } = req.params;
     const { name } = req.body;
 
-    if (!alphaVantageService.isConfigured()) {
+    if (!marketDataService.isConfigured(symbol)) {
       return res.status(503).json({ 
-        error: 'Alpha Vantage API not configured. Please set ALPHA_VANTAGE_API_KEY in environment variables.' 
+        error: marketDataService.getNotConfiguredMessage(symbol)
       });
     }
 
-    console.log(`➕ Adding custom stock: ${symbol}`);
-    
-    const result = await dataInitService.addCustomStock(symbol, name);
+    const job = await jobQueueService.enqueue('add-stock', [symbol], { name });
+
+    console.log(`➕ Queued custom stock ${symbol} as job #${job.id}`);
     
-    res.json({ 
-      message: 'Stock added successfully',
-      data: result 
+    res.status(202).json({ 
+      message: `Adding ${symbol.toUpperCase()} queued`,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      data: job
     });
 
   } catch (error) {
@@ -6,6 +6,9 @@ const BASE_URL = 'https://www.alphavantage.co/query';
 
 class AlphaVantageService {
   constructor() {
+    this.name = 'alphavantage';
+    this.notConfiguredMessage = 'Alpha Vantage API not configured. Please set ALPHA_VANTAGE_API_KEY in environment variables.';
+
     if (!ALPHA_VANTAGE_API_KEY || ALPHA_VANTAGE_API_KEY === 'your_alpha_vantage_api_key_here') {
       console.warn('⚠️  Alpha Vantage API key not configured. Please set ALPHA_VANTAGE_API_KEY in .env file');
       this.apiKeyMissing = true;
@@ -187,6 +190,84 @@ class AlphaVantageService {
     }
   }
 
+  /**
+   * Get split history for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Array>} Array of { symbol, date, ratio, description }
+   */
+  async fetchSplits(symbol) {
+    if (this.apiKeyMissing) {
+      throw new Error('Alpha Vantage API key not configured');
+    }
+
+    const url = `${BASE_URL}?function=SPLITS&symbol=${symbol}&apikey=${ALPHA_VANTAGE_API_KEY}`;
+
+    try {
+      const response = await fetch(url);
+      const data = await response.json();
+
+      if (data['Error Message']) {
+        throw new Error(`Alpha Vantage API Error: ${data['Error Message']}`);
+      }
+
+      if (data['Note']) {
+        throw new Error(`Alpha Vantage API Rate Limit: ${data['Note']}`);
+      }
+
+      return (data.data || []).map(split => ({
+        symbol: symbol.toUpperCase(),
+        date: split.effective_date,
+        ratio: parseFloat(split.split_factor),
+        description: `${split.split_factor} stock split`
+      }));
+
+    } catch (error) {
+      console.error(`❌ Error fetching splits for ${symbol}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get dividend history for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Array>} Array of { symbol, exDate, amount, declarationDate, recordDate, paymentDate }
+   */
+  async fetchDividends(symbol) {
+    if (this.apiKeyMissing) {
+      throw new Error('Alpha Vantage API key not configured');
+    }
+
+    const url = `${BASE_URL}?function=DIVIDENDS&symbol=${symbol}&apikey=${ALPHA_VANTAGE_API_KEY}`;
+
+    try {
+      const response = await fetch(url);
+      const data = await response.json();
+
+      if (data['Error Message']) {
+        throw new Error(`Alpha Vantage API Error: ${data['Error Message']}`);
+      }
+
+      if (data['Note']) {
+        throw new Error(`Alpha Vantage API Rate Limit: ${data['Note']}`);
+      }
+
+      const toDate = (value) => (value && value !== 'None' ? value : null);
+
+      return (data.data || []).map(dividend => ({
+        symbol: symbol.toUpperCase(),
+        exDate: dividend.ex_dividend_date,
+        amount: parseFloat(dividend.amount),
+        declarationDate: toDate(dividend.declaration_date),
+        recordDate: toDate(dividend.record_date),
+        paymentDate: toDate(dividend.payment_date)
+      }));
+
+    } catch (error) {
+      console.error(`❌ Error fetching dividends for ${symbol}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Check if API key is configured
    * @returns {boolean} True if API key is configured
@@ -0,0 +1,185 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const db = require('../database');
+
+// Free tier: 25 calls per day, 5 calls per minute
+const DEFAULT_LIMITS = {
+  alphavantage: {
+    daily: parseInt(process.env.ALPHA_VANTAGE_DAILY_LIMIT) || 25,
+    perMinute: parseInt(process.env.ALPHA_VANTAGE_MINUTE_LIMIT) || 5
+  }
+};
+
+/**
+ * API Quota Service
+ * Persists every metered provider call in the api_call_ledger table and
+ * enforces per-day and per-minute budgets. Calls beyond the daily budget are
+ * refused; calls beyond the per-minute budget are deferred until the window frees up.
+ */
+class ApiQuotaService {
+  constructor() {
+    this.limits = DEFAULT_LIMITS;
+    // Serializes acquire() so concurrent callers cannot overspend the budget
+    this.pending = Promise.resolve();
+    console.log(`📒 API Quota Service initialized (Alpha Vantage: ${this.limits.alphavantage.daily}/day, ${this.limits.alphavantage.perMinute}/min)`);
+  }
+
+  /**
+   * Check if calls to a provider are metered
+   * @param {string} provider - Provider name
+   * @returns {boolean}
+   */
+  isMetered(provider) {
+    return Boolean(this.limits[provider]);
+  }
+
+  /**
+   * Reserve one call against a provider's budget, waiting out the per-minute window if needed
+   * @param {string} provider - Provider name
+   * @param {string} endpoint - Provider method being called (e.g., 'fetchDailyData')
+   * @param {string} symbol - Stock symbol the call is for
+   * @param {Object} options - { wait: false } to refuse instead of deferring per-minute overruns
+   * @returns {Promise<Object>} Remaining budget after the call is recorded
+   */
+  async acquire(provider, endpoint, symbol = null, options = {}) {
+    if (!this.isMetered(provider)) {
+      return null;
+    }
+
+    const run = this.pending.then(() => this.reserve(provider, endpoint, symbol, options));
+    // Keep the chain alive even when this reservation is refused
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async reserve(provider, endpoint, symbol, options) {
+    const { wait = true } = options;
+    const limits = this.limits[provider];
+
+    let budget = await this.getProviderBudget(provider);
+
+    if (budget.daily.remaining <= 0) {
+      throw this.quotaError(provider, `daily budget of ${limits.daily} calls exhausted (resets ${budget.daily.resetsAt})`);
+    }
+
+    while (budget.minute.remaining <= 0) {
+      if (!wait) {
+        throw this.quotaError(provider, `per-minute budget of ${limits.perMinute} calls exhausted`);
+      }
+
+      const waitMs = Math.max(budget.minute.retryAfterMs, 1000);
+      console.log(`⏳ ${provider} per-minute budget spent, deferring ${endpoint}${symbol ? ` for ${symbol}` : ''} by ${Math.ceil(waitMs / 1000)}s...`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      budget = await this.getProviderBudget(provider);
+    }
+
+    await this.recordCall(provider, endpoint, symbol);
+    return this.getProviderBudget(provider);
+  }
+
+  /**
+   * Insert a call into the ledger
+   * @param {string} provider - Provider name
+   * @param {string} endpoint - Provider method being called
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<void>}
+   */
+  async recordCall(provider, endpoint, symbol = null) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO api_call_ledger (provider, endpoint, symbol, call_date)
+        VALUES (?, ?, ?, DATE('now'))
+      `;
+
+      db.run(sql, [provider, endpoint, symbol ? symbol.toUpperCase() : null], function(err) {
+        if (err) {
+          console.error('❌ Error recording API call:', err.message);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Get used and remaining calls for one provider
+   * @param {string} provider - Provider name
+   * @returns {Promise<Object>} Daily and per-minute budget
+   */
+  async getProviderBudget(provider) {
+    const limits = this.limits[provider];
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT
+          SUM(CASE WHEN call_date = DATE('now') THEN 1 ELSE 0 END) as daily_used,
+          SUM(CASE WHEN called_at > DATETIME('now', '-60 seconds') THEN 1 ELSE 0 END) as minute_used,
+          MIN(CASE WHEN called_at > DATETIME('now', '-60 seconds') THEN called_at END) as minute_oldest
+        FROM api_call_ledger
+        WHERE provider = ? AND called_at > DATETIME('now', '-1 day')
+      `;
+
+      db.get(sql, [provider], (err, row) => {
+        if (err) {
+          console.error('❌ Error reading API call ledger:', err.message);
+          reject(err);
+          return;
+        }
+
+        const dailyUsed = row?.daily_used || 0;
+        const minuteUsed = row?.minute_used || 0;
+        const oldest = row?.minute_oldest ? new Date(row.minute_oldest.replace(' ', 'T') + 'Z') : null;
+
+        const tomorrow = new Date();
+        tomorrow.setUTCHours(24, 0, 0, 0);
+
+        resolve({
+          provider,
+          daily: {
+            limit: limits.daily,
+            used: dailyUsed,
+            remaining: Math.max(limits.daily - dailyUsed, 0),
+            resetsAt: tomorrow.toISOString()
+          },
+          minute: {
+            limit: limits.perMinute,
+            used: minuteUsed,
+            remaining: Math.max(limits.perMinute - minuteUsed, 0),
+            retryAfterMs: oldest ? Math.max(oldest.getTime() + 60000 - Date.now(), 0) : 0
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Get budgets for every metered provider
+   * @returns {Promise<Object>} Map of provider name to budget
+   */
+  async getBudget() {
+    const budget = {};
+    for (const provider of Object.keys(this.limits)) {
+      budget[provider] = await this.getProviderBudget(provider);
+    }
+    return budget;
+  }
+
+  /**
+   * Check if an error was raised because a budget was spent
+   * @param {Error} error - Error to inspect
+   * @returns {boolean}
+   */
+  isQuotaError(error) {
+    return error?.code === 'QUOTA_EXCEEDED';
+  }
+
+  quotaError(provider, reason) {
+    const error = new Error(`API quota exceeded for ${provider}: ${reason}`);
+    error.code = 'QUOTA_EXCEEDED';
+    return error;
+  }
+}
+
+module.exports = new ApiQuotaService();
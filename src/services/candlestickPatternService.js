@@ -0,0 +1,302 @@
+const { getHistoricalData } = require('./dataRefreshService');
+
+// Bars before a formation compared to decide the trend it appears in
+const TREND_LOOKBACK = 5;
+
+function body(bar) {
+  return Math.abs(bar.close - bar.open);
+}
+
+function range(bar) {
+  return bar.high - bar.low;
+}
+
+function upperShadow(bar) {
+  return bar.high - Math.max(bar.open, bar.close);
+}
+
+function lowerShadow(bar) {
+  return Math.min(bar.open, bar.close) - bar.low;
+}
+
+function isBullish(bar) {
+  return bar.close > bar.open;
+}
+
+function isBearish(bar) {
+  return bar.close < bar.open;
+}
+
+// 'up', 'down' or null, from the closes leading into bar `i`
+function trendBefore(rows, i) {
+  if (i - 1 - TREND_LOOKBACK < 0) return null;
+  const change = rows[i - 1].close / rows[i - 1 - TREND_LOOKBACK].close - 1;
+  if (change > 0) return 'up';
+  if (change < 0) return 'down';
+  return null;
+}
+
+/**
+ * Pattern definitions. `bars` is the number of candles in the formation; `detect`
+ * looks at the formation ending on rows[i] (rows oldest first) and returns its
+ * bias ('bullish', 'bearish' or 'neutral'), or null when the pattern is absent.
+ */
+const PATTERNS = {
+  doji: {
+    bars: 1,
+    description: 'Open and close almost equal: indecision',
+    detect(rows, i) {
+      const bar = rows[i];
+      return range(bar) > 0 && body(bar) <= 0.1 * range(bar) ? 'neutral' : null;
+    }
+  },
+  hammer: {
+    bars: 1,
+    description: 'Small body at the top of the range with a long lower shadow, after a decline',
+    detect(rows, i) {
+      const bar = rows[i];
+      const size = body(bar);
+      return trendBefore(rows, i) === 'down' && size > 0 && size <= 0.35 * range(bar) &&
+        lowerShadow(bar) >= 2 * size && upperShadow(bar) <= size
+        ? 'bullish'
+        : null;
+    }
+  },
+  shootingStar: {
+    bars: 1,
+    description: 'Small body at the bottom of the range with a long upper shadow, after a rise',
+    detect(rows, i) {
+      const bar = rows[i];
+      const size = body(bar);
+      return trendBefore(rows, i) === 'up' && size > 0 && size <= 0.35 * range(bar) &&
+        upperShadow(bar) >= 2 * size && lowerShadow(bar) <= size
+        ? 'bearish'
+        : null;
+    }
+  },
+  engulfing: {
+    bars: 2,
+    description: 'Body engulfs the previous, opposite-colored body, against the trend',
+    detect(rows, i) {
+      const [previous, bar] = [rows[i - 1], rows[i]];
+      const trend = trendBefore(rows, i - 1);
+      if (trend === 'down' && isBearish(previous) && isBullish(bar) &&
+          bar.open <= previous.close && bar.close >= previous.open && body(bar) > body(previous)) {
+        return 'bullish';
+      }
+      if (trend === 'up' && isBullish(previous) && isBearish(bar) &&
+          bar.open >= previous.close && bar.close <= previous.open && body(bar) > body(previous)) {
+        return 'bearish';
+      }
+      return null;
+    }
+  },
+  morningStar: {
+    bars: 3,
+    description: 'Long red candle, small-bodied candle, then a green close past the middle of the first body',
+    detect(rows, i) {
+      const [first, middle, last] = [rows[i - 2], rows[i - 1], rows[i]];
+      return isBearish(first) && body(first) >= 0.5 * range(first) &&
+        body(middle) <= 0.3 * body(first) && Math.max(middle.open, middle.close) <= first.close &&
+        isBullish(last) && last.close >= (first.open + first.close) / 2
+        ? 'bullish'
+        : null;
+    }
+  },
+  eveningStar: {
+    bars: 3,
+    description: 'Long green candle, small-bodied candle, then a red close past the middle of the first body',
+    detect(rows, i) {
+      const [first, middle, last] = [rows[i - 2], rows[i - 1], rows[i]];
+      return isBullish(first) && body(first) >= 0.5 * range(first) &&
+        body(middle) <= 0.3 * body(first) && Math.min(middle.open, middle.close) >= first.close &&
+        isBearish(last) && last.close <= (first.open + first.close) / 2
+        ? 'bearish'
+        : null;
+    }
+  },
+  insideBar: {
+    bars: 2,
+    description: 'High and low inside the previous bar: contraction',
+    detect(rows, i) {
+      const [previous, bar] = [rows[i - 1], rows[i]];
+      return bar.high <= previous.high && bar.low >= previous.low && range(bar) < range(previous)
+        ? 'neutral'
+        : null;
+    }
+  },
+  outsideBar: {
+    bars: 2,
+    description: 'High above and low below the previous bar; bias follows the close',
+    detect(rows, i) {
+      const [previous, bar] = [rows[i - 1], rows[i]];
+      if (!(bar.high > previous.high && bar.low < previous.low)) return null;
+      return isBullish(bar) ? 'bullish' : isBearish(bar) ? 'bearish' : 'neutral';
+    }
+  },
+  threeWhiteSoldiers: {
+    bars: 3,
+    description: 'Three green candles, each opening inside the previous body and closing higher',
+    detect(rows, i) {
+      const bars = [rows[i - 2], rows[i - 1], rows[i]];
+      return bars.every(bar => isBullish(bar) && upperShadow(bar) <= body(bar)) &&
+        bars.slice(1).every((bar, k) => bar.close > bars[k].close &&
+          bar.open >= bars[k].open && bar.open <= bars[k].close)
+        ? 'bullish'
+        : null;
+    }
+  },
+  threeBlackCrows: {
+    bars: 3,
+    description: 'Three red candles, each opening inside the previous body and closing lower',
+    detect(rows, i) {
+      const bars = [rows[i - 2], rows[i - 1], rows[i]];
+      return bars.every(bar => isBearish(bar) && lowerShadow(bar) <= body(bar)) &&
+        bars.slice(1).every((bar, k) => bar.close < bars[k].close &&
+          bar.open <= bars[k].open && bar.open >= bars[k].close)
+        ? 'bearish'
+        : null;
+    }
+  }
+};
+
+function average(values) {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Candlestick Pattern Service
+ * Detects candlestick formations in historical bars and measures what followed
+ * each one: the close-to-close return N bars after the formation completed.
+ */
+class CandlestickPatternService {
+  constructor() {
+    this.patternNames = Object.keys(PATTERNS);
+    console.log('🕯️ Candlestick Pattern Service initialized');
+  }
+
+  /**
+   * Describe the detectable patterns
+   * @returns {Object} { name: { bars, description } }
+   */
+  getPatterns() {
+    return Object.fromEntries(
+      Object.entries(PATTERNS).map(([name, pattern]) => [name, { bars: pattern.bars, description: pattern.description }])
+    );
+  }
+
+  /**
+   * Find the names that are not patterns
+   * @param {Array} names - Requested pattern names
+   * @returns {Array} Unknown names
+   */
+  getUnknownPatterns(names) {
+    return names.filter(name => name !== 'all' && !PATTERNS[name]);
+  }
+
+  /**
+   * Detect patterns in a symbol's bars
+   * @param {string} symbol - Stock symbol
+   * @param {Object} options - { detect: names or ['all'], forward: bar counts (default [1, 5, 10]),
+   *   startDate, endDate, limit, adjustment }
+   * @returns {Promise<Object>} { success, symbol, dataCount, dateRange, adjustment, patterns, forward,
+   *   summary: { name: { count, bullish, bearish, neutral, averageForwardReturns, winRates } },
+   *   occurrences: [{ pattern, date, startDate, bias, close, forwardReturns }] newest first }
+   */
+  async detectPatterns(symbol, options = {}) {
+    const names = !options.detect || options.detect.includes('all') ? this.patternNames : [...new Set(options.detect)];
+    const forward = options.forward || [1, 5, 10];
+
+    try {
+      const rows = await getHistoricalData(
+        symbol,
+        options.startDate,
+        options.endDate,
+        options.limit,
+        options.adjustment,
+        'asc'
+      );
+
+      if (rows.length === 0) {
+        throw new Error(`No historical data found for symbol ${symbol}`);
+      }
+
+      const occurrences = [];
+      for (const name of names) {
+        const pattern = PATTERNS[name];
+        for (let i = pattern.bars - 1; i < rows.length; i++) {
+          const bias = pattern.detect(rows, i);
+          if (!bias) continue;
+
+          // Percent change in close from the formation's last bar, null past the loaded range
+          const forwardReturns = Object.fromEntries(forward.map(days => [
+            days,
+            i + days < rows.length ? (rows[i + days].close / rows[i].close - 1) * 100 : null
+          ]));
+
+          occurrences.push({
+            pattern: name,
+            date: rows[i].date,
+            startDate: rows[i - pattern.bars + 1].date,
+            bias,
+            close: rows[i].close,
+            forwardReturns
+          });
+        }
+      }
+
+      occurrences.sort((a, b) => b.date.localeCompare(a.date) || a.pattern.localeCompare(b.pattern));
+
+      const summary = {};
+      for (const name of names) {
+        const found = occurrences.filter(occurrence => occurrence.pattern === name);
+        const averageForwardReturns = {};
+        const winRates = {};
+
+        for (const days of forward) {
+          const measured = found.filter(occurrence => occurrence.forwardReturns[days] !== null);
+          averageForwardReturns[days] = average(measured.map(occurrence => occurrence.forwardReturns[days]));
+
+          // Share of directional signals the price then moved with
+          const directional = measured.filter(occurrence => occurrence.bias !== 'neutral');
+          const wins = directional.filter(occurrence =>
+            (occurrence.bias === 'bullish' ? 1 : -1) * occurrence.forwardReturns[days] > 0);
+          winRates[days] = directional.length === 0 ? null : wins.length / directional.length * 100;
+        }
+
+        summary[name] = {
+          count: found.length,
+          bullish: found.filter(occurrence => occurrence.bias === 'bullish').length,
+          bearish: found.filter(occurrence => occurrence.bias === 'bearish').length,
+          neutral: found.filter(occurrence => occurrence.bias === 'neutral').length,
+          averageForwardReturns,
+          winRates
+        };
+      }
+
+      return {
+        success: true,
+        symbol,
+        dataCount: rows.length,
+        dateRange: {
+          start: rows[0].date,
+          end: rows[rows.length - 1].date
+        },
+        adjustment: options.adjustment || 'split',
+        patterns: names,
+        forward,
+        summary,
+        occurrences
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        symbol
+      };
+    }
+  }
+}
+
+module.exports = new CandlestickPatternService();
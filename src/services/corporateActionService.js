@@ -0,0 +1,285 @@
+const db = require('../database');
+const splitAdjustmentService = require('./splitAdjustmentService');
+const splitReconciliationService = require('./splitReconciliationService');
+
+const ACTION_TYPES = ['split', 'reverse_split', 'spinoff', 'rename'];
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function formatAction(row) {
+  return {
+    id: row.id,
+    type: row.action_type,
+    symbol: row.symbol,
+    date: row.effective_date,
+    newSymbol: row.new_symbol,
+    distributionRatio: row.distribution_ratio,
+    costBasisAllocation: row.cost_basis_allocation,
+    description: row.description
+  };
+}
+
+/**
+ * Corporate Action Service
+ * One view over the events that change what a share is: splits and reverse
+ * splits (stored in stock_splits), spin-offs and ticker renames (stored in
+ * corporate_actions). Renames link history across symbols, so FB bars are
+ * part of META's history and SQ bars part of XYZ's.
+ */
+class CorporateActionService {
+  constructor() {
+    console.log('🏢 Corporate Action Service initialized');
+  }
+
+  /**
+   * Check if an action type is supported
+   * @param {string} type - 'split', 'reverse_split', 'spinoff' or 'rename'
+   * @returns {boolean}
+   */
+  isValidActionType(type) {
+    return ACTION_TYPES.includes(type);
+  }
+
+  /**
+   * Follow ticker renames in both directions from a symbol
+   * @param {string} symbol - Stock symbol, old or current
+   * @returns {Promise<Array>} Segments oldest first: [{ symbol, from, to }], dates
+   *   bounding when the symbol was in use (null for open-ended)
+   */
+  async getSymbolLineage(symbol) {
+    const upperSymbol = symbol.toUpperCase();
+    const renames = await all(`
+      SELECT symbol, new_symbol, effective_date
+      FROM corporate_actions
+      WHERE action_type = 'rename'
+      ORDER BY effective_date ASC
+    `);
+
+    // The visited set guards against a rename cycle entered by hand
+    const visited = new Set([upperSymbol]);
+    const lineage = [{ symbol: upperSymbol, from: null, to: null }];
+
+    let rename = renames.find(r => r.new_symbol === upperSymbol);
+    while (rename && !visited.has(rename.symbol)) {
+      visited.add(rename.symbol);
+      lineage[0].from = rename.effective_date;
+      lineage.unshift({ symbol: rename.symbol, from: null, to: rename.effective_date });
+      const current = rename.symbol;
+      rename = renames.find(r => r.new_symbol === current);
+    }
+
+    rename = renames.find(r => r.symbol === upperSymbol);
+    while (rename && !visited.has(rename.new_symbol)) {
+      visited.add(rename.new_symbol);
+      lineage[lineage.length - 1].to = rename.effective_date;
+      lineage.push({ symbol: rename.new_symbol, from: rename.effective_date, to: null });
+      const current = rename.new_symbol;
+      rename = renames.find(r => r.symbol === current);
+    }
+
+    return lineage;
+  }
+
+  /**
+   * Get every corporate action for a symbol and the symbols it was renamed from or to
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} { symbol, linkedSymbols, actions } with actions ordered by date
+   */
+  async getCorporateActions(symbol) {
+    const lineage = await this.getSymbolLineage(symbol);
+    const symbols = lineage.map(segment => segment.symbol);
+    const placeholders = symbols.map(() => '?').join(', ');
+
+    const splits = await all(`
+      SELECT symbol, split_date, split_ratio, description
+      FROM stock_splits
+      WHERE symbol IN (${placeholders})
+    `, symbols);
+
+    const rows = await all(`
+      SELECT * FROM corporate_actions
+      WHERE symbol IN (${placeholders}) OR new_symbol IN (${placeholders})
+    `, [...symbols, ...symbols]);
+
+    const actions = [
+      ...splits.map(split => ({
+        type: split.split_ratio < 1 ? 'reverse_split' : 'split',
+        symbol: split.symbol,
+        date: split.split_date,
+        ratio: split.split_ratio,
+        description: split.description
+      })),
+      ...rows.map(formatAction)
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      symbol: symbol.toUpperCase(),
+      linkedSymbols: lineage,
+      actions
+    };
+  }
+
+  /**
+   * Record a corporate action. Splits and reverse splits go to stock_splits
+   * and are reconciled; spin-offs and renames go to corporate_actions.
+   * @param {Object} action - { symbol, type, effectiveDate, ratio, newSymbol,
+   *   distributionRatio, costBasisAllocation, description }
+   * @returns {Promise<Object>} { action, reconciliation }
+   */
+  async addCorporateAction(action) {
+    const symbol = action.symbol.toUpperCase();
+    const { type, effectiveDate } = action;
+
+    if (type === 'split' || type === 'reverse_split') {
+      const description = action.description || splitAdjustmentService.describeSplitRatio(action.ratio);
+      await splitAdjustmentService.addStockSplit(symbol, effectiveDate, action.ratio, description);
+      const reconciliation = await splitReconciliationService.reconcile(symbol);
+      return {
+        action: { type, symbol, date: effectiveDate, ratio: action.ratio, description },
+        reconciliation
+      };
+    }
+
+    const newSymbol = action.newSymbol.toUpperCase();
+    const description = action.description || (type === 'rename'
+      ? `${symbol} renamed to ${newSymbol}`
+      : `${newSymbol} spun off from ${symbol}`);
+
+    await run(`
+      INSERT INTO corporate_actions (symbol, action_type, effective_date, new_symbol, distribution_ratio, cost_basis_allocation, description)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(symbol, action_type, effective_date) DO UPDATE SET
+        new_symbol = excluded.new_symbol,
+        distribution_ratio = excluded.distribution_ratio,
+        cost_basis_allocation = excluded.cost_basis_allocation,
+        description = excluded.description
+    `, [
+      symbol, type, effectiveDate, newSymbol,
+      type === 'spinoff' ? (action.distributionRatio || 1.0) : null,
+      type === 'spinoff' ? (action.costBasisAllocation ?? null) : null,
+      description
+    ]);
+
+    // Renames change both symbols' linked history; spin-offs change the parent's total return
+    await splitAdjustmentService.bumpAdjustmentVersion(symbol);
+    if (type === 'rename') {
+      await splitAdjustmentService.bumpAdjustmentVersion(newSymbol);
+    }
+
+    const [row] = await all(
+      'SELECT * FROM corporate_actions WHERE symbol = ? AND action_type = ? AND effective_date = ?',
+      [symbol, type, effectiveDate]
+    );
+    console.log(`✅ Added ${type} for ${symbol}: ${description} on ${effectiveDate}`);
+    return { action: formatAction(row), reconciliation: null };
+  }
+
+  /**
+   * Split a parent position's cost basis between the parent and spun-off shares.
+   * Uses the recorded allocation when there is one, otherwise relative market
+   * value on the first session both traded after the distribution.
+   * @param {string} symbol - Parent stock symbol
+   * @param {Object} options - { costBasis, shares, date } where date picks the
+   *   spin-off when the parent had several (defaults to the latest)
+   * @returns {Promise<Object|null>} Allocation, or null if the symbol has no spin-off
+   */
+  async allocateCostBasis(symbol, options = {}) {
+    const upperSymbol = symbol.toUpperCase();
+    const spinoffs = await all(`
+      SELECT * FROM corporate_actions
+      WHERE symbol = ? AND action_type = 'spinoff'
+      ORDER BY effective_date DESC
+    `, [upperSymbol]);
+
+    const spinoff = options.date
+      ? spinoffs.find(row => row.effective_date === options.date)
+      : spinoffs[0];
+    if (!spinoff) {
+      return null;
+    }
+
+    const distributionRatio = spinoff.distribution_ratio || 1.0;
+    let allocation = spinoff.cost_basis_allocation;
+    let allocationSource = 'recorded';
+    let prices = null;
+
+    if (allocation === null) {
+      const parent = await this.getFirstCloseOnOrAfter(upperSymbol, spinoff.effective_date);
+      const child = await this.getFirstCloseOnOrAfter(spinoff.new_symbol, spinoff.effective_date);
+      if (!parent || !child) {
+        throw new Error(`No prices stored for ${upperSymbol} and ${spinoff.new_symbol} on or after ${spinoff.effective_date}; record a cost_basis_allocation instead`);
+      }
+
+      const childValue = child.close * distributionRatio;
+      allocation = childValue / (childValue + parent.close);
+      allocationSource = 'market';
+      prices = {
+        [upperSymbol]: { date: parent.date, close: parent.close },
+        [spinoff.new_symbol]: { date: child.date, close: child.close }
+      };
+    }
+
+    const costBasis = options.costBasis ?? null;
+    const shares = options.shares ?? null;
+    const childShares = shares !== null ? shares * distributionRatio : null;
+    const parentBasis = costBasis !== null ? costBasis * (1 - allocation) : null;
+    const childBasis = costBasis !== null ? costBasis * allocation : null;
+    const round = (value) => value === null ? null : Number(value.toFixed(4));
+
+    return {
+      symbol: upperSymbol,
+      spinoff: formatAction(spinoff),
+      allocation: {
+        [upperSymbol]: Number((1 - allocation).toFixed(6)),
+        [spinoff.new_symbol]: Number(allocation.toFixed(6))
+      },
+      allocationSource,
+      prices,
+      positions: costBasis === null ? null : [
+        {
+          symbol: upperSymbol,
+          shares,
+          costBasis: round(parentBasis),
+          costPerShare: shares ? round(parentBasis / shares) : null
+        },
+        {
+          symbol: spinoff.new_symbol,
+          shares: childShares,
+          costBasis: round(childBasis),
+          costPerShare: childShares ? round(childBasis / childShares) : null
+        }
+      ]
+    };
+  }
+
+  async getFirstCloseOnOrAfter(symbol, date) {
+    const rows = await all(`
+      SELECT symbol, date, open, high, low, close, adjusted_close, volume, price_basis
+      FROM historical_stock_data
+      WHERE symbol = ? AND date >= ?
+      ORDER BY date ASC LIMIT 1
+    `, [symbol, date]);
+
+    // As traded, whatever basis the row was stored in
+    const [bar] = await splitAdjustmentService.adjustStockRecords(rows, 'raw');
+    return bar || null;
+  }
+}
+
+module.exports = new CorporateActionService();
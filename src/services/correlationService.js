@@ -0,0 +1,242 @@
+const { getHistoricalData } = require('./dataRefreshService');
+const queryCacheService = require('./queryCacheService');
+
+// Engle-Granger critical values for two series with a constant (MacKinnon, asymptotic)
+const ENGLE_GRANGER_CRITICAL_VALUES = { '1%': -3.9, '5%': -3.34, '10%': -3.04 };
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1));
+}
+
+// Pearson correlation; null when either series is flat
+function pearson(x, y) {
+  const xMean = mean(x);
+  const yMean = mean(y);
+  let covariance = 0;
+  let xSquares = 0;
+  let ySquares = 0;
+  for (let i = 0; i < x.length; i++) {
+    covariance += (x[i] - xMean) * (y[i] - yMean);
+    xSquares += Math.pow(x[i] - xMean, 2);
+    ySquares += Math.pow(y[i] - yMean, 2);
+  }
+  return xSquares === 0 || ySquares === 0 ? null : covariance / Math.sqrt(xSquares * ySquares);
+}
+
+// Ordinary least squares y = intercept + slope * x
+function regress(x, y) {
+  const xMean = mean(x);
+  const yMean = mean(y);
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < x.length; i++) {
+    covariance += (x[i] - xMean) * (y[i] - yMean);
+    variance += Math.pow(x[i] - xMean, 2);
+  }
+  const slope = variance === 0 ? 0 : covariance / variance;
+  return { intercept: yMean - slope * xMean, slope };
+}
+
+/**
+ * Dickey-Fuller regression of Δe(t) = γ·e(t-1) on a mean-zero residual series
+ * @returns {Object} { gamma, tStatistic }
+ */
+function dickeyFuller(residuals) {
+  const lagged = residuals.slice(0, -1);
+  const changes = residuals.slice(1).map((value, i) => value - residuals[i]);
+
+  const laggedSquares = lagged.reduce((sum, value) => sum + value * value, 0);
+  const gamma = lagged.reduce((sum, value, i) => sum + value * changes[i], 0) / laggedSquares;
+  const errors = changes.map((change, i) => change - gamma * lagged[i]);
+  const variance = errors.reduce((sum, error) => sum + error * error, 0) / (errors.length - 1);
+
+  return { gamma, tStatistic: gamma / Math.sqrt(variance / laggedSquares) };
+}
+
+function pairKey(a, b) {
+  return `${a}/${b}`;
+}
+
+/**
+ * Correlation Service
+ * Cross-symbol statistics over bars aligned on the dates every symbol traded:
+ * a correlation matrix of daily returns, rolling pairwise correlations, and an
+ * Engle-Granger cointegration test with a spread z-score for one pair. Prices
+ * are total-return adjusted by default.
+ */
+class CorrelationService {
+  constructor() {
+    console.log('🔗 Correlation Service initialized');
+  }
+
+  /**
+   * Load each symbol's bars, oldest first, and keep the dates all of them have
+   * @param {Array} symbols - Upper-case stock symbols
+   * @param {Object} options - { startDate, endDate, limit, adjustment }
+   * @returns {Promise<Object>} { dates, closes: { SYMBOL: [close, ...] } }
+   */
+  async loadAligned(symbols, options) {
+    const closesByDate = {};
+    const missing = [];
+
+    for (const symbol of symbols) {
+      const rows = await getHistoricalData(
+        symbol,
+        options.startDate,
+        options.endDate,
+        options.limit,
+        options.adjustment,
+        'asc'
+      );
+      if (rows.length === 0) missing.push(symbol);
+      closesByDate[symbol] = new Map(rows.map(row => [row.date, row.close]));
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`No historical data found for symbol${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+    }
+
+    const dates = [...closesByDate[symbols[0]].keys()]
+      .filter(date => symbols.every(symbol => closesByDate[symbol].has(date)));
+
+    const closes = {};
+    for (const symbol of symbols) {
+      closes[symbol] = dates.map(date => closesByDate[symbol].get(date));
+    }
+    return { dates, closes };
+  }
+
+  /**
+   * Hedge ratio, cointegration test and spread z-score for a pair
+   * @param {Array} dates - Aligned dates, oldest first
+   * @param {Array} a - Closes of the first symbol
+   * @param {Array} b - Closes of the second symbol
+   * @param {number} window - Bars in the rolling mean and deviation of the z-score
+   */
+  analyzePair(dates, a, b, window) {
+    // log(a) = intercept + hedgeRatio * log(b); the residual is the spread
+    const logA = a.map(Math.log);
+    const logB = b.map(Math.log);
+    const { intercept, slope } = regress(logB, logA);
+    const spread = logA.map((value, i) => value - intercept - slope * logB[i]);
+
+    const { gamma, tStatistic } = dickeyFuller(spread);
+
+    const series = spread.map((value, i) => {
+      if (i < window - 1) return { date: dates[i], spread: value, zScore: null };
+      const trailing = spread.slice(i - window + 1, i + 1);
+      const deviation = stdDev(trailing);
+      return {
+        date: dates[i],
+        spread: value,
+        zScore: deviation ? (value - mean(trailing)) / deviation : null
+      };
+    });
+
+    return {
+      hedgeRatio: slope,
+      intercept,
+      cointegration: {
+        method: 'engle-granger',
+        adfStatistic: tStatistic,
+        criticalValues: ENGLE_GRANGER_CRITICAL_VALUES,
+        cointegrated: tStatistic < ENGLE_GRANGER_CRITICAL_VALUES['5%'],
+        // Bars for a deviation of the spread to halve; null if it does not revert
+        halfLifeDays: gamma < 0 ? Math.log(2) / -Math.log(1 + gamma) : null
+      },
+      spread: {
+        mean: mean(spread),
+        stdDev: stdDev(spread),
+        zScore: series[series.length - 1].zScore,
+        series
+      }
+    };
+  }
+
+  /**
+   * Correlation matrix, rolling pairwise correlations and optional pair analytics
+   * @param {Array} symbols - Upper-case stock symbols, at least two
+   * @param {Object} options - { window, pair: [a, b], startDate, endDate, limit, adjustment ('total' by default) }
+   * @returns {Promise<Object>} { success, symbols, dataCount, dateRange, adjustment, window, matrix, rolling, pair }
+   */
+  async getCorrelation(symbols, options = {}) {
+    const settings = { adjustment: 'total', window: 60, ...options };
+
+    const cacheKey = queryCacheService.buildKey(symbols, { correlation: settings }, settings);
+    const cached = queryCacheService.get(cacheKey);
+    if (cached) return { ...cached, cached: true };
+
+    try {
+      const { dates, closes } = await this.loadAligned(symbols, settings);
+      if (dates.length <= settings.window) {
+        throw new Error(`${dates.length} shared trading days; the window needs more than ${settings.window}`);
+      }
+
+      // Daily returns, dated by the later bar
+      const returnDates = dates.slice(1);
+      const returns = {};
+      for (const symbol of symbols) {
+        returns[symbol] = closes[symbol].slice(1).map((close, i) => close / closes[symbol][i] - 1);
+      }
+
+      const values = symbols.map(a => symbols.map(b => (a === b ? 1 : pearson(returns[a], returns[b]))));
+
+      const pairs = {};
+      for (let i = 0; i < symbols.length; i++) {
+        for (let j = i + 1; j < symbols.length; j++) {
+          const a = returns[symbols[i]];
+          const b = returns[symbols[j]];
+          const series = [];
+          for (let end = settings.window; end <= a.length; end++) {
+            series.push({
+              date: returnDates[end - 1],
+              value: pearson(a.slice(end - settings.window, end), b.slice(end - settings.window, end))
+            });
+          }
+          pairs[pairKey(symbols[i], symbols[j])] = series;
+        }
+      }
+
+      const response = {
+        success: true,
+        symbols,
+        dataCount: dates.length,
+        dateRange: {
+          start: dates[0],
+          end: dates[dates.length - 1]
+        },
+        adjustment: settings.adjustment,
+        window: settings.window,
+        matrix: { symbols, values },
+        rolling: { window: settings.window, pairs }
+      };
+
+      if (settings.pair) {
+        const [a, b] = settings.pair;
+        response.pair = {
+          symbols: settings.pair,
+          correlation: pearson(returns[a], returns[b]),
+          ...this.analyzePair(dates, closes[a], closes[b], settings.window)
+        };
+      }
+
+      queryCacheService.set(cacheKey, response);
+      return response;
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        symbols
+      };
+    }
+  }
+}
+
+module.exports = new CorrelationService();
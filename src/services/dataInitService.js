@@ -1,4 +1,5 @@
 const dataRefreshService = require('./dataRefreshService');
+const apiQuotaService = require('./apiQuotaService');
 
 class DataInitService {
   constructor() {
@@ -15,6 +16,24 @@ class DataInitService {
     console.log('🚀 Data Initialization Service ready');
   }
 
+  /**
+   * Get the Magnificent 7 symbols that still need their full history fetched
+   * @param {boolean} forceRefresh - Whether to include symbols that already have data
+   * @returns {Promise<Object>} { symbolsToRefresh, existingSymbols, summary }
+   */
+  async getSymbolsToInitialize(forceRefresh = false) {
+    const summary = await dataRefreshService.getDataSummary();
+    const existingSymbols = summary.bySymbol.map(item => item.symbol);
+
+    const symbolsToRefresh = forceRefresh 
+      ? this.magnificent7Stocks.map(stock => stock.symbol)
+      : this.magnificent7Stocks
+          .filter(stock => !existingSymbols.includes(stock.symbol))
+          .map(stock => stock.symbol);
+
+    return { symbolsToRefresh, existingSymbols, summary };
+  }
+
   /**
    * Initialize the Magnificent 7 stocks with historical data
    * @param {boolean} forceRefresh - Whether to force refresh even if data exists
@@ -25,20 +44,13 @@ class DataInitService {
     
     try {
       // Get current data summary to see what we have
-      const summary = await dataRefreshService.getDataSummary();
-      const existingSymbols = summary.bySymbol.map(item => item.symbol);
+      const { symbolsToRefresh, existingSymbols, summary } = await this.getSymbolsToInitialize(forceRefresh);
       
       console.log(`📊 Current database status:`);
       console.log(`   - Total symbols: ${summary.overview.total_symbols || 0}`);
       console.log(`   - Total records: ${summary.overview.total_records || 0}`);
       console.log(`   - Existing symbols: ${existingSymbols.join(', ') || 'None'}`);
 
-      const symbolsToRefresh = forceRefresh 
-        ? this.magnificent7Stocks.map(stock => stock.symbol)
-        : this.magnificent7Stocks
-            .filter(stock => !existingSymbols.includes(stock.symbol))
-            .map(stock => stock.symbol);
-
       if (symbolsToRefresh.length === 0) {
         console.log('✅ All Magnificent 7 stocks already have data. Use forceRefresh=true to update.');
         return {
@@ -49,7 +61,10 @@ class DataInitService {
       }
 
       console.log(`🔄 Fetching full historical data for: ${symbolsToRefresh.join(', ')}`);
-      console.log(`⏳ This will take approximately ${symbolsToRefresh.length * 2.5} seconds due to API rate limits...`);
+      const budget = await apiQuotaService.getBudget();
+      Object.values(budget).forEach(b => {
+        console.log(`📒 ${b.provider} budget: ${b.daily.remaining}/${b.daily.limit} calls left today (2 per symbol), ${b.minute.limit}/min pacing`);
+      });
 
       // Fetch full historical data for missing symbols
       const results = await dataRefreshService.refreshMultipleSymbols(symbolsToRefresh, true);
@@ -1,6 +1,13 @@
 const db = require('../database');
-const alphaVantageService = require('./alphaVantageService');
+const marketDataService = require('./marketDataService');
+const apiQuotaService = require('./apiQuotaService');
 const splitAdjustmentService = require('./splitAdjustmentService');
+const dividendService = require('./dividendService');
+const tradingCalendarService = require('./tradingCalendarService');
+const corporateActionService = require('./corporateActionService');
+const queryCacheService = require('./queryCacheService');
+
+const SORT_ORDERS = ['asc', 'desc'];
 
 class DataRefreshService {
   constructor() {
@@ -26,15 +33,12 @@ class DataRefreshService {
 
       console.log(`💾 Storing ${historicalData.length} records for ${symbol}...`);
 
-      // Apply split adjustments to the data BEFORE storing
-      console.log(`🔧 Applying split adjustments for ${symbol}...`);
-      const adjustedData = await splitAdjustmentService.adjustStockRecords(historicalData);
-
-      adjustedData.forEach((record) => {
+      // Bars are stored exactly as delivered; splits and dividends are applied on read
+      historicalData.forEach((record) => {
         const sql = `
           INSERT OR REPLACE INTO historical_stock_data 
-          (symbol, date, open, high, low, close, adjusted_close, volume)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          (symbol, date, open, high, low, close, adjusted_close, volume, price_basis)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'raw')
         `;
 
         db.run(sql, [
@@ -52,6 +56,9 @@ class DataRefreshService {
           if (err) {
             console.error('❌ Error storing record:', err.message);
             if (completed === historicalData.length) {
+              if (inserted + updated > 0) {
+                queryCacheService.invalidate(symbol, 'historical data');
+              }
               reject(err);
             }
             return;
@@ -70,6 +77,10 @@ class DataRefreshService {
           // Check if all records processed
           if (completed === historicalData.length) {
             console.log(`✅ Completed storing data for ${symbol}: ${inserted} inserted, ${updated} updated, ${skipped} skipped`);
+            // Cached query results may include the replaced bars
+            if (inserted + updated > 0) {
+              queryCacheService.invalidate(symbol, 'historical data');
+            }
             resolve({ inserted, updated, skipped });
           }
         });
@@ -127,16 +138,23 @@ class DataRefreshService {
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {string} endDate - End date (YYYY-MM-DD)
    * @param {number} limit - Maximum number of records
+   * @param {string} adjustment - 'raw', 'split' (default) or 'total'
+   * @param {string} order - 'desc' (default, newest first) or 'asc'; limit keeps the newest bars either way
    * @returns {Promise<Array>} Array of historical data
    */
-  async getHistoricalData(symbol, startDate = null, endDate = null, limit = 1000) {
-    return new Promise((resolve, reject) => {
+  async getHistoricalData(symbol, startDate = null, endDate = null, limit = 1000, adjustment = 'split', order = 'desc') {
+    const upperSymbol = symbol.toUpperCase();
+    // Bars stored under earlier or later tickers are part of the same history
+    const lineage = await corporateActionService.getSymbolLineage(upperSymbol);
+    const symbols = lineage.map(segment => segment.symbol);
+
+    const rows = await new Promise((resolve, reject) => {
       let sql = `
-        SELECT symbol, date, open, high, low, close, adjusted_close, volume, created_at
+        SELECT symbol, date, open, high, low, close, adjusted_close, volume, price_basis, created_at
         FROM historical_stock_data 
-        WHERE symbol = ?
+        WHERE symbol IN (${symbols.map(() => '?').join(', ')})
       `;
-      const params = [symbol.toUpperCase()];
+      const params = [...symbols];
 
       if (startDate) {
         sql += ' AND date >= ?';
@@ -149,18 +167,46 @@ class DataRefreshService {
       }
 
       sql += ' ORDER BY date DESC LIMIT ?';
-      params.push(limit);
+      params.push(limit * symbols.length);
 
       db.all(sql, params, (err, rows) => {
         if (err) {
           console.error('❌ Error fetching historical data:', err.message);
           reject(err);
         } else {
-          // Data is already split-adjusted in the database
           resolve(rows);
         }
       });
     });
+
+    // Vendors often backfill old bars under the new ticker too; keep one bar per
+    // date, preferring the ticker that was in use on that date
+    const inUse = (row) => lineage.some(segment => segment.symbol === row.symbol &&
+      (!segment.from || row.date >= segment.from) && (!segment.to || row.date < segment.to));
+    const byDate = new Map();
+    for (const row of rows) {
+      const existing = byDate.get(row.date);
+      if (!existing || (!inUse(existing) && inUse(row))) {
+        byDate.set(row.date, row);
+      }
+    }
+    const linkedRows = [...byDate.values()].slice(0, limit);
+
+    // Stored bars are raw; adjustments use the splits and dividends known right now
+    const adjusted = await splitAdjustmentService.adjustStockRecords(linkedRows, adjustment, symbols);
+    const relabeled = adjusted.map(row => row.symbol === upperSymbol
+      ? row
+      : { ...row, symbol: upperSymbol, listed_as: row.symbol });
+    return order === 'asc' ? relabeled.reverse() : relabeled;
+  }
+
+  /**
+   * Check a requested sort order
+   * @param {string} order - 'asc' or 'desc'
+   * @returns {boolean}
+   */
+  isValidOrder(order) {
+    return SORT_ORDERS.includes(order);
   }
 
   /**
@@ -187,6 +233,68 @@ class DataRefreshService {
     });
   }
 
+  /**
+   * Find trading days with no stored bar for a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {string} startDate - Start date (YYYY-MM-DD), defaults to the earliest stored bar
+   * @param {string} endDate - End date (YYYY-MM-DD), defaults to the last completed session
+   * @returns {Promise<Object|null>} Gap report, or null if there is no data for the symbol
+   */
+  async findDataGaps(symbol, startDate = null, endDate = null) {
+    const rows = await new Promise((resolve, reject) => {
+      const sql = `
+        SELECT date 
+        FROM historical_stock_data 
+        WHERE symbol = ?
+        ORDER BY date ASC
+      `;
+
+      db.all(sql, [symbol.toUpperCase()], (err, rows) => {
+        if (err) {
+          console.error('❌ Error fetching stored dates:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const from = startDate || rows[0].date;
+    const to = endDate || tradingCalendarService.lastCompletedTradingDay();
+    const stored = new Set(rows.map(row => row.date).filter(date => date >= from && date <= to));
+    const expected = tradingCalendarService.getTradingDays(from, to);
+    const missing = expected.filter(date => !stored.has(date));
+
+    // Collapse runs of consecutive missing sessions into ranges
+    const gaps = [];
+    for (const date of missing) {
+      const last = gaps[gaps.length - 1];
+      if (last && tradingCalendarService.nextTradingDay(last.end) === date) {
+        last.end = date;
+        last.tradingDays++;
+      } else {
+        gaps.push({ start: date, end: date, tradingDays: 1 });
+      }
+    }
+
+    return {
+      symbol: symbol.toUpperCase(),
+      startDate: from,
+      endDate: to,
+      expectedTradingDays: expected.length,
+      storedTradingDays: expected.length - missing.length,
+      missingCount: missing.length,
+      gaps,
+      missing,
+      // Bars stored for dates the exchange was closed usually indicate bad vendor data
+      nonTradingDays: [...stored].filter(date => !tradingCalendarService.isTradingDay(date))
+    };
+  }
+
   /**
    * Refresh data for a specific symbol
    * @param {string} symbol - Stock symbol
@@ -200,7 +308,7 @@ class DataRefreshService {
       // Get company overview to add to tracked stocks
       let companyName = symbol;
       try {
-        const overview = await alphaVantageService.fetchCompanyOverview(symbol);
+        const overview = await marketDataService.fetchCompanyOverview(symbol);
         companyName = overview.name || symbol;
       } catch (overviewError) {
         console.warn(`⚠️  Could not fetch company overview for ${symbol}: ${overviewError.message}`);
@@ -211,12 +319,22 @@ class DataRefreshService {
 
       // Fetch historical data
       const historicalData = fullRefresh 
-        ? await alphaVantageService.fetchFullHistoricalData(symbol)
-        : await alphaVantageService.fetchRecentData(symbol);
+        ? await marketDataService.fetchFullHistoricalData(symbol)
+        : await marketDataService.fetchRecentData(symbol);
 
       // Store in database
       const storeResult = await this.storeHistoricalData(historicalData);
 
+      // Full refreshes also pull dividend history for total-return prices
+      let dividendResult = null;
+      if (fullRefresh) {
+        try {
+          dividendResult = await dividendService.fetchAndStoreDividends(symbol);
+        } catch (dividendError) {
+          console.warn(`⚠️  Could not fetch dividends for ${symbol}: ${dividendError.message}`);
+        }
+      }
+
       // Update last_updated timestamp
       await this.updateLastRefreshed(symbol);
 
@@ -225,6 +343,7 @@ class DataRefreshService {
         companyName,
         dataFetched: historicalData.length,
         ...storeResult,
+        dividendsFetched: dividendResult ? dividendResult.total : null,
         lastRefreshed: new Date().toISOString()
       };
 
@@ -235,29 +354,76 @@ class DataRefreshService {
   }
 
   /**
-   * Refresh data for multiple symbols
+   * Order symbols so the stalest data is refreshed first
+   * @param {Array} symbols - Array of stock symbols
+   * @returns {Promise<Array>} Symbols ordered by latest stored bar, missing data first
+   */
+  async prioritizeByStaleness(symbols) {
+    if (symbols.length === 0) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const placeholders = symbols.map(() => '?').join(', ');
+      const sql = `
+        SELECT symbol, MAX(date) as latest_date
+        FROM historical_stock_data
+        WHERE symbol IN (${placeholders})
+        GROUP BY symbol
+      `;
+
+      db.all(sql, symbols.map(s => s.toUpperCase()), (err, rows) => {
+        if (err) {
+          console.error('❌ Error ranking symbols by staleness:', err.message);
+          reject(err);
+        } else {
+          const latestDates = Object.fromEntries(rows.map(row => [row.symbol, row.latest_date]));
+          const ordered = [...symbols].sort((a, b) => {
+            const dateA = latestDates[a.toUpperCase()] || '';
+            const dateB = latestDates[b.toUpperCase()] || '';
+            return dateA.localeCompare(dateB);
+          });
+          resolve(ordered);
+        }
+      });
+    });
+  }
+
+  /**
+   * Refresh data for multiple symbols, stalest first, within the API budget
    * @param {Array} symbols - Array of stock symbols
    * @param {boolean} fullRefresh - Whether to fetch full historical data
    * @returns {Promise<Array>} Array of refresh results
    */
   async refreshMultipleSymbols(symbols, fullRefresh = false) {
     const results = [];
+    const orderedSymbols = await this.prioritizeByStaleness(symbols);
+    let budgetExhausted = null;
     
-    for (const symbol of symbols) {
+    for (const symbol of orderedSymbols) {
+      // Once the daily budget is gone, defer the rest instead of failing each call
+      if (budgetExhausted) {
+        results.push({ 
+          success: false, 
+          deferred: true,
+          symbol, 
+          error: budgetExhausted 
+        });
+        continue;
+      }
+
       try {
         const result = await this.refreshSymbolData(symbol, fullRefresh);
         results.push({ success: true, ...result });
-        
-        // Rate limiting - Alpha Vantage allows 25 requests per day on free tier
-        // Wait 2.5 seconds between requests to be safe
-        if (symbols.indexOf(symbol) < symbols.length - 1) {
-          console.log('⏳ Waiting 2.5 seconds for API rate limit...');
-          await new Promise(resolve => setTimeout(resolve, 2500));
-        }
       } catch (error) {
         console.error(`❌ Failed to refresh ${symbol}: ${error.message}`);
+        const deferred = apiQuotaService.isQuotaError(error);
+        if (deferred) {
+          budgetExhausted = error.message;
+        }
         results.push({ 
           success: false, 
+          deferred,
           symbol, 
           error: error.message 
         });
@@ -267,6 +433,35 @@ class DataRefreshService {
     return results;
   }
 
+  /**
+   * Refresh and cache the company overview for a tracked stock
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Company overview
+   */
+  async refreshCompanyOverview(symbol) {
+    const overview = await marketDataService.fetchCompanyOverview(symbol);
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE tracked_stocks 
+        SET name = COALESCE(?, name),
+            overview = ?,
+            last_overview_refresh = DATE('now'),
+            last_updated = CURRENT_TIMESTAMP
+        WHERE symbol = ?
+      `;
+
+      db.run(sql, [overview.name || null, JSON.stringify(overview), symbol.toUpperCase()], function(err) {
+        if (err) {
+          console.error('❌ Error storing company overview:', err.message);
+          reject(err);
+        } else {
+          resolve(overview);
+        }
+      });
+    });
+  }
+
   /**
    * Update the last_updated timestamp for a tracked stock
    * @param {string} symbol - Stock symbol
@@ -0,0 +1,149 @@
+const db = require('../database');
+const marketDataService = require('./marketDataService');
+const splitAdjustmentService = require('./splitAdjustmentService');
+
+/**
+ * Dividend Service
+ * Stores dividend events. The total-return adjusted_close is derived from them
+ * on read by splitAdjustmentService, so returns computed from adjusted_close
+ * include reinvested dividends.
+ */
+class DividendService {
+  constructor() {
+    console.log('💵 Dividend Service initialized');
+  }
+
+  /**
+   * Get dividend events for a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {string} startDate - Earliest ex-date (YYYY-MM-DD)
+   * @param {string} endDate - Latest ex-date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Dividends ordered by ex-date ascending
+   */
+  async getDividends(symbol, startDate = null, endDate = null) {
+    return new Promise((resolve, reject) => {
+      let sql = `
+        SELECT symbol, ex_date, amount, declaration_date, record_date, payment_date
+        FROM dividends
+        WHERE symbol = ?
+      `;
+      const params = [symbol.toUpperCase()];
+
+      if (startDate) {
+        sql += ' AND ex_date >= ?';
+        params.push(startDate);
+      }
+
+      if (endDate) {
+        sql += ' AND ex_date <= ?';
+        params.push(endDate);
+      }
+
+      sql += ' ORDER BY ex_date ASC';
+
+      db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('❌ Error fetching dividends:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Store dividend events, keeping existing ones
+   * @param {string} symbol - Stock symbol
+   * @param {Array} dividends - Provider dividends ({ exDate, amount, ... })
+   * @returns {Promise<Object>} { inserted, skipped }
+   */
+  async storeDividends(symbol, dividends) {
+    let inserted = 0;
+    let skipped = 0;
+
+    for (const dividend of dividends) {
+      await new Promise((resolve, reject) => {
+        const sql = `
+          INSERT OR IGNORE INTO dividends
+          (symbol, ex_date, amount, declaration_date, record_date, payment_date)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `;
+
+        db.run(sql, [
+          symbol.toUpperCase(),
+          dividend.exDate,
+          dividend.amount,
+          dividend.declarationDate,
+          dividend.recordDate,
+          dividend.paymentDate
+        ], function(err) {
+          if (err) {
+            console.error('❌ Error storing dividend:', err.message);
+            reject(err);
+          } else {
+            if (this.changes > 0) {
+              inserted++;
+            } else {
+              skipped++;
+            }
+            resolve();
+          }
+        });
+      });
+    }
+
+    return { inserted, skipped };
+  }
+
+  /**
+   * Fetch dividends from the symbol's provider and store them
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} { symbol, inserted, skipped, total }
+   */
+  async fetchAndStoreDividends(symbol) {
+    console.log(`💵 Fetching dividend data for ${symbol}...`);
+
+    const dividends = await marketDataService.fetchDividends(symbol);
+    const { inserted, skipped } = await this.storeDividends(symbol, dividends);
+
+    if (inserted > 0) {
+      await splitAdjustmentService.bumpAdjustmentVersion(symbol);
+    }
+
+    console.log(`✅ Dividend data for ${symbol}: ${inserted} new, ${skipped} existing`);
+    return { symbol, inserted, skipped, total: dividends.length };
+  }
+
+  /**
+   * Get dividend information for display
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Dividend summary information
+   */
+  async getDividendSummary(symbol) {
+    const dividends = await this.getDividends(symbol);
+
+    const yearAgo = new Date();
+    yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+    const since = yearAgo.toISOString().split('T')[0];
+    const trailingTwelveMonths = dividends
+      .filter(dividend => dividend.ex_date >= since)
+      .reduce((sum, dividend) => sum + dividend.amount, 0);
+
+    return {
+      symbol: symbol.toUpperCase(),
+      hasDividends: dividends.length > 0,
+      totalDividends: dividends.length,
+      trailingTwelveMonths: Number(trailingTwelveMonths.toFixed(4)),
+      dividends: dividends.map(dividend => ({
+        exDate: dividend.ex_date,
+        amount: dividend.amount,
+        declarationDate: dividend.declaration_date,
+        recordDate: dividend.record_date,
+        paymentDate: dividend.payment_date
+      }))
+    };
+  }
+}
+
+module.exports = new DividendService();
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+
+const MARKET_DATA_DIR = process.env.MARKET_DATA_DIR || path.join(__dirname, '../../data/market');
+
+// Header aliases seen in common vendor dumps, mapped to our field names
+const COLUMN_ALIASES = {
+  timestamp: 'date',
+  effective_date: 'date',
+  ex_dividend_date: 'ex_date',
+  ex_div_date: 'ex_date',
+  adj_close: 'adjusted_close',
+  adjclose: 'adjusted_close',
+  split_factor: 'ratio',
+  split_ratio: 'ratio',
+  dividend: 'amount',
+  dividends: 'amount'
+};
+
+/**
+ * File Directory Market Data Provider
+ * Serves daily bars, quotes, overviews, splits and dividends from CSV/JSON
+ * dumps laid out as <MARKET_DATA_DIR>/<SYMBOL>/<dataset>.csv|json
+ */
+class FileDataProvider {
+  constructor() {
+    this.name = 'file';
+    this.baseDir = MARKET_DATA_DIR;
+    this.notConfiguredMessage = `Market data directory not found. Please create ${MARKET_DATA_DIR} or set MARKET_DATA_DIR in environment variables.`;
+    console.log(`📁 File data provider initialized (${MARKET_DATA_DIR})`);
+  }
+
+  /**
+   * Fetch daily historical stock data from the symbol's daily file
+   * @param {string} symbol - Stock symbol (e.g., 'AAPL')
+   * @param {string} outputSize - 'compact' (100 days) or 'full' (everything on disk)
+   * @returns {Promise<Array>} Array of daily stock data, newest first
+   */
+  async fetchDailyData(symbol, outputSize = 'full') {
+    const rows = this.readDataset(symbol, 'daily');
+    if (!rows) {
+      throw new Error(`No daily data file found for symbol ${symbol} in ${this.symbolDir(symbol)}`);
+    }
+
+    const historicalData = rows
+      .filter(row => row.date)
+      .map(row => {
+        const close = parseFloat(row.close);
+        return {
+          symbol: symbol.toUpperCase(),
+          date: String(row.date).slice(0, 10),
+          open: parseFloat(row.open),
+          high: parseFloat(row.high),
+          low: parseFloat(row.low),
+          close,
+          adjusted_close: close, // Vendor adjusted values are ignored, adjustments are ours
+          volume: parseInt(row.volume) || 0
+        };
+      })
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    const result = outputSize === 'compact' ? historicalData.slice(0, 100) : historicalData;
+    console.log(`✅ Loaded ${result.length} days of data for ${symbol} from disk`);
+    return result;
+  }
+
+  /**
+   * Fetch recent data (last 100 days) for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Array>} Array of recent stock data
+   */
+  async fetchRecentData(symbol) {
+    return this.fetchDailyData(symbol, 'compact');
+  }
+
+  /**
+   * Fetch full historical data for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Array>} Array of full historical stock data
+   */
+  async fetchFullHistoricalData(symbol) {
+    return this.fetchDailyData(symbol, 'full');
+  }
+
+  /**
+   * Get company overview from overview.json
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Company information
+   */
+  async fetchCompanyOverview(symbol) {
+    const overview = this.readJson(path.join(this.symbolDir(symbol), 'overview.json'));
+    if (!overview) {
+      throw new Error(`No company data found for symbol ${symbol}`);
+    }
+
+    return {
+      symbol: symbol.toUpperCase(),
+      ...overview
+    };
+  }
+
+  /**
+   * Get current quote from quote.json, or derive one from the two latest daily bars
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>} Current quote data
+   */
+  async fetchQuote(symbol) {
+    const quote = this.readJson(path.join(this.symbolDir(symbol), 'quote.json'));
+    if (quote) {
+      return { symbol: symbol.toUpperCase(), ...quote };
+    }
+
+    const [latest, previous] = await this.fetchDailyData(symbol, 'compact');
+    if (!latest) {
+      throw new Error(`No quote data found for symbol ${symbol}`);
+    }
+
+    const previousClose = previous ? previous.close : latest.open;
+    const change = latest.close - previousClose;
+
+    return {
+      symbol: symbol.toUpperCase(),
+      open: latest.open,
+      high: latest.high,
+      low: latest.low,
+      price: latest.close,
+      volume: latest.volume,
+      latestTradingDay: latest.date,
+      previousClose,
+      change: Number(change.toFixed(4)),
+      changePercent: `${(change / previousClose * 100).toFixed(4)}%`
+    };
+  }
+
+  /**
+   * Get split history from splits.csv|json
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Array>} Array of { symbol, date, ratio, description }
+   */
+  async fetchSplits(symbol) {
+    const rows = this.readDataset(symbol, 'splits') || [];
+
+    return rows
+      .filter(row => row.date && row.ratio)
+      .map(row => ({
+        symbol: symbol.toUpperCase(),
+        date: String(row.date).slice(0, 10),
+        ratio: parseRatio(row.ratio),
+        description: row.description || `${row.ratio} stock split`
+      }))
+      .filter(split => Number.isFinite(split.ratio) && split.ratio > 0);
+  }
+
+  /**
+   * Get dividend history from dividends.csv|json
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Array>} Array of { symbol, exDate, amount, declarationDate, recordDate, paymentDate }
+   */
+  async fetchDividends(symbol) {
+    const rows = this.readDataset(symbol, 'dividends') || [];
+
+    return rows
+      .filter(row => (row.ex_date || row.date) && row.amount)
+      .map(row => ({
+        symbol: symbol.toUpperCase(),
+        exDate: String(row.ex_date || row.date).slice(0, 10),
+        amount: parseFloat(row.amount),
+        declarationDate: row.declaration_date || null,
+        recordDate: row.record_date || null,
+        paymentDate: row.payment_date || null
+      }));
+  }
+
+  /**
+   * Check if the data directory exists
+   * @returns {boolean} True if the provider can serve data
+   */
+  isConfigured() {
+    return fs.existsSync(this.baseDir);
+  }
+
+  /**
+   * Get the directory holding a symbol's files
+   * @param {string} symbol - Stock symbol
+   * @returns {string} Absolute directory path
+   */
+  symbolDir(symbol) {
+    return path.join(this.baseDir, symbol.toUpperCase());
+  }
+
+  /**
+   * Read a dataset for a symbol, preferring JSON over CSV
+   * @param {string} symbol - Stock symbol
+   * @param {string} dataset - Dataset name ('daily', 'splits', 'dividends')
+   * @returns {Array|null} Rows with normalized keys, or null if no file exists
+   */
+  readDataset(symbol, dataset) {
+    const base = path.join(this.symbolDir(symbol), dataset);
+
+    const json = this.readJson(`${base}.json`);
+    if (json) {
+      const rows = Array.isArray(json) ? json : (json.data || []);
+      return rows.map(normalizeKeys);
+    }
+
+    if (fs.existsSync(`${base}.csv`)) {
+      return parseCsv(fs.readFileSync(`${base}.csv`, 'utf8'));
+    }
+
+    return null;
+  }
+
+  /**
+   * Read and parse a JSON file if it exists
+   * @param {string} filePath - Path to the file
+   * @returns {*} Parsed content or null
+   */
+  readJson(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+function normalizeKey(key) {
+  const normalized = String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return COLUMN_ALIASES[normalized] || normalized;
+}
+
+function normalizeKeys(row) {
+  const result = {};
+  for (const [key, value] of Object.entries(row)) {
+    result[normalizeKey(key)] = value;
+  }
+  return result;
+}
+
+function parseCsvLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = parseCsvLine(lines[0]).map(normalizeKey);
+
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = values[i];
+    });
+    return row;
+  });
+}
+
+// Accepts 4, "4", "4:1", "4/1" and "4-for-1"
+function parseRatio(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = String(value).match(/^\s*([\d.]+)\s*(?::|\/|-for-)\s*([\d.]+)\s*$/i);
+  if (match) {
+    return parseFloat(match[1]) / parseFloat(match[2]);
+  }
+
+  return parseFloat(value);
+}
+
+module.exports = new FileDataProvider();
@@ -0,0 +1,287 @@
+const db = require('../database');
+const dataRefreshService = require('./dataRefreshService');
+const startupRefreshService = require('./startupRefreshService');
+const apiQuotaService = require('./apiQuotaService');
+const dividendService = require('./dividendService');
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000;
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Background Job Queue Service
+ * SQLite-backed queue for long-running per-symbol work. Jobs are processed one
+ * at a time (the API budget is shared), each symbol is retried on failure, and
+ * jobs interrupted by a restart are resumed by start().
+ */
+class JobQueueService {
+  constructor() {
+    this.handlers = {};
+    this.processing = false;
+    this.started = false;
+
+    this.registerHandler('refresh', (symbol, payload) =>
+      dataRefreshService.refreshSymbolData(symbol, Boolean(payload.fullRefresh))
+    );
+    this.registerHandler('init', (symbol) => dataRefreshService.refreshSymbolData(symbol, true));
+    this.registerHandler('add-stock', (symbol) => dataRefreshService.refreshSymbolData(symbol, true));
+    this.registerHandler('data-refresh', (symbol) => startupRefreshService.refreshRecentData(symbol));
+    this.registerHandler('split-check', (symbol) => startupRefreshService.checkSplits(symbol));
+    this.registerHandler('dividend-check', (symbol) => dividendService.fetchAndStoreDividends(symbol));
+    this.registerHandler('overview-refresh', (symbol) => dataRefreshService.refreshCompanyOverview(symbol));
+
+    console.log('📬 Job Queue Service initialized');
+  }
+
+  /**
+   * Register the per-symbol handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (symbol, payload) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Resume interrupted jobs and start processing the queue
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const jobs = await run(`UPDATE jobs SET status = 'queued' WHERE status = 'running'`);
+    await run(`UPDATE job_items SET status = 'pending' WHERE status = 'running'`);
+
+    if (jobs.changes > 0) {
+      console.log(`📬 Resuming ${jobs.changes} interrupted job(s)`);
+    }
+
+    this.started = true;
+    this.processQueue();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (must have a registered handler)
+   * @param {Array} symbols - Symbols to process, in order
+   * @param {Object} payload - Options passed to the handler
+   * @returns {Promise<Object>} The created job
+   */
+  async enqueue(type, symbols, payload = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const { lastID: jobId } = await run(
+      'INSERT INTO jobs (type, payload) VALUES (?, ?)',
+      [type, JSON.stringify(payload)]
+    );
+
+    for (const symbol of symbols) {
+      await run('INSERT INTO job_items (job_id, symbol) VALUES (?, ?)', [jobId, symbol.toUpperCase()]);
+    }
+
+    console.log(`📬 Queued ${type} job #${jobId} for ${symbols.length} symbol(s)`);
+
+    if (this.started) {
+      this.processQueue();
+    }
+
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Get a job with per-symbol progress
+   * @param {number} jobId - Job id
+   * @returns {Promise<Object|null>} Job details or null if not found
+   */
+  async getJob(jobId) {
+    const job = await get('SELECT * FROM jobs WHERE id = ?', [jobId]);
+    if (!job) {
+      return null;
+    }
+
+    const items = await all('SELECT * FROM job_items WHERE job_id = ? ORDER BY id', [jobId]);
+    const count = (status) => items.filter(item => item.status === status).length;
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      payload: parseJson(job.payload),
+      error: job.error,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
+      progress: {
+        total: items.length,
+        pending: count('pending'),
+        running: count('running'),
+        succeeded: count('succeeded'),
+        failed: count('failed'),
+        deferred: count('deferred')
+      },
+      items: items.map(item => ({
+        symbol: item.symbol,
+        status: item.status,
+        attempts: item.attempts,
+        error: item.error,
+        result: parseJson(item.result),
+        updatedAt: item.updated_at
+      }))
+    };
+  }
+
+  /**
+   * List recent jobs without item details
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Array>} Jobs, newest first
+   */
+  async listJobs(options = {}) {
+    let sql = 'SELECT id, type, status, error, created_at, started_at, finished_at FROM jobs';
+    const params = [];
+
+    if (options.status) {
+      sql += ' WHERE status = ?';
+      params.push(options.status);
+    }
+
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(options.limit || 50);
+
+    return all(sql, params);
+  }
+
+  /**
+   * Process queued jobs until none are left
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+
+    try {
+      let job;
+      while ((job = await get(`SELECT * FROM jobs WHERE status = 'queued' ORDER BY id LIMIT 1`))) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Job queue processing failed:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run every pending item of a job
+   * @param {Object} job - Row from the jobs table
+   * @returns {Promise<void>}
+   */
+  async processJob(job) {
+    const handler = this.handlers[job.type];
+    const payload = parseJson(job.payload) || {};
+
+    console.log(`▶️  Starting ${job.type} job #${job.id}`);
+    await run(
+      `UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?`,
+      [job.id]
+    );
+
+    if (!handler) {
+      await this.finishJob(job.id, 'failed', `No handler registered for job type ${job.type}`);
+      return;
+    }
+
+    let item;
+    while ((item = await get(`SELECT * FROM job_items WHERE job_id = ? AND status = 'pending' ORDER BY id LIMIT 1`, [job.id]))) {
+      const attempts = item.attempts + 1;
+      await run(
+        `UPDATE job_items SET status = 'running', attempts = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [attempts, item.id]
+      );
+
+      try {
+        const result = await handler(item.symbol, payload);
+        await run(
+          `UPDATE job_items SET status = 'succeeded', error = NULL, result = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [JSON.stringify(result ?? null), item.id]
+        );
+      } catch (error) {
+        console.error(`❌ Job #${job.id} ${item.symbol} attempt ${attempts} failed: ${error.message}`);
+
+        if (apiQuotaService.isQuotaError(error)) {
+          // Retrying cannot help until the budget resets, so defer the rest of the job
+          await run(
+            `UPDATE job_items SET status = 'deferred', error = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE job_id = ? AND status IN ('pending', 'running')`,
+            [error.message, job.id]
+          );
+          break;
+        }
+
+        const retry = attempts < MAX_ATTEMPTS;
+        await run(
+          `UPDATE job_items SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [retry ? 'pending' : 'failed', error.message, item.id]
+        );
+
+        if (retry) {
+          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempts));
+        }
+      }
+    }
+
+    const { progress } = await this.getJob(job.id);
+    const status = progress.succeeded === progress.total
+      ? 'completed'
+      : progress.succeeded === 0 ? 'failed' : 'partial';
+
+    await this.finishJob(job.id, status, null);
+  }
+
+  async finishJob(jobId, status, error) {
+    await run(
+      `UPDATE jobs SET status = ?, error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [status, error, jobId]
+    );
+    console.log(`⏹️  Job #${jobId} finished: ${status}`);
+  }
+}
+
+module.exports = new JobQueueService();
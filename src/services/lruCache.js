@@ -0,0 +1,62 @@
+/**
+ * LRU Cache
+ * Map-backed least-recently-used cache with hit/miss counters. Used for compiled
+ * JSONata expressions in the query workers and for query results.
+ */
+class LruCache {
+  /**
+   * @param {number} capacity - Entries kept before the least recently used is evicted
+   */
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Re-insert so the entry becomes the most recently used
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    if (this.entries.size > this.capacity) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * @returns {Object} { size, capacity, hits, misses, evictions, hitRate }
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      capacity: this.capacity,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups === 0 ? null : parseFloat((this.hits / lookups).toFixed(4))
+    };
+  }
+}
+
+module.exports = LruCache;
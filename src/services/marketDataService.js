@@ -0,0 +1,161 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const apiQuotaService = require('./apiQuotaService');
+const alphaVantageService = require('./alphaVantageService');
+const fileDataProvider = require('./fileDataProvider');
+
+const DEFAULT_PROVIDER = (process.env.MARKET_DATA_PROVIDER || 'alphavantage').toLowerCase();
+
+/**
+ * Parse per-symbol provider overrides, e.g. "NVDA=file,SPY=file"
+ * @param {string} value - Raw MARKET_DATA_PROVIDER_OVERRIDES value
+ * @returns {Object} Map of symbol to provider name
+ */
+function parseOverrides(value) {
+  const overrides = {};
+  if (!value) {
+    return overrides;
+  }
+
+  for (const entry of value.split(',')) {
+    const [symbol, provider] = entry.split(/[=:]/).map(part => part && part.trim());
+    if (symbol && provider) {
+      overrides[symbol.toUpperCase()] = provider.toLowerCase();
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Market Data Service
+ * Routes daily bars, quotes, overviews, splits and dividends to the provider
+ * configured for each symbol. Every provider implements the same interface:
+ * fetchDailyData, fetchRecentData, fetchFullHistoricalData, fetchQuote,
+ * fetchCompanyOverview, fetchSplits, fetchDividends and isConfigured.
+ * Calls to metered providers are recorded through apiQuotaService first.
+ */
+class MarketDataService {
+  constructor() {
+    this.providers = {};
+    this.registerProvider(alphaVantageService);
+    this.registerProvider(fileDataProvider);
+
+    this.defaultProvider = DEFAULT_PROVIDER;
+    this.symbolOverrides = parseOverrides(process.env.MARKET_DATA_PROVIDER_OVERRIDES);
+
+    if (!this.providers[this.defaultProvider]) {
+      console.warn(`⚠️  Unknown MARKET_DATA_PROVIDER "${this.defaultProvider}", falling back to alphavantage`);
+      this.defaultProvider = 'alphavantage';
+    }
+
+    const overrideCount = Object.keys(this.symbolOverrides).length;
+    console.log(`🔌 Market Data Service initialized (default: ${this.defaultProvider}${overrideCount ? `, ${overrideCount} symbol overrides` : ''})`);
+  }
+
+  /**
+   * Register a provider implementation under its name
+   * @param {Object} provider - Provider instance with a `name` property
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  /**
+   * Get the provider name configured for a symbol
+   * @param {string} symbol - Stock symbol (omit for the global default)
+   * @returns {string} Provider name
+   */
+  getProviderName(symbol = null) {
+    const override = symbol ? this.symbolOverrides[symbol.toUpperCase()] : null;
+    return override && this.providers[override] ? override : this.defaultProvider;
+  }
+
+  /**
+   * Get the provider instance configured for a symbol
+   * @param {string} symbol - Stock symbol (omit for the global default)
+   * @returns {Object} Provider instance
+   */
+  getProvider(symbol = null) {
+    return this.providers[this.getProviderName(symbol)];
+  }
+
+  /**
+   * Check if the provider for a symbol is ready to serve data
+   * @param {string} symbol - Stock symbol (omit for the global default)
+   * @returns {boolean}
+   */
+  isConfigured(symbol = null) {
+    return this.getProvider(symbol).isConfigured();
+  }
+
+  /**
+   * Get a user-facing explanation of why a provider is not configured
+   * @param {string} symbol - Stock symbol (omit for the global default)
+   * @returns {string}
+   */
+  getNotConfiguredMessage(symbol = null) {
+    return this.getProvider(symbol).notConfiguredMessage;
+  }
+
+  /**
+   * Describe the active provider configuration
+   * @returns {Object} Default provider, overrides and per-provider readiness
+   */
+  getProviderInfo() {
+    const providers = {};
+    for (const [name, provider] of Object.entries(this.providers)) {
+      providers[name] = { configured: provider.isConfigured() };
+    }
+
+    return {
+      default: this.defaultProvider,
+      overrides: { ...this.symbolOverrides },
+      providers
+    };
+  }
+
+  /**
+   * Invoke a provider method for a symbol after reserving quota for it
+   * @param {string} symbol - Stock symbol
+   * @param {string} method - Provider method name
+   * @param {Array} args - Extra arguments after the symbol
+   * @returns {Promise<*>} Provider result
+   */
+  async call(symbol, method, ...args) {
+    const provider = this.getProvider(symbol);
+    await apiQuotaService.acquire(provider.name, method, symbol);
+    return provider[method](symbol, ...args);
+  }
+
+  async fetchDailyData(symbol, outputSize = 'full') {
+    return this.call(symbol, 'fetchDailyData', outputSize);
+  }
+
+  async fetchRecentData(symbol) {
+    return this.call(symbol, 'fetchRecentData');
+  }
+
+  async fetchFullHistoricalData(symbol) {
+    return this.call(symbol, 'fetchFullHistoricalData');
+  }
+
+  async fetchQuote(symbol) {
+    return this.call(symbol, 'fetchQuote');
+  }
+
+  async fetchCompanyOverview(symbol) {
+    return this.call(symbol, 'fetchCompanyOverview');
+  }
+
+  async fetchSplits(symbol) {
+    return this.call(symbol, 'fetchSplits');
+  }
+
+  async fetchDividends(symbol) {
+    return this.call(symbol, 'fetchDividends');
+  }
+}
+
+module.exports = new MarketDataService();
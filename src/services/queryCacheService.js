@@ -0,0 +1,83 @@
+const LruCache = require('./lruCache');
+const querySandboxService = require('./querySandboxService');
+
+/**
+ * Query Cache Service
+ * Caches query responses keyed by symbols, expression, bindings, range, order and
+ * the data version. Any write of price bars or change to splits, dividends or
+ * corporate actions bumps the version: renames link histories across symbols,
+ * so a write to one symbol can change another symbol's results.
+ */
+class QueryCacheService {
+  constructor() {
+    this.results = new LruCache(parseInt(process.env.QUERY_CACHE_SIZE) || 500);
+    this.dataVersion = 0;
+    this.invalidations = 0;
+    this.lastInvalidation = null;
+    console.log('🗃️ Query Cache Service initialized');
+  }
+
+  /**
+   * Build the cache key for a query
+   * @param {Array} symbols - Symbols the query reads
+   * @param {string|Object} query - Expression, or { name: expression }
+   * @param {Object} options - { startDate, endDate, limit, adjustment, order, bindings }
+   * @returns {string}
+   */
+  buildKey(symbols, query, options = {}) {
+    return JSON.stringify([
+      this.dataVersion,
+      symbols,
+      query,
+      options.bindings || null,
+      options.startDate || null,
+      options.endDate || null,
+      options.limit || null,
+      options.adjustment || 'split',
+      options.order || 'desc'
+    ]);
+  }
+
+  get(key) {
+    return this.results.get(key);
+  }
+
+  set(key, response) {
+    this.results.set(key, response);
+  }
+
+  /**
+   * Drop cached results after stored data changed
+   * @param {string} symbol - Symbol whose bars, splits or dividends changed
+   * @param {string} reason - What changed, for diagnostics
+   */
+  invalidate(symbol, reason) {
+    this.dataVersion++;
+    this.invalidations++;
+    this.lastInvalidation = { symbol, reason, at: new Date().toISOString() };
+    this.results.clear();
+  }
+
+  /**
+   * Result and compiled expression cache statistics
+   * @returns {Object} { dataVersion, invalidations, lastInvalidation, results, compiledExpressions }
+   */
+  getStats() {
+    return {
+      dataVersion: this.dataVersion,
+      invalidations: this.invalidations,
+      lastInvalidation: this.lastInvalidation,
+      results: this.results.getStats(),
+      compiledExpressions: querySandboxService.getCompiledCacheStats()
+    };
+  }
+
+  /**
+   * Empty the result cache
+   */
+  clear() {
+    this.invalidate(null, 'cleared');
+  }
+}
+
+module.exports = new QueryCacheService();
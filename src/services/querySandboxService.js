@@ -0,0 +1,212 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'queryWorker.js');
+
+// HTTP status for each limit error code
+const LIMIT_STATUS = {
+  QUERY_TIMEOUT: 408,
+  QUERY_DEPTH_LIMIT: 422,
+  QUERY_RESULT_TOO_LARGE: 422,
+  QUERY_MEMORY_LIMIT: 422
+};
+
+function limitError(code, message, limit) {
+  const error = new Error(message);
+  error.code = code;
+  error.limit = limit;
+  return error;
+}
+
+/**
+ * Query Sandbox Service
+ * Evaluates JSONata expressions in a small pool of worker threads so a slow or
+ * runaway expression cannot block the event loop. A worker that runs past the
+ * time limit or its memory limit is terminated and replaced.
+ */
+class QuerySandboxService {
+  constructor() {
+    this.limits = {
+      timeoutMs: parseInt(process.env.QUERY_TIMEOUT_MS) || 5000,
+      rollingTimeoutMs: parseInt(process.env.QUERY_ROLLING_TIMEOUT_MS) || 30000,
+      maxDepth: parseInt(process.env.QUERY_MAX_DEPTH) || 1000,
+      maxResultBytes: parseInt(process.env.QUERY_MAX_RESULT_BYTES) || 5 * 1024 * 1024,
+      maxMemoryMb: parseInt(process.env.QUERY_MAX_MEMORY_MB) || 256
+    };
+    this.poolSize = parseInt(process.env.QUERY_WORKERS) || 2;
+    this.compiledCacheSize = parseInt(process.env.QUERY_COMPILED_CACHE_SIZE) || 200;
+    this.compiledStats = { hits: 0, misses: 0 };
+
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+
+    console.log(`🧪 Query Sandbox Service initialized (${this.poolSize} workers, ${this.limits.timeoutMs} ms limit)`);
+  }
+
+  /**
+   * Evaluate an expression in a worker thread
+   * @param {string} expression - JSONata source (compiled expressions cannot cross threads)
+   * @param {Object} input - Query context, copied to the worker
+   * @param {Object} bindings - Variables bound as $name
+   * @param {string} order - Order of the input's series, 'desc' (default) or 'asc', for the indicator functions
+   * @returns {Promise<*>} Result as plain JSON; rejects with code QUERY_TIMEOUT,
+   *   QUERY_DEPTH_LIMIT, QUERY_RESULT_TOO_LARGE or QUERY_MEMORY_LIMIT when a limit is hit
+   */
+  evaluate(expression, input, bindings, order = 'desc') {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message: { expression, input, bindings, order }, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Evaluate an expression once per sliding window of rows, in one worker task
+   * @param {string} expression - JSONata source
+   * @param {Object} input - Query context with `data` and `dividends` oldest first
+   * @param {Object} bindings - Variables bound as $name
+   * @param {Object} options - { order: order each window is given in, window: rows per window,
+   *   step: rows between windows, from: index of the first window's last row }
+   * @returns {Promise<Array>} [{ date, value }] oldest first, dated by each window's last row;
+   *   the whole run shares the rolling time limit
+   */
+  evaluateRolling(expression, input, bindings, { order = 'desc', window, step = 1, from = 0 }) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        message: { expression, input, bindings, order, rolling: { window, step, from } },
+        timeoutMs: this.limits.rollingTimeoutMs,
+        resolve,
+        reject
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Check if an error was raised because a sandbox limit was hit
+   * @param {Error|Object} error - Error, or a failed query response with its code
+   * @returns {boolean}
+   */
+  isLimitError(error) {
+    return Boolean(error && LIMIT_STATUS[error.code]);
+  }
+
+  /**
+   * HTTP status for a limit error: 408 for timeouts, 422 for the other limits
+   * @param {Error|Object} error - Error, or a failed query response with its code
+   * @returns {number|null}
+   */
+  getStatusCode(error) {
+    return (error && LIMIT_STATUS[error.code]) || null;
+  }
+
+  /**
+   * Hit/miss counts for the compiled expression caches, summed over the workers
+   * @returns {Object} { workers, capacityPerWorker, hits, misses, hitRate }
+   */
+  getCompiledCacheStats() {
+    const { hits, misses } = this.compiledStats;
+    return {
+      workers: this.workers.size,
+      capacityPerWorker: this.compiledCacheSize,
+      hits,
+      misses,
+      hitRate: hits + misses === 0 ? null : parseFloat((hits / (hits + misses)).toFixed(4))
+    };
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.size >= this.poolSize) return;
+        worker = this.startWorker();
+      }
+      this.runTask(worker, this.queue.shift());
+    }
+  }
+
+  startWorker() {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: {
+        maxDepth: this.limits.maxDepth,
+        maxResultBytes: this.limits.maxResultBytes,
+        compiledCacheSize: this.compiledCacheSize
+      },
+      resourceLimits: { maxOldGenerationSizeMb: this.limits.maxMemoryMb }
+    });
+
+    worker.on('message', (reply) => {
+      const task = worker.task;
+      if (!task) return; // Timed out; the worker is being terminated
+      this.finishTask(worker);
+      this.compiledStats[reply.cacheHit ? 'hits' : 'misses']++;
+
+      if (reply.error) {
+        const error = Object.assign(new Error(reply.error.message), reply.error);
+        task.reject(error);
+      } else {
+        task.resolve(reply.json === undefined ? undefined : JSON.parse(reply.json));
+      }
+    });
+
+    worker.on('error', (error) => {
+      const task = worker.task;
+      worker.task = null;
+      if (!task) return;
+
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        task.reject(limitError('QUERY_MEMORY_LIMIT', `Query exceeded the ${this.limits.maxMemoryMb} MB memory limit`, this.limits.maxMemoryMb));
+      } else {
+        task.reject(error);
+      }
+    });
+
+    worker.on('exit', () => {
+      clearTimeout(worker.timer);
+      this.workers.delete(worker);
+      this.idle = this.idle.filter(idleWorker => idleWorker !== worker);
+
+      if (worker.task) {
+        worker.task.reject(new Error('Query worker stopped unexpectedly'));
+        worker.task = null;
+      }
+      this.dispatch();
+    });
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  runTask(worker, task) {
+    const timeoutMs = task.timeoutMs || this.limits.timeoutMs;
+    worker.task = task;
+    worker.ref();
+
+    worker.timer = setTimeout(() => {
+      worker.task = null;
+      task.reject(limitError('QUERY_TIMEOUT', `Query exceeded the ${timeoutMs} ms time limit`, timeoutMs));
+      console.warn(`🧪 Terminating query worker after ${timeoutMs} ms`);
+      worker.terminate();
+    }, timeoutMs);
+
+    try {
+      worker.postMessage(task.message);
+    } catch (error) {
+      this.finishTask(worker);
+      task.reject(error);
+    }
+  }
+
+  finishTask(worker) {
+    clearTimeout(worker.timer);
+    worker.task = null;
+
+    // Idle workers should not keep the process alive
+    worker.unref();
+    this.idle.push(worker);
+    this.dispatch();
+  }
+}
+
+module.exports = new QuerySandboxService();
@@ -1,5 +1,39 @@
-const jsonata = require('jsonata');
 const { getHistoricalData } = require('./dataRefreshService');
+const dividendService = require('./dividendService');
+const splitAdjustmentService = require('./splitAdjustmentService');
+const querySandboxService = require('./querySandboxService');
+const queryCacheService = require('./queryCacheService');
+const savedQueryService = require('./savedQueryService');
+const technicalAnalysisService = require('./technicalAnalysisService');
+
+// Bars loaded for a rolling query: the requested range plus the rows its first windows reach back into
+const ROLLING_MAX_ROWS = 10000;
+
+// Convert a query-string value to a template parameter's type, or return { problem }
+function coerceParameter(definition, raw) {
+  const type = definition.type || 'number';
+
+  if (type === 'string') {
+    return { value: String(raw) };
+  }
+  if (type === 'boolean') {
+    if (raw === true || raw === 'true') return { value: true };
+    if (raw === false || raw === 'false') return { value: false };
+    return { problem: `${definition.name} must be true or false` };
+  }
+
+  const value = Number(raw);
+  if (raw === '' || Number.isNaN(value) || (type === 'integer' && !Number.isInteger(value))) {
+    return { problem: `${definition.name} must be ${type === 'integer' ? 'a whole number' : 'a number'}` };
+  }
+  if (definition.min !== undefined && value < definition.min) {
+    return { problem: `${definition.name} must be at least ${definition.min}` };
+  }
+  if (definition.max !== undefined && value > definition.max) {
+    return { problem: `${definition.name} must be at most ${definition.max}` };
+  }
+  return { value };
+}
 
 /**
  * JSONata Query Service
@@ -8,113 +42,349 @@ const { getHistoricalData } = require('./dataRefreshService');
 
 class QueryService {
   constructor() {
-    // Pre-compiled common expressions for performance
+    // Common expressions shared by the summary helpers
     this.commonExpressions = {
-      globalHigh: jsonata('$max(data.high)'),
-      globalLow: jsonata('$min(data.low)'),
-      highestClose: jsonata('$max(data.close)'),
-      lowestClose: jsonata('$min(data.close)'),
-      maxVolume: jsonata('$max(data.volume)'),
-      avgVolume: jsonata('$average(data.volume)'),
-      avgClose: jsonata('$average(data.close)'),
-      totalVolume: jsonata('$sum(data.volume)'),
-      recordCount: jsonata('$count(data)')
+      globalHigh: '$max(data.high)',
+      globalLow: '$min(data.low)',
+      highestClose: '$max(data.close)',
+      lowestClose: '$min(data.close)',
+      maxVolume: '$max(data.volume)',
+      avgVolume: '$average(data.volume)',
+      avgClose: '$average(data.close)',
+      totalVolume: '$sum(data.volume)',
+      recordCount: '$count(data)'
     };
   }
 
   /**
-   * Execute a JSONata expression against historical stock data
+   * Evaluate an expression in the query sandbox, with the technical analysis functions
+   * ($sma, $ema, $rsi, $macd, $bollinger, $atr, $returns, $drawdown, $stddev, $rolling)
+   * working in the context's order
    */
-  async executeQuery(symbol, query, options = {}) {
+  evaluate(expression, context, bindings) {
+    return querySandboxService.evaluate(expression, context, bindings, context.order);
+  }
+
+  // Error fields for a failed query; sandbox limit errors add their code and limit,
+  // JSONata errors their code, position and token
+  describeError(error) {
+    if (querySandboxService.isLimitError(error)) {
+      return { error: error.message, code: error.code, limit: error.limit };
+    }
+    if (error.position !== undefined) {
+      return { error: error.message, code: error.code, position: error.position, token: error.token };
+    }
+    return { error: error.message };
+  }
+
+  // A cached response, marked as such, or undefined on a miss
+  getCachedResponse(cacheKey) {
+    const response = queryCacheService.get(cacheKey);
+    return response && { ...response, cached: true };
+  }
+
+  // Cache a successful response; ones with a limit error are not cached so a retry can run again
+  cacheResponse(cacheKey, response) {
+    const results = Object.values(response.results || {});
+    if (response.success && !results.some(result => querySandboxService.isLimitError(result))) {
+      queryCacheService.set(cacheKey, response);
+    }
+    return response;
+  }
+
+  /**
+   * Load historical data and dividends into the object JSONata expressions run against.
+   * `data` rows are newest first (options.order 'asc' for oldest first) and priced per
+   * options.adjustment ('raw', 'split' or 'total'); `adjusted_close` is always split- and
+   * dividend-adjusted. `series` holds dates, closes and returns as arrays in the same order.
+   */
+  async buildQueryContext(symbol, options = {}) {
+    const order = options.order || 'desc';
+
+    // Get historical data (returns raw array)
+    const dataArray = await getHistoricalData(
+      symbol,
+      options.startDate,
+      options.endDate,
+      options.limit,
+      options.adjustment,
+      order
+    );
+
+    if (!dataArray || dataArray.length === 0) {
+      const error = new Error(`No historical data found for symbol ${symbol}`);
+      error.code = 'NO_HISTORICAL_DATA';
+      throw error;
+    }
+
+    // Dividends that went ex within the returned bars
+    const dates = dataArray.map(row => row.date);
+    const dividends = await dividendService.getDividends(
+      symbol,
+      order === 'asc' ? dates[0] : dates[dates.length - 1],
+      order === 'asc' ? dates[dates.length - 1] : dates[0]
+    );
+    const closes = dataArray.map(row => row.close);
+
+    // Format data in the expected structure for JSONata
+    return {
+      symbol: symbol.toUpperCase(),
+      count: dataArray.length,
+      startDate: options.startDate || 'earliest',
+      endDate: options.endDate || 'latest',
+      adjustment: options.adjustment || 'split',
+      adjustmentVersion: await splitAdjustmentService.getAdjustmentVersion(symbol),
+      order,
+      data: dataArray,
+      series: {
+        dates,
+        closes,
+        // Close-to-close; null for the oldest bar
+        returns: technicalAnalysisService.returns(order, closes)
+      },
+      dividends: dividends.map(dividend => ({
+        exDate: dividend.ex_date,
+        amount: dividend.amount
+      }))
+    };
+  }
+
+  /**
+   * Load several symbols into one context: `symbols.<SYMBOL>` holds each symbol's own
+   * data, series and dividends, and `aligned` holds one row per date every symbol traded,
+   * in options.order (newest first by default), e.g. { date, NVDA: { close, ... }, AMD: { close, ... } }.
+   */
+  async buildMultiSymbolContext(symbols, options = {}) {
+    const contexts = {};
+    const missing = [];
+
+    for (const symbol of symbols) {
+      try {
+        contexts[symbol] = await this.buildQueryContext(symbol, options);
+      } catch (error) {
+        // Only an empty range makes a symbol missing; database and adjustment errors surface as-is
+        if (error.code !== 'NO_HISTORICAL_DATA') throw error;
+        missing.push(symbol);
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`No historical data found for symbol${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+    }
+
+    // Index each symbol's bars by date, then keep the dates every symbol has
+    const barsByDate = {};
+    for (const symbol of symbols) {
+      barsByDate[symbol] = new Map(contexts[symbol].data.map(bar => [bar.date, bar]));
+    }
+
+    const aligned = contexts[symbols[0]].data
+      .map(row => row.date)
+      .filter(date => symbols.every(symbol => barsByDate[symbol].has(date)))
+      .map(date => {
+        const row = { date };
+        for (const symbol of symbols) {
+          const { open, high, low, close, adjusted_close, volume } = barsByDate[symbol].get(date);
+          row[symbol] = { open, high, low, close, adjusted_close, volume };
+        }
+        return row;
+      });
+
+    const symbolData = {};
+    for (const symbol of symbols) {
+      const { count, adjustmentVersion, data, series, dividends } = contexts[symbol];
+      symbolData[symbol] = { count, adjustmentVersion, data, series, dividends };
+    }
+
+    return {
+      symbolList: symbols,
+      count: aligned.length,
+      startDate: options.startDate || 'earliest',
+      endDate: options.endDate || 'latest',
+      adjustment: options.adjustment || 'split',
+      order: options.order || 'desc',
+      symbols: symbolData,
+      aligned
+    };
+  }
+
+  /**
+   * Execute a single expression or a set of named expressions against several symbols
+   * @param {Array} symbols - Upper-case stock symbols
+   * @param {string|Object} query - Expression, or { name: expression } for several
+   * @param {Object} options - { startDate, endDate, limit, adjustment }
+   */
+  async executeMultiSymbolQuery(symbols, query, options = {}) {
+    const cacheKey = queryCacheService.buildKey(symbols, query, options);
+    const cached = this.getCachedResponse(cacheKey);
+    if (cached) return cached;
+
     try {
-      // Get historical data (returns raw array)
-      const dataArray = await getHistoricalData(
-        symbol,
-        options.startDate,
-        options.endDate,
-        options.limit
-      );
-
-      if (!dataArray || dataArray.length === 0) {
-        throw new Error(`No historical data found for symbol ${symbol}`);
+      const context = await this.buildMultiSymbolContext(symbols, options);
+
+      const response = {
+        success: true,
+        symbols,
+        dataCount: context.count,
+        counts: Object.fromEntries(symbols.map(symbol => [symbol, context.symbols[symbol].count])),
+        dateRange: {
+          start: context.startDate,
+          end: context.endDate
+        },
+        adjustment: context.adjustment,
+        order: context.order
+      };
+
+      if (typeof query === 'string') {
+        return this.cacheResponse(cacheKey, { ...response, query, result: await this.evaluate(query, context) });
       }
 
-      // Format data in the expected structure for JSONata
-      const historicalData = {
-        symbol: symbol.toUpperCase(),
-        count: dataArray.length,
-        startDate: options.startDate || 'earliest',
-        endDate: options.endDate || 'latest',
-        data: dataArray
+      const results = {};
+      for (const [key, expression] of Object.entries(query)) {
+        try {
+          results[key] = await this.evaluate(expression, context);
+        } catch (error) {
+          results[key] = this.describeError(error);
+        }
+      }
+      return this.cacheResponse(cacheKey, { ...response, results });
+
+    } catch (error) {
+      return {
+        success: false,
+        ...this.describeError(error),
+        symbols,
+        query: typeof query === 'string' ? query : undefined
       };
+    }
+  }
 
-      // Compile JSONata expression
-      const expression = typeof query === 'string' ? jsonata(query) : query;
-      
-      // Execute query against the data
-      const result = await expression.evaluate(historicalData);
+  /**
+   * Execute a JSONata expression against historical stock data
+   */
+  async executeQuery(symbol, query, options = {}) {
+    const cacheKey = queryCacheService.buildKey([symbol], query, options);
+    const cached = this.getCachedResponse(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const historicalData = await this.buildQueryContext(symbol, options);
+
+      // Execute query against the data; template parameters are bound as $name
+      const result = await this.evaluate(query, historicalData, options.bindings);
       
-      return {
+      return this.cacheResponse(cacheKey, {
         success: true,
         symbol: symbol,
-        query: typeof query === 'string' ? query : 'pre-compiled',
+        query: query,
         dataCount: historicalData.count,
         dateRange: {
           start: historicalData.startDate,
           end: historicalData.endDate
         },
+        adjustment: historicalData.adjustment,
+        adjustmentVersion: historicalData.adjustmentVersion,
+        order: historicalData.order,
         result: result
+      });
+
+    } catch (error) {
+      return {
+        success: false,
+        ...this.describeError(error),
+        symbol: symbol,
+        query: query
       };
+    }
+  }
+
+  /**
+   * Evaluate an expression over a sliding window of rows stepping through the range.
+   * Each window is given to the expression as a full context (data, series, dividends)
+   * of `window` rows in options.order, so any single-value query becomes an indicator line.
+   * Windows ending on or after options.startDate may reach back before it.
+   * @param {string} symbol - Stock symbol
+   * @param {string} query - JSONata expression
+   * @param {Object} options - { window, step, startDate, endDate, adjustment, order, bindings }
+   * @returns {Promise<Object>} Response with `series`: [{ date, value }] oldest first
+   */
+  async executeRollingQuery(symbol, query, options = {}) {
+    const { window, step = 1 } = options;
+    const cacheKey = queryCacheService.buildKey([symbol], { rolling: query, window, step }, options);
+    const cached = this.getCachedResponse(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const context = await this.buildQueryContext(symbol, {
+        endDate: options.endDate,
+        limit: ROLLING_MAX_ROWS,
+        adjustment: options.adjustment,
+        order: 'asc'
+      });
+
+      const from = options.startDate
+        ? context.series.dates.findIndex(date => date >= options.startDate)
+        : 0;
+
+      const series = from === -1 ? [] : await querySandboxService.evaluateRolling(query, context, options.bindings, {
+        order: options.order || 'desc',
+        window,
+        step,
+        from
+      });
+
+      return this.cacheResponse(cacheKey, {
+        success: true,
+        symbol: symbol,
+        query: query,
+        window,
+        step,
+        count: series.length,
+        dateRange: {
+          start: series.length > 0 ? series[0].date : options.startDate || 'earliest',
+          end: series.length > 0 ? series[series.length - 1].date : options.endDate || 'latest'
+        },
+        adjustment: context.adjustment,
+        adjustmentVersion: context.adjustmentVersion,
+        order: options.order || 'desc',
+        series
+      });
 
     } catch (error) {
       return {
         success: false,
-        error: error.message,
+        ...this.describeError(error),
         symbol: symbol,
-        query: typeof query === 'string' ? query : 'pre-compiled'
+        query: query
       };
     }
   }
 
   /**
    * Execute multiple queries against the same dataset
+   * @param {Object} options - { startDate, endDate, limit, adjustment, bindings: values bound as $name in every query }
    */
   async executeMultipleQueries(symbol, queries, options = {}) {
-    try {
-      // Get historical data once (returns raw array)
-      const dataArray = await getHistoricalData(
-        symbol,
-        options.startDate,
-        options.endDate,
-        options.limit
-      );
-
-      if (!dataArray || dataArray.length === 0) {
-        throw new Error(`No historical data found for symbol ${symbol}`);
-      }
+    const cacheKey = queryCacheService.buildKey([symbol], queries, options);
+    const cached = this.getCachedResponse(cacheKey);
+    if (cached) return cached;
 
-      // Format data in the expected structure for JSONata
-      const historicalData = {
-        symbol: symbol.toUpperCase(),
-        count: dataArray.length,
-        startDate: options.startDate || 'earliest',
-        endDate: options.endDate || 'latest',
-        data: dataArray
-      };
+    try {
+      // Load the dataset once for every query
+      const historicalData = await this.buildQueryContext(symbol, options);
 
       const results = {};
 
       // Execute each query
       for (const [key, query] of Object.entries(queries)) {
         try {
-          const expression = typeof query === 'string' ? jsonata(query) : query;
-          results[key] = await expression.evaluate(historicalData);
+          results[key] = await this.evaluate(query, historicalData, options.bindings);
         } catch (error) {
-          results[key] = { error: error.message };
+          results[key] = this.describeError(error);
         }
       }
 
-      return {
+      return this.cacheResponse(cacheKey, {
         success: true,
         symbol: symbol,
         dataCount: historicalData.count,
@@ -122,8 +392,11 @@ class QueryService {
           start: historicalData.startDate,
           end: historicalData.endDate
         },
+        adjustment: historicalData.adjustment,
+        adjustmentVersion: historicalData.adjustmentVersion,
+        order: historicalData.order,
         results: results
-      };
+      });
 
     } catch (error) {
       return {
@@ -144,10 +417,10 @@ class QueryService {
       highestClosePrice: this.commonExpressions.highestClose,
       lowestClosePrice: this.commonExpressions.lowestClose,
       // Add the dates when these occurred
-      highestCloseDate: jsonata('data[close = $max(data.close)].date'),
-      lowestCloseDate: jsonata('data[close = $min(data.close)].date'),
-      globalHighDate: jsonata('data[high = $max(data.high)].date'),
-      globalLowDate: jsonata('data[low = $min(data.low)].date')
+      highestCloseDate: 'data[close = $max(data.close)].date',
+      lowestCloseDate: 'data[close = $min(data.close)].date',
+      globalHighDate: 'data[high = $max(data.high)].date',
+      globalLowDate: 'data[low = $min(data.low)].date'
     };
 
     return await this.executeMultipleQueries(symbol, queries, options);
@@ -161,9 +434,9 @@ class QueryService {
       maxVolume: this.commonExpressions.maxVolume,
       avgVolume: this.commonExpressions.avgVolume,
       totalVolume: this.commonExpressions.totalVolume,
-      maxVolumeDate: jsonata('data[volume = $max(data.volume)].date'),
+      maxVolumeDate: 'data[volume = $max(data.volume)].date',
       // Top 5 volume days
-      topVolumeDays: jsonata('data^(>volume)[0..4].{date: date, volume: volume, close: close}')
+      topVolumeDays: 'data^(>volume)[0..4].{date: date, volume: volume, close: close}'
     };
 
     return await this.executeMultipleQueries(symbol, queries, options);
@@ -174,23 +447,17 @@ class QueryService {
    */
   async getPricePerformance(symbol, options = {}) {
     const queries = {
-      startPrice: jsonata('data[$count(data)-1].close'), // Oldest record (last in array after date sort)
-      endPrice: jsonata('data[0].close'),    // Newest record (first in array)
-      totalReturn: jsonata('(data[0].close - data[$count(data)-1].close) / data[$count(data)-1].close * 100'),
-      priceRange: jsonata('$max(data.close) - $min(data.close)'),
-      // Commenting out complex queries that may have parser issues
-      // maxDrawdown: jsonata(`
-      //   $map(data, function($v, $i) {
-      //     $peak := $max(data[0..$i].close);
-      //     ($v.close - $peak) / $peak * 100
-      //   }) ~> $min()
-      // `),
-      // volatility: jsonata(`
-      //   $changes := $map(data[0..$count(data)-2], function($v, $i) {
-      //     (data[$i].close - data[$i+1].close) / data[$i+1].close
-      //   });
-      //   $sqrt($average($map($changes, function($c) { $c * $c }))) * 100
-      // `)
+      startPrice: 'data[$count(data)-1].close', // Oldest record (last in array after date sort)
+      endPrice: 'data[0].close',    // Newest record (first in array)
+      priceReturn: '(data[0].close - data[$count(data)-1].close) / data[$count(data)-1].close * 100',
+      // adjusted_close reinvests dividends, so this is the total return
+      totalReturn: '(data[0].adjusted_close - data[$count(data)-1].adjusted_close) / data[$count(data)-1].adjusted_close * 100',
+      dividendsPaid: '$sum(dividends.amount)',
+      dividendCount: '$count(dividends)',
+      priceRange: '$max(data.close) - $min(data.close)',
+      maxDrawdown: '$min($drawdown(data.close)) * 100',
+      // Standard deviation of daily returns
+      volatility: '$stddev($returns(data.close)) * 100'
     };
 
     return await this.executeMultipleQueries(symbol, queries, options);
@@ -203,16 +470,12 @@ class QueryService {
     const queries = {};
     
     for (const period of periods) {
-      // Use array mapping with index check to get first N elements
-      queries[`ma${period}`] = jsonata(`
-        $average($map(data, function($v, $i) { 
-          $i < ${period} ? $v.close : null 
-        })[$ != null])
-      `);
+      // Null until there are at least `period` closes
+      queries[`ma${period}`] = `$sma(data.close, ${period})[0]`;
     }
 
-    queries.currentPrice = jsonata('data[0].close');
-    queries.dataPoints = jsonata('$count(data)');
+    queries.currentPrice = 'data[0].close';
+    queries.dataPoints = '$count(data)';
     
     return await this.executeMultipleQueries(symbol, queries, options);
   }
@@ -223,19 +486,19 @@ class QueryService {
   async findPriceConditions(symbol, options = {}) {
     const queries = {
       // Days where close > open (green days)
-      greenDays: jsonata('$count(data[close > open])'),
+      greenDays: '$count(data[close > open])',
       // Days where close < open (red days)  
-      redDays: jsonata('$count(data[close < open])'),
+      redDays: '$count(data[close < open])',
       // Percentage of green days
-      greenDaysPct: jsonata('$count(data[close > open]) / $count(data) * 100'),
+      greenDaysPct: '$count(data[close > open]) / $count(data) * 100',
       // Largest single day gain
-      largestGain: jsonata('$max(data.(close - open) / open * 100)'),
+      largestGain: '$max(data.(close - open) / open * 100)',
       // Largest single day loss
-      largestLoss: jsonata('$min(data.(close - open) / open * 100)'),
+      largestLoss: '$min(data.(close - open) / open * 100)',
       // Days with >5% moves
-      bigMoves: jsonata('data[$abs((close - open) / open * 100) > 5].{date: date, change: (close - open) / open * 100, close: close}'),
+      bigMoves: 'data[$abs((close - open) / open * 100) > 5].{date: date, change: (close - open) / open * 100, close: close}',
       // Gap ups/downs (open different from previous close)
-      gaps: jsonata(`
+      gaps: `
         $map($range(0, $count(data)-1), function($i) {
           $current := data[$i];
           $previous := data[$i+1];
@@ -247,14 +510,71 @@ class QueryService {
             "prevClose": $previous.close
           } : null
         })[$ != null][0..9]
-      `)
+      `
     };
 
     return await this.executeMultipleQueries(symbol, queries, options);
   }
 
   /**
-   * Get predefined query templates that users can reference
+   * Get built-in templates merged with saved queries, which join their category
+   * @returns {Promise<Object>} { category: { name: template } }
+   */
+  async getAllTemplates() {
+    const templates = this.getQueryTemplates();
+    const savedTemplates = await savedQueryService.getSavedTemplates();
+    for (const [category, queries] of Object.entries(savedTemplates)) {
+      templates[category] = { ...templates[category], ...queries };
+    }
+    return templates;
+  }
+
+  /**
+   * Find a built-in or saved template by name
+   * @param {string} name - Template name, e.g. 'movingAverage20'
+   * @returns {Promise<Object|null>} Template with name and category added
+   */
+  async getTemplate(name) {
+    for (const [category, queries] of Object.entries(await this.getAllTemplates())) {
+      if (Object.prototype.hasOwnProperty.call(queries, name)) {
+        return { ...queries[name], name, category, parameters: queries[name].parameters || [] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fill in and check a template's parameters
+   * @param {Object} template - Template from getTemplate()
+   * @param {Object} params - Raw values keyed by parameter name (e.g. from params[period]=50)
+   * @returns {Object} { values } to bind, or { problem } describing the first bad value
+   */
+  resolveTemplateParameters(template, params = {}) {
+    const definitions = template.parameters || [];
+    const unknown = Object.keys(params).filter(key => !definitions.some(definition => definition.name === key));
+    if (unknown.length > 0) {
+      return { problem: `Unknown parameter${unknown.length > 1 ? 's' : ''} for ${template.name}: ${unknown.join(', ')}` };
+    }
+
+    const values = {};
+    for (const definition of definitions) {
+      if (params[definition.name] === undefined) {
+        values[definition.name] = definition.default;
+        continue;
+      }
+      const { value, problem } = coerceParameter(definition, params[definition.name]);
+      if (problem) {
+        return { problem };
+      }
+      values[definition.name] = value;
+    }
+
+    return { values };
+  }
+
+  /**
+   * Get predefined query templates that users can reference.
+   * Parameters are bound as $name when the template runs with ?template=.
    */
   getQueryTemplates() {
     return {
@@ -263,94 +583,191 @@ class QueryService {
           expression: '(data[0].close - $min(data.low)) / ($max(data.high) - $min(data.low)) * 100',
           chartType: 'stat',
           label: 'Simplified Bollinger %B',
+          description: 'Price position within high/low range (0-100%)',
           format: 'percent'
         },
         bollingerB: {
-          expression: '($currentPrice := data[0].close; $sma := $average($map(data, function($v, $i) { $i < 20 ? $v.close : null })[$ != null]); $stdDev := $sqrt($average($map($map(data, function($v, $i) { $i < 20 ? $v.close : null })[$ != null], function($price) { $power($price - $sma, 2) }))); $upperBand := $sma + (2 * $stdDev); $lowerBand := $sma - (2 * $stdDev); ($currentPrice - $lowerBand) / ($upperBand - $lowerBand) * 100)',
+          expression: '$bollinger(data.close, $period, $multiplier)[0].percentB * 100',
           chartType: 'stat',
           label: 'Bollinger %B (Traditional)',
-          format: 'percent'
+          description: 'Traditional Bollinger %B with an SMA and standard deviation bands',
+          format: 'percent',
+          parameters: [
+            { name: 'period', type: 'integer', default: 20, min: 2, max: 500, label: 'SMA period' },
+            { name: 'multiplier', type: 'number', default: 2, min: 0.5, max: 5, label: 'Band width (σ)' }
+          ]
         },
         globalHigh: { 
           expression: '$max(data.high)', 
           chartType: 'stat', 
           label: 'Global High Price',
+          description: 'Find the highest price in the date range',
           format: 'currency'
         },
         globalLow: { 
           expression: '$min(data.low)', 
           chartType: 'stat', 
           label: 'Global Low Price',
+          description: 'Find the lowest price in the date range',
           format: 'currency'
         },
         avgClose: { 
           expression: '$average(data.close)', 
           chartType: 'stat', 
           label: 'Average Close Price',
+          description: 'Calculate average closing price',
           format: 'currency'
         },
         totalVolume: { 
           expression: '$sum(data.volume)', 
           chartType: 'stat', 
           label: 'Total Volume',
+          description: 'Sum of all trading volume',
           format: 'number'
         },
         recordCount: { 
           expression: '$count(data)', 
           chartType: 'stat', 
           label: 'Data Points',
+          description: 'Count of data points',
           format: 'number'
         }
       },
       performance: {
         totalReturn: { 
+          expression: '(data[0].adjusted_close - data[$count(data)-1].adjusted_close) / data[$count(data)-1].adjusted_close * 100', 
+          chartType: 'stat', 
+          label: 'Total Return (incl. Dividends)',
+          description: 'Total return percentage including reinvested dividends',
+          format: 'percent'
+        },
+        priceReturn: { 
           expression: '(data[0].close - data[$count(data)-1].close) / data[$count(data)-1].close * 100', 
           chartType: 'stat', 
-          label: 'Total Return',
+          label: 'Price Return',
+          description: 'Price change percentage, excluding dividends',
           format: 'percent'
         },
+        dividendsPaid: { 
+          expression: '$sum(dividends.amount)', 
+          chartType: 'stat', 
+          label: 'Dividends Paid per Share',
+          description: 'Dividends paid per share in the date range',
+          format: 'currency'
+        },
         startPrice: { 
           expression: 'data[$count(data)-1].close', 
           chartType: 'stat', 
           label: 'Starting Price',
+          description: 'Starting price',
           format: 'currency'
         },
         endPrice: { 
           expression: 'data[0].close', 
           chartType: 'stat', 
           label: 'Ending Price',
+          description: 'Ending price',
           format: 'currency'
         },
         priceRange: { 
           expression: '$max(data.close) - $min(data.close)', 
           chartType: 'stat', 
           label: 'Price Range',
+          description: 'Price range (high - low)',
           format: 'currency'
         }
       },
       advanced: {
         volatility: { 
-          expression: '$sqrt($average($map($filter(data, function($v, $i) { $i < $count(data)-1 }), function($v, $i) { $power((data[$i].close - data[$i+1].close) / data[$i+1].close, 2) }))) * 100', 
+          expression: '$stddev($returns(data.close)) * 100', 
           chartType: 'stat', 
           label: 'Volatility',
+          description: 'Standard deviation of daily returns',
           format: 'percent'
         },
         movingAverage20: { 
-          expression: '$average($map(data, function($v, $i) { $i < 20 ? $v.close : null })[$ != null])', 
+          expression: '$sma(data.close, $period)[0]', 
           chartType: 'stat', 
           label: '20-Day Moving Average',
-          format: 'currency'
+          description: 'Simple moving average (20 days by default)',
+          format: 'currency',
+          parameters: [
+            { name: 'period', type: 'integer', default: 20, min: 1, max: 500, label: 'Period (days)' }
+          ]
+        },
+        movingAverage50: { 
+          expression: '$sma(data.close, $period)[0]', 
+          chartType: 'stat', 
+          label: '50-Day Moving Average',
+          description: 'Simple moving average (50 days by default)',
+          format: 'currency',
+          parameters: [
+            { name: 'period', type: 'integer', default: 50, min: 1, max: 500, label: 'Period (days)' }
+          ]
+        },
+        ema20: { 
+          expression: '$ema(data.close, $period)[0]', 
+          chartType: 'stat', 
+          label: 'Exponential Moving Average',
+          description: 'Exponential moving average (20 days by default)',
+          format: 'currency',
+          parameters: [
+            { name: 'period', type: 'integer', default: 20, min: 1, max: 500, label: 'Period (days)' }
+          ]
+        },
+        rsi14: { 
+          expression: '$rsi(data.close, $period)[0]', 
+          chartType: 'stat', 
+          label: 'RSI',
+          description: 'Relative Strength Index (0-100), 14 days by default',
+          format: 'number',
+          parameters: [
+            { name: 'period', type: 'integer', default: 14, min: 2, max: 100, label: 'Period (days)' }
+          ]
+        },
+        macd: { 
+          expression: '$macd(data.close, $fast, $slow, $signal)[0]', 
+          chartType: 'object', 
+          label: 'MACD',
+          description: 'MACD line, signal line and histogram',
+          parameters: [
+            { name: 'fast', type: 'integer', default: 12, min: 1, max: 100, label: 'Fast EMA' },
+            { name: 'slow', type: 'integer', default: 26, min: 2, max: 200, label: 'Slow EMA' },
+            { name: 'signal', type: 'integer', default: 9, min: 1, max: 100, label: 'Signal EMA' }
+          ]
+        },
+        atr14: { 
+          expression: '$atr(data, $period)[0]', 
+          chartType: 'stat', 
+          label: 'Average True Range',
+          description: 'Average True Range, 14 days by default',
+          format: 'currency',
+          parameters: [
+            { name: 'period', type: 'integer', default: 14, min: 1, max: 100, label: 'Period (days)' }
+          ]
+        },
+        maxDrawdown: { 
+          expression: '$min($drawdown(data.close)) * 100', 
+          chartType: 'stat', 
+          label: 'Maximum Drawdown',
+          description: 'Largest decline from a running peak',
+          format: 'percent'
         },
         highestVolumeDay: { 
           expression: '($maxVol := $max(data.volume); data[volume = $maxVol])', 
           chartType: 'object', 
-          label: 'Highest Volume Day'
+          label: 'Highest Volume Day',
+          description: 'Day with highest volume'
         },
         priceAboveMa: { 
-          expression: '$count($filter(data, function($v, $i) { $i < 20 and $v.close > $average($map(data, function($x, $j) { $j < 20 ? $x.close : null })[$ != null]) }))', 
+          expression: '($ma := $sma(data.close, $period); $count($filter(data[[0..$period-1]], function($v, $i) { $ma[$i] != null and $v.close > $ma[$i] })))', 
           chartType: 'stat', 
-          label: 'Days Above MA20',
-          format: 'number'
+          label: 'Days Above Moving Average',
+          description: 'Days in the last period that closed above the moving average',
+          format: 'number',
+          parameters: [
+            { name: 'period', type: 'integer', default: 20, min: 1, max: 500, label: 'Period (days)' }
+          ]
         }
       },
       patterns: {
@@ -358,18 +775,24 @@ class QueryService {
           expression: '$count(data[close > open])', 
           chartType: 'stat', 
           label: 'Total Green Days',
+          description: 'Number of days that closed above the open',
           format: 'number'
         },
         gapUps: { 
           expression: '$count($map(data, function($v, $i) { $i > 0 and $v.open > data[$i-1].close ? 1 : null })[$ != null])', 
           chartType: 'stat', 
           label: 'Gap Up Days',
+          description: 'Find gap up days',
           format: 'number'
         },
         largeMoves: { 
-          expression: 'data[$abs((close - open) / open * 100) > 5].{date: date, change: (close - open) / open * 100}', 
+          expression: 'data[$abs((close - open) / open * 100) > $threshold].{date: date, change: (close - open) / open * 100}', 
           chartType: 'table', 
-          label: 'Large Price Moves (>5%)'
+          label: 'Large Price Moves',
+          description: 'Find days that moved more than the threshold (5% by default)',
+          parameters: [
+            { name: 'threshold', type: 'number', default: 5, min: 0, max: 100, label: 'Threshold (%)' }
+          ]
         }
       }
     };
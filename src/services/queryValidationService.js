@@ -0,0 +1,234 @@
+const jsonata = require('jsonata');
+const technicalAnalysisService = require('./technicalAnalysisService');
+
+// Names an expression can read from the query context (see queryService.buildQueryContext)
+const CONTEXT_FIELDS = [
+  'symbol', 'count', 'startDate', 'endDate', 'adjustment', 'adjustmentVersion', 'order',
+  'data', 'series', 'dividends', 'symbolList', 'symbols', 'aligned'
+];
+
+// Columns of historical_stock_data plus the fields added when rows are adjusted
+const ROW_FIELDS = [
+  'symbol', 'date', 'open', 'high', 'low', 'close', 'adjusted_close', 'volume', 'price_basis',
+  'created_at', 'split_adjusted', 'adjustment_factor', 'listed_as'
+];
+
+const SERIES_FIELDS = ['dates', 'closes', 'returns'];
+const DIVIDEND_FIELDS = ['exDate', 'amount'];
+const INDICATOR_FIELDS = ['macd', 'signal', 'histogram', 'middle', 'upper', 'lower', 'percentB', 'bandwidth'];
+
+const KNOWN_FIELDS = new Set([...CONTEXT_FIELDS, ...ROW_FIELDS, ...SERIES_FIELDS, ...DIVIDEND_FIELDS, ...INDICATOR_FIELDS]);
+
+// Multi-symbol rows are keyed by ticker, e.g. aligned.NVDA.close
+const TICKER_PATTERN = /^[A-Z][A-Z0-9.]{0,9}$/;
+
+// Collections whose size is the number of rows
+const ROW_COLLECTIONS = new Set(['data', 'aligned', 'dates', 'closes', 'returns']);
+
+const COST_LEVELS = [
+  { level: 'low', below: 1e6 },
+  { level: 'medium', below: 1e8 },
+  { level: 'high', below: Infinity }
+];
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function closestField(name) {
+  let best = null;
+  for (const field of KNOWN_FIELDS) {
+    const distance = editDistance(name.toLowerCase(), field.toLowerCase());
+    if (distance <= 2 && (!best || distance < best.distance)) {
+      best = { field, distance };
+    }
+  }
+  return best ? best.field : null;
+}
+
+// JSONata positions are 1-based and point just past the offending token
+function locate(expression, position, token) {
+  const length = token && token !== '(end)' ? String(token).length : 1;
+  const end = Math.min(Math.max(position, 1), expression.length);
+  const start = Math.max(end - length, 0);
+  const before = expression.slice(0, start).split('\n');
+  return {
+    start,
+    end,
+    line: before.length,
+    column: before[before.length - 1].length + 1
+  };
+}
+
+/**
+ * Walk a JSONata AST. `depth` counts the enclosing lambdas, predicates, sorts and
+ * groups, each of which runs once per item of the sequence it is attached to.
+ */
+function walk(node, depth, visit) {
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, depth, visit));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  visit(node, depth);
+
+  for (const [key, value] of Object.entries(node)) {
+    if (!value || typeof value !== 'object') continue;
+    const repeated = (node.type === 'lambda' && key === 'body') ||
+      key === 'stages' || key === 'predicate' || key === 'terms' || key === 'group';
+    walk(value, repeated ? depth + 1 : depth, visit);
+  }
+}
+
+/**
+ * Query Validation Service
+ * Parses JSONata expressions without running them: reports syntax errors with
+ * their location, lists the fields, functions and variables an expression uses,
+ * warns about names the query context does not have and estimates the cost.
+ */
+class QueryValidationService {
+  constructor() {
+    console.log('🔎 Query Validation Service initialized');
+  }
+
+  /**
+   * Classify a function name
+   * @param {string} name - Name without the $
+   * @returns {Promise<string|null>} 'builtin', 'indicator' or null
+   */
+  async getFunctionKind(name) {
+    if (technicalAnalysisService.functionNames.includes(name)) {
+      return 'indicator';
+    }
+    return (await jsonata(`$${name}`).evaluate({})) !== undefined ? 'builtin' : null;
+  }
+
+  /**
+   * Parse and inspect an expression
+   * @param {string} expression - JSONata source
+   * @param {Object} options - { parameters: names bound by a template, symbols: tickers for aligned rows, limit: rows }
+   * @returns {Promise<Object>} { valid, error } for syntax errors, otherwise
+   *   { valid, fields, functions, variables, warnings, cost }
+   */
+  async validateExpression(expression, options = {}) {
+    let ast;
+    try {
+      ast = jsonata(expression).ast();
+    } catch (error) {
+      return {
+        valid: false,
+        error: {
+          message: error.message,
+          code: error.code,
+          position: error.position,
+          token: error.token,
+          ...locate(expression, error.position || expression.length, error.token)
+        }
+      };
+    }
+
+    const fields = new Map();
+    const calls = new Map();
+    const references = new Map();
+    const bound = new Set();
+    let operations = 0;
+    let maxDepth = 0;
+
+    const rows = options.limit || 1000;
+
+    walk(ast, 0, (node, depth) => {
+      // Context (@$d) and positional (#$i) bindings can sit on any path step
+      if (typeof node.focus === 'string') bound.add(node.focus);
+      if (typeof node.index === 'string') bound.add(node.index);
+
+      if (node.type === 'name') {
+        if (!fields.has(node.value)) fields.set(node.value, node.position);
+        if (ROW_COLLECTIONS.has(node.value)) {
+          operations += Math.pow(rows, depth + 1);
+          maxDepth = Math.max(maxDepth, depth);
+        }
+      } else if (node.type === 'function' || node.type === 'partial') {
+        if (node.procedure?.type === 'variable' && !calls.has(node.procedure.value)) {
+          calls.set(node.procedure.value, node.procedure.position);
+        }
+      } else if (node.type === 'bind' && node.lhs?.type === 'variable') {
+        bound.add(node.lhs.value);
+      } else if (node.type === 'lambda') {
+        (node.arguments || []).forEach(argument => bound.add(argument.value));
+      } else if (node.type === 'variable' && node.value !== '' && node.value !== '$') {
+        if (!references.has(node.value)) references.set(node.value, node.position);
+      }
+    });
+
+    const warnings = [];
+    const parameters = new Set(options.parameters || []);
+    const tickers = new Set((options.symbols || []).map(symbol => String(symbol).toUpperCase()));
+
+    for (const [name, position] of fields) {
+      if (KNOWN_FIELDS.has(name) || tickers.has(name) || TICKER_PATTERN.test(name)) continue;
+      const suggestion = closestField(name);
+      warnings.push({
+        message: `Unknown field "${name}"${suggestion ? `; did you mean "${suggestion}"?` : ''}`,
+        ...locate(expression, position, name)
+      });
+    }
+
+    const functions = [];
+    for (const [name, position] of calls) {
+      const kind = bound.has(name) ? 'user' : await this.getFunctionKind(name);
+      functions.push({ name, kind: kind || 'unknown' });
+      if (!kind) {
+        warnings.push({ message: `Unknown function $${name}`, ...locate(expression, position, `$${name}`) });
+      }
+    }
+
+    // Variables that are neither bound in the expression nor functions must come from template parameters
+    const variables = [];
+    for (const [name, position] of references) {
+      if (bound.has(name) || calls.has(name) || await this.getFunctionKind(name)) continue;
+      variables.push(name);
+      if (!parameters.has(name)) {
+        warnings.push({
+          message: `$${name} is not defined; declare it as a template parameter`,
+          ...locate(expression, position, `$${name}`)
+        });
+      }
+    }
+
+    const level = COST_LEVELS.find(cost => operations < cost.below).level;
+    if (level === 'high') {
+      warnings.push({ message: 'Expression re-scans the data inside a loop and may exceed the query time limit' });
+    }
+
+    return {
+      valid: true,
+      fields: [...fields.keys()],
+      functions,
+      variables,
+      warnings,
+      cost: {
+        rows,
+        complexity: operations === 0 ? 'O(1)' : maxDepth === 0 ? 'O(n)' : `O(n^${maxDepth + 1})`,
+        estimatedOperations: operations,
+        level
+      }
+    };
+  }
+}
+
+module.exports = new QueryValidationService();
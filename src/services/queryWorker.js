@@ -0,0 +1,121 @@
+const { parentPort, workerData } = require('worker_threads');
+const jsonata = require('jsonata');
+const technicalAnalysisService = require('./technicalAnalysisService');
+const LruCache = require('./lruCache');
+
+/**
+ * Query Worker
+ * Runs inside a worker thread started by querySandboxService. Each message is one
+ * evaluation: { expression, input, bindings, order }, or with `rolling` one evaluation
+ * per window of rows. The reply is { json } with the serialized result, or { error }
+ * with the JSONata error fields, plus whether the compiled expression came from this
+ * worker's cache. The time and memory limits are enforced from the main thread,
+ * which terminates the worker.
+ */
+
+const { maxDepth, maxResultBytes, compiledCacheSize } = workerData;
+
+// Compiled expressions keyed by series order and source text
+const compiledExpressions = new LruCache(compiledCacheSize);
+
+function limitError(code, message, limit) {
+  const error = new Error(message);
+  error.code = code;
+  error.limit = limit;
+  return error;
+}
+
+function compile(expression, order, cacheKey) {
+  const compiled = technicalAnalysisService.register(jsonata(expression), { order });
+  compiledExpressions.set(cacheKey, compiled);
+  return compiled;
+}
+
+function checkSize(json) {
+  if (json !== undefined && Buffer.byteLength(json) > maxResultBytes) {
+    throw limitError('QUERY_RESULT_TOO_LARGE', `Query result is larger than ${maxResultBytes} bytes`, maxResultBytes);
+  }
+  return json;
+}
+
+async function evaluate(compiled, input, bindings) {
+  // Every evaluated node passes through these hooks, so depth grows with nesting and recursion
+  let depth = 0;
+  compiled.assign(Symbol.for('jsonata.__evaluate_entry'), () => {
+    depth++;
+    if (depth > maxDepth) {
+      throw limitError('QUERY_DEPTH_LIMIT', `Query exceeded the maximum evaluation depth of ${maxDepth}`, maxDepth);
+    }
+  });
+  compiled.assign(Symbol.for('jsonata.__evaluate_exit'), () => {
+    depth--;
+  });
+
+  return compiled.evaluate(input, bindings);
+}
+
+/**
+ * Context for the rows start..end (inclusive) of an oldest-first context, laid out
+ * like queryService.buildQueryContext so expressions see a window as a full range
+ */
+function windowContext(input, start, end, order) {
+  const rows = input.data.slice(start, end + 1);
+  if (order === 'desc') rows.reverse();
+
+  const dates = rows.map(row => row.date);
+  const closes = rows.map(row => row.close);
+  const first = input.data[start].date;
+  const last = input.data[end].date;
+
+  return {
+    ...input,
+    count: rows.length,
+    startDate: first,
+    endDate: last,
+    order,
+    data: rows,
+    series: { dates, closes, returns: technicalAnalysisService.returns(order, closes) },
+    dividends: input.dividends.filter(dividend => dividend.exDate >= first && dividend.exDate <= last)
+  };
+}
+
+/**
+ * Evaluate once per window of `window` rows, moving the window's last row from
+ * index `from` by `step`; each point is dated by that last row
+ */
+async function evaluateRolling(compiled, input, bindings, order, { window, step, from }) {
+  const series = [];
+  for (let end = Math.max(from, window - 1); end < input.data.length; end += step) {
+    const value = await evaluate(compiled, windowContext(input, end - window + 1, end, order), bindings);
+    series.push({ date: input.data[end].date, value: value === undefined ? null : value });
+  }
+  return series;
+}
+
+parentPort.on('message', async ({ expression, input, bindings, order, rolling }) => {
+  const cacheKey = `${order}:${expression}`;
+  const cached = compiledExpressions.get(cacheKey);
+  const cacheHit = cached !== undefined;
+
+  try {
+    const compiled = cacheHit ? cached : compile(expression, order, cacheKey);
+    const result = rolling
+      ? await evaluateRolling(compiled, input, bindings, order, rolling)
+      : await evaluate(compiled, input, bindings);
+
+    // Serialized here so functions and sequences cross the thread boundary as plain JSON
+    const json = checkSize(result === undefined ? undefined : JSON.stringify(result));
+    parentPort.postMessage({ json, cacheHit });
+  } catch (error) {
+    parentPort.postMessage({
+      cacheHit,
+      error: {
+        message: error.message,
+        code: error.code,
+        position: error.position,
+        token: error.token,
+        limit: error.limit
+      }
+    });
+  }
+});
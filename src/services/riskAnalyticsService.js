@@ -0,0 +1,272 @@
+const { getHistoricalData } = require('./dataRefreshService');
+const queryCacheService = require('./queryCacheService');
+
+const TRADING_DAYS_PER_YEAR = 252;
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function sampleStdDev(values) {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1));
+}
+
+// Simple close-to-close returns, each dated by the later bar
+function dailyReturns(rows) {
+  return rows.slice(1).map((row, i) => ({
+    date: row.date,
+    value: row.close / rows[i].close - 1
+  }));
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000));
+}
+
+function percent(value) {
+  return value === null || value === undefined ? null : value * 100;
+}
+
+/**
+ * Deepest peak-to-trough decline, with the bar that first closed back at the peak
+ * @param {Array} rows - Bars oldest first
+ */
+function maxDrawdown(rows) {
+  let peak = rows[0];
+  let worst = { drawdown: 0, peak: rows[0], trough: rows[0] };
+
+  for (const row of rows) {
+    if (row.close > peak.close) peak = row;
+    const drawdown = row.close / peak.close - 1;
+    if (drawdown < worst.drawdown) worst = { drawdown, peak, trough: row };
+  }
+
+  const recovery = worst.drawdown < 0
+    ? rows.find(row => row.date > worst.trough.date && row.close >= worst.peak.close)
+    : null;
+
+  return {
+    maxDrawdown: percent(worst.drawdown),
+    peakDate: worst.peak.date,
+    peakPrice: worst.peak.close,
+    troughDate: worst.trough.date,
+    troughPrice: worst.trough.close,
+    recoveryDate: recovery ? recovery.date : null,
+    recovered: worst.drawdown === 0 || Boolean(recovery),
+    daysToTrough: daysBetween(worst.peak.date, worst.trough.date),
+    daysToRecovery: recovery ? daysBetween(worst.trough.date, recovery.date) : null
+  };
+}
+
+/**
+ * Historical value at risk: the loss not exceeded on `confidence` of days, and the
+ * average loss on the days beyond it. Both are positive percentages.
+ */
+function valueAtRisk(returns, confidence) {
+  const sorted = returns.map(r => r.value).sort((a, b) => a - b);
+  const cutoff = Math.max(Math.floor((1 - confidence) * sorted.length), 1);
+  const tail = sorted.slice(0, cutoff);
+
+  return {
+    confidence,
+    horizonDays: 1,
+    observations: sorted.length,
+    var: percent(-sorted[cutoff - 1]),
+    cvar: percent(-mean(tail))
+  };
+}
+
+/**
+ * Best or worst `count` N-day returns that do not overlap each other
+ * @param {Array} rows - Bars oldest first
+ * @param {number} days - Bars per window
+ * @param {string} which - 'worst' or 'best'
+ */
+function extremeWindows(rows, days, count, which) {
+  const windows = [];
+  for (let i = 0; i + days < rows.length; i++) {
+    windows.push({ start: i, end: i + days, value: rows[i + days].close / rows[i].close - 1 });
+  }
+  windows.sort((a, b) => (which === 'worst' ? a.value - b.value : b.value - a.value));
+
+  const picked = [];
+  for (const window of windows) {
+    if (picked.length >= count) break;
+    if (picked.some(other => window.start < other.end && other.start < window.end)) continue;
+    picked.push(window);
+  }
+
+  return picked.map(window => ({
+    startDate: rows[window.start].date,
+    endDate: rows[window.end].date,
+    startPrice: rows[window.start].close,
+    endPrice: rows[window.end].close,
+    return: percent(window.value)
+  }));
+}
+
+/**
+ * Risk and Performance Analytics Service
+ * Computes return, volatility, drawdown and tail-risk statistics in JS over
+ * historical bars. Prices are total-return adjusted by default, so dividends
+ * count towards returns. Returns are percentages; volatility and the ratios are
+ * annualized over 252 trading days.
+ */
+class RiskAnalyticsService {
+  constructor() {
+    this.defaults = {
+      benchmark: (process.env.RISK_BENCHMARK || 'SPY').toUpperCase(),
+      riskFreeRate: parseFloat(process.env.RISK_FREE_RATE) || 0,
+      confidence: 0.95,
+      windowDays: 5,
+      windowCount: 3
+    };
+    console.log('🛡️ Risk Analytics Service initialized');
+  }
+
+  /**
+   * Beta and correlation against a benchmark, over the dates both symbols traded
+   * @param {Array} rows - Symbol bars oldest first
+   * @param {string} benchmark - Benchmark symbol
+   * @param {Object} options - { startDate, endDate, limit, adjustment }
+   * @returns {Promise<Object>} { symbol, beta, correlation, observations }, or { symbol, error }
+   */
+  async getBeta(rows, benchmark, options) {
+    const benchmarkRows = await getHistoricalData(
+      benchmark,
+      options.startDate,
+      options.endDate,
+      options.limit,
+      options.adjustment,
+      'asc'
+    );
+    const benchmarkCloses = new Map(benchmarkRows.map(row => [row.date, row.close]));
+    const common = rows.filter(row => benchmarkCloses.has(row.date));
+
+    if (common.length < 3) {
+      return { symbol: benchmark, error: `Not enough ${benchmark} data in the range to compute beta` };
+    }
+
+    const asset = dailyReturns(common).map(r => r.value);
+    const market = dailyReturns(common.map(row => ({ date: row.date, close: benchmarkCloses.get(row.date) })))
+      .map(r => r.value);
+
+    const assetMean = mean(asset);
+    const marketMean = mean(market);
+    let covariance = 0;
+    for (let i = 0; i < asset.length; i++) {
+      covariance += (asset[i] - assetMean) * (market[i] - marketMean);
+    }
+    covariance /= asset.length - 1;
+
+    const assetStdDev = sampleStdDev(asset);
+    const marketStdDev = sampleStdDev(market);
+
+    return {
+      symbol: benchmark,
+      beta: marketStdDev ? covariance / Math.pow(marketStdDev, 2) : null,
+      correlation: assetStdDev && marketStdDev ? covariance / (assetStdDev * marketStdDev) : null,
+      observations: asset.length
+    };
+  }
+
+  /**
+   * Compute risk and performance metrics for a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {Object} options - { startDate, endDate, limit, adjustment ('total' by default), benchmark,
+   *   riskFreeRate (annual, 0.04 = 4%), confidence (for VaR), windowDays, windowCount }
+   * @returns {Promise<Object>} { success, symbol, dataCount, dateRange, adjustment, metrics }
+   */
+  async getRiskMetrics(symbol, options = {}) {
+    const settings = {
+      ...this.defaults,
+      adjustment: 'total',
+      ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    };
+
+    const cacheKey = queryCacheService.buildKey([symbol, settings.benchmark], { risk: settings }, settings);
+    const cached = queryCacheService.get(cacheKey);
+    if (cached) return { ...cached, cached: true };
+
+    try {
+      const rows = await getHistoricalData(
+        symbol,
+        settings.startDate,
+        settings.endDate,
+        settings.limit,
+        settings.adjustment,
+        'asc'
+      );
+
+      if (rows.length < 3) {
+        throw new Error(`Not enough historical data for ${symbol}: ${rows.length} bars, at least 3 needed`);
+      }
+
+      const first = rows[0];
+      const last = rows[rows.length - 1];
+      const returns = dailyReturns(rows);
+      const values = returns.map(r => r.value);
+
+      // Daily rate that compounds to the annual risk-free rate
+      const dailyRiskFree = Math.pow(1 + settings.riskFreeRate, 1 / TRADING_DAYS_PER_YEAR) - 1;
+      const excess = values.map(value => value - dailyRiskFree);
+      const dailyVolatility = sampleStdDev(values);
+      const downsideDeviation = Math.sqrt(mean(excess.map(value => Math.pow(Math.min(value, 0), 2))));
+
+      const years = (new Date(last.date) - new Date(first.date)) / MS_PER_YEAR;
+      const totalReturn = last.close / first.close - 1;
+
+      const response = {
+        success: true,
+        symbol,
+        dataCount: rows.length,
+        dateRange: {
+          start: first.date,
+          end: last.date
+        },
+        adjustment: settings.adjustment,
+        metrics: {
+          performance: {
+            totalReturn: percent(totalReturn),
+            cagr: years > 0 ? percent(Math.pow(1 + totalReturn, 1 / years) - 1) : null,
+            annualizedReturn: percent(mean(values) * TRADING_DAYS_PER_YEAR),
+            years
+          },
+          volatility: {
+            daily: percent(dailyVolatility),
+            annualized: percent(dailyVolatility * Math.sqrt(TRADING_DAYS_PER_YEAR)),
+            downsideAnnualized: percent(downsideDeviation * Math.sqrt(TRADING_DAYS_PER_YEAR))
+          },
+          ratios: {
+            riskFreeRate: settings.riskFreeRate,
+            sharpe: dailyVolatility ? mean(excess) / dailyVolatility * Math.sqrt(TRADING_DAYS_PER_YEAR) : null,
+            sortino: downsideDeviation ? mean(excess) / downsideDeviation * Math.sqrt(TRADING_DAYS_PER_YEAR) : null
+          },
+          drawdown: maxDrawdown(rows),
+          valueAtRisk: valueAtRisk(returns, settings.confidence),
+          benchmark: await this.getBeta(rows, settings.benchmark, settings),
+          windows: {
+            days: settings.windowDays,
+            worst: extremeWindows(rows, settings.windowDays, settings.windowCount, 'worst'),
+            best: extremeWindows(rows, settings.windowDays, settings.windowCount, 'best')
+          }
+        }
+      };
+
+      queryCacheService.set(cacheKey, response);
+      return response;
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        symbol
+      };
+    }
+  }
+}
+
+module.exports = new RiskAnalyticsService();
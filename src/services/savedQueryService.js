@@ -0,0 +1,284 @@
+const jsonata = require('jsonata');
+const db = require('../database');
+const queryValidationService = require('./queryValidationService');
+
+const CHART_TYPES = ['stat', 'object', 'table'];
+const FORMATS = ['currency', 'percent', 'number'];
+const PARAMETER_TYPES = ['integer', 'number', 'string', 'boolean'];
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+// Parameters are bound as $name, and JSONata would read "-" as subtraction
+const PARAMETER_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatSavedQuery(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    expression: row.expression,
+    label: row.label || row.name,
+    chartType: row.chart_type,
+    format: row.format,
+    category: row.category,
+    description: row.description,
+    parameters: parseJson(row.parameters) || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Bound as $name, so a parameter may not shadow a JSONata or indicator function
+async function isReservedName(name) {
+  return (await queryValidationService.getFunctionKind(name)) !== null;
+}
+
+/**
+ * Check template parameter definitions: [{ name, type, default, min, max, label }]
+ * @param {Array} parameters - Parameter definitions
+ * @returns {Promise<string|null>} Problem description, or null if they are valid
+ */
+async function validateParameterDefinitions(parameters) {
+  if (!Array.isArray(parameters)) {
+    return 'parameters must be an array, e.g. [{ "name": "period", "type": "integer", "default": 20, "min": 1 }]';
+  }
+
+  for (const parameter of parameters) {
+    if (!parameter || typeof parameter.name !== 'string' || !PARAMETER_NAME_PATTERN.test(parameter.name)) {
+      return 'Each parameter needs a name: letters, digits or "_", starting with a letter';
+    }
+    if (await isReservedName(parameter.name)) {
+      return `Parameter name ${parameter.name} is already a function ($${parameter.name})`;
+    }
+    if (!PARAMETER_TYPES.includes(parameter.type || 'number')) {
+      return `Parameter ${parameter.name} type must be one of ${PARAMETER_TYPES.join(', ')}`;
+    }
+    if (parameter.default === undefined) {
+      return `Parameter ${parameter.name} needs a default`;
+    }
+    const isNumeric = ['integer', 'number'].includes(parameter.type || 'number');
+    if (isNumeric && ((parameter.min !== undefined && parameter.default < parameter.min) ||
+        (parameter.max !== undefined && parameter.default > parameter.max))) {
+      return `Parameter ${parameter.name} default is outside its min/max bounds`;
+    }
+  }
+
+  if (new Set(parameters.map(parameter => parameter.name)).size !== parameters.length) {
+    return 'Parameter names must be unique';
+  }
+
+  return null;
+}
+
+/**
+ * Saved Query Service
+ * Stores JSONata expressions written in the editor together with the metadata
+ * the template gallery needs (label, chart type, format, category, description
+ * and parameter definitions).
+ */
+class SavedQueryService {
+  constructor() {
+    console.log('💾 Saved Query Service initialized');
+  }
+
+  /**
+   * Check a saved query before it is written
+   * @param {Object} query - Fields to store; name and expression are required unless partial
+   * @param {boolean} partial - True for updates, where only given fields are checked
+   * @returns {Promise<string|null>} Problem description, or null if the query is valid
+   */
+  async validateSavedQuery(query, partial = false) {
+    if (!partial || query.name !== undefined) {
+      if (!query.name || !NAME_PATTERN.test(query.name)) {
+        return 'name is required: letters, digits, "-" or "_", starting with a letter';
+      }
+    }
+
+    if (!partial || query.expression !== undefined) {
+      if (!query.expression || typeof query.expression !== 'string') {
+        return 'expression is required';
+      }
+      try {
+        jsonata(query.expression);
+      } catch (error) {
+        return `Invalid JSONata expression: ${error.message}`;
+      }
+    }
+
+    if (query.chartType && !CHART_TYPES.includes(query.chartType)) {
+      return `chartType must be one of ${CHART_TYPES.join(', ')}`;
+    }
+    if (query.format && !FORMATS.includes(query.format)) {
+      return `format must be one of ${FORMATS.join(', ')}`;
+    }
+
+    if (query.parameters !== undefined && query.parameters !== null) {
+      return validateParameterDefinitions(query.parameters);
+    }
+
+    return null;
+  }
+
+  /**
+   * List saved queries
+   * @param {Object} options - { category }
+   * @returns {Promise<Array>} Saved queries ordered by category and name
+   */
+  async listSavedQueries(options = {}) {
+    let sql = 'SELECT * FROM saved_queries';
+    const params = [];
+
+    if (options.category) {
+      sql += ' WHERE category = ?';
+      params.push(options.category);
+    }
+
+    sql += ' ORDER BY category, name';
+    const rows = await all(sql, params);
+    return rows.map(formatSavedQuery);
+  }
+
+  /**
+   * Get a saved query by id
+   * @param {number} id - Saved query id
+   * @returns {Promise<Object|null>}
+   */
+  async getSavedQuery(id) {
+    const row = await get('SELECT * FROM saved_queries WHERE id = ?', [id]);
+    return row ? formatSavedQuery(row) : null;
+  }
+
+  /**
+   * Save a new query
+   * @param {Object} query - { name, expression, label, chartType, format, category, description, parameters }
+   * @returns {Promise<Object>} The stored query
+   */
+  async createSavedQuery(query) {
+    const { lastID } = await run(`
+      INSERT INTO saved_queries (name, expression, label, chart_type, format, category, description, parameters)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      query.name,
+      query.expression,
+      query.label || null,
+      query.chartType || null,
+      query.format || null,
+      query.category || 'saved',
+      query.description || null,
+      query.parameters ? JSON.stringify(query.parameters) : null
+    ]);
+
+    console.log(`💾 Saved query ${query.name}`);
+    return this.getSavedQuery(lastID);
+  }
+
+  /**
+   * Update the given fields of a saved query
+   * @param {number} id - Saved query id
+   * @param {Object} fields - Any of the createSavedQuery fields
+   * @returns {Promise<Object|null>} The updated query, or null if it does not exist
+   */
+  async updateSavedQuery(id, fields) {
+    const columns = {
+      name: 'name',
+      expression: 'expression',
+      label: 'label',
+      chartType: 'chart_type',
+      format: 'format',
+      category: 'category',
+      description: 'description',
+      parameters: 'parameters'
+    };
+
+    const assignments = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (fields[field] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      if (field === 'parameters') {
+        params.push(fields.parameters ? JSON.stringify(fields.parameters) : null);
+      } else if (field === 'category') {
+        params.push(fields.category || 'saved');
+      } else {
+        params.push(fields[field]);
+      }
+    }
+
+    if (assignments.length > 0) {
+      const { changes } = await run(
+        `UPDATE saved_queries SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, id]
+      );
+      if (changes === 0) return null;
+    }
+
+    return this.getSavedQuery(id);
+  }
+
+  /**
+   * Delete a saved query
+   * @param {number} id - Saved query id
+   * @returns {Promise<boolean>} False if it did not exist
+   */
+  async deleteSavedQuery(id) {
+    const { changes } = await run('DELETE FROM saved_queries WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  /**
+   * Saved queries in the categorized shape of queryService.getQueryTemplates()
+   * @returns {Promise<Object>} { category: { name: template } }
+   */
+  async getSavedTemplates() {
+    const templates = {};
+    for (const query of await this.listSavedQueries()) {
+      templates[query.category] = templates[query.category] || {};
+      templates[query.category][query.name] = {
+        expression: query.expression,
+        chartType: query.chartType,
+        label: query.label,
+        format: query.format,
+        description: query.description,
+        parameters: query.parameters,
+        id: query.id,
+        saved: true
+      };
+    }
+    return templates;
+  }
+}
+
+module.exports = new SavedQueryService();
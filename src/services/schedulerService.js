@@ -0,0 +1,506 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const db = require('../database');
+const dataRefreshService = require('./dataRefreshService');
+const jobQueueService = require('./jobQueueService');
+const startupRefreshService = require('./startupRefreshService');
+
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'America/New_York';
+const TICK_INTERVAL_MS = 30 * 1000;
+// How far back start() looks for a missed run
+const CATCH_UP_WINDOW_MINUTES = 32 * 24 * 60;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Parse one cron field (e.g. "*", "*\/15", "1-5", "0,30") into a set of values
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${text}"`);
+    }
+
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) end = match[2] ? max : start;
+    const step = match[2] ? parseInt(match[2]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: "${text}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression: minute hour day-of-month month day-of-week
+ * @param {string} expression - Cron expression
+ * @returns {Object} Parsed field sets
+ */
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseCronField(fields[i], field);
+  });
+  parsed.dayOfMonthRestricted = fields[2] !== '*';
+  parsed.dayOfWeekRestricted = fields[4] !== '*';
+  return parsed;
+}
+
+const formatters = {};
+
+/**
+ * Get calendar fields of a date as seen in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+  }
+
+  const parts = {};
+  formatters[timeZone].formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    minute: parseInt(parts.minute),
+    hour: parseInt(parts.hour),
+    dayOfMonth: parseInt(parts.day),
+    month: parseInt(parts.month),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+}
+
+function hourMatches(cron, parts) {
+  if (!cron.hour.has(parts.hour) || !cron.month.has(parts.month)) {
+    return false;
+  }
+
+  const domMatch = cron.dayOfMonth.has(parts.dayOfMonth);
+  const dowMatch = cron.dayOfWeek.has(parts.dayOfWeek);
+
+  // Standard cron: when both day fields are restricted, either may match
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+function cronMatches(cron, date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return cron.minute.has(parts.minute) && hourMatches(cron, parts);
+}
+
+function floorToMinute(date) {
+  const floored = new Date(date);
+  floored.setUTCSeconds(0, 0);
+  return floored;
+}
+
+/**
+ * Find the next (direction 1) or most recent (direction -1) minute matching a cron
+ */
+function findRun(cron, from, timeZone, direction) {
+  let candidate = floorToMinute(from);
+  if (direction > 0) {
+    candidate = new Date(candidate.getTime() + 60000);
+  }
+
+  const limit = from.getTime() + direction * CATCH_UP_WINDOW_MINUTES * 60000;
+
+  while (direction > 0 ? candidate.getTime() <= limit : candidate.getTime() >= limit) {
+    const parts = getZonedParts(candidate, timeZone);
+    let stepMinutes = 1;
+
+    if (!hourMatches(cron, parts)) {
+      // Skip the rest of a non-matching hour in one step
+      stepMinutes = direction > 0 ? 60 - parts.minute : parts.minute + 1;
+    } else if (cron.minute.has(parts.minute)) {
+      return candidate;
+    }
+
+    candidate = new Date(candidate.getTime() + direction * stepMinutes * 60000);
+  }
+
+  return null;
+}
+
+/**
+ * Scheduler Service
+ * In-process cron scheduler for recurring data maintenance. Each task enqueues
+ * a background job for the tracked stocks; schedules come from the schedules
+ * table when overridden there, otherwise from env vars, otherwise defaults.
+ */
+class SchedulerService {
+  constructor() {
+    this.timeZone = TIMEZONE;
+    this.timer = null;
+    this.running = new Set();
+
+    this.tasks = {
+      'data-refresh': {
+        description: 'Fetch the latest daily bars after market close (symbols already current, e.g. on exchange holidays, are skipped)',
+        envVar: 'SCHEDULE_DATA_REFRESH',
+        defaultCron: '30 16 * * 1-5',
+        run: () => this.enqueueForTrackedStocks('data-refresh', symbol => startupRefreshService.needsDataRefresh(symbol))
+      },
+      'split-check': {
+        description: 'Check every tracked stock for new splits',
+        envVar: 'SCHEDULE_SPLIT_CHECK',
+        defaultCron: '0 18 * * 6',
+        run: () => this.enqueueForTrackedStocks('split-check', symbol => startupRefreshService.needsSplitCheck(symbol))
+      },
+      'dividend-check': {
+        description: 'Fetch dividend history for total-return prices',
+        envVar: 'SCHEDULE_DIVIDEND_CHECK',
+        defaultCron: '30 18 * * 6',
+        run: () => this.enqueueForTrackedStocks('dividend-check')
+      },
+      'overview-refresh': {
+        description: 'Refresh company overviews',
+        envVar: 'SCHEDULE_OVERVIEW_REFRESH',
+        defaultCron: '0 19 1 * *',
+        run: () => this.enqueueForTrackedStocks('overview-refresh')
+      }
+    };
+
+    console.log(`⏰ Scheduler Service initialized (${this.timeZone})`);
+  }
+
+  /**
+   * Start ticking, first running any task whose last scheduled time was missed
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+      console.log('⏰ Scheduler disabled via SCHEDULER_ENABLED=false');
+      return;
+    }
+
+    for (const name of Object.keys(this.tasks)) {
+      await this.ensureRow(name);
+    }
+
+    await this.catchUp();
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('❌ Scheduler tick failed:', error.message));
+    }, TICK_INTERVAL_MS);
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref();
+
+    console.log('⏰ Scheduler started');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run tasks whose most recent scheduled time is after their last run
+   * @returns {Promise<void>}
+   */
+  async catchUp() {
+    const now = new Date();
+
+    for (const schedule of await this.getSchedules()) {
+      if (!schedule.enabled || !schedule.previousRun) continue;
+
+      if (!schedule.lastRunAt || new Date(schedule.lastRunAt) < new Date(schedule.previousRun)) {
+        console.log(`⏰ ${schedule.name} missed its run at ${schedule.previousRun}, catching up`);
+        await this.runTask(schedule.name, now);
+      }
+    }
+  }
+
+  /**
+   * Run every enabled task whose cron matches the current minute
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    const now = floorToMinute(new Date());
+
+    for (const row of await this.getRows()) {
+      if (!this.tasks[row.name] || !row.enabled) continue;
+      if (row.last_run_at && new Date(row.last_run_at) >= now) continue;
+
+      try {
+        const { cron } = this.getEffectiveCron(row.name, row);
+        if (cronMatches(parseCron(cron), now, this.timeZone)) {
+          await this.runTask(row.name, now);
+        }
+      } catch (error) {
+        console.error(`❌ Invalid schedule for ${row.name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Run a task now and record the outcome
+   * @param {string} name - Task name
+   * @param {Date} runAt - Time to record as the run time
+   * @returns {Promise<Object>} Outcome { status, jobId, error }
+   */
+  async runTask(name, runAt = new Date()) {
+    const task = this.tasks[name];
+    if (!task) {
+      throw new Error(`Unknown scheduled task: ${name}`);
+    }
+
+    if (this.running.has(name)) {
+      return { status: 'already_running', jobId: null, error: null };
+    }
+
+    this.running.add(name);
+    let outcome;
+
+    try {
+      const job = await task.run();
+      outcome = job
+        ? { status: 'queued', jobId: job.id, error: null }
+        : { status: 'skipped', jobId: null, error: null };
+      console.log(`⏰ ${name}: ${outcome.status}${job ? ` (job #${job.id})` : ''}`);
+    } catch (error) {
+      console.error(`❌ Scheduled task ${name} failed:`, error.message);
+      outcome = { status: 'error', jobId: null, error: error.message };
+    } finally {
+      this.running.delete(name);
+    }
+
+    await this.recordRun(name, runAt, outcome);
+    return outcome;
+  }
+
+  /**
+   * Queue a job of the given type for tracked stocks, stalest first
+   * @param {string} jobType - Job type registered with jobQueueService
+   * @param {Function} needsWork - Optional async (symbol) => boolean filter
+   * @returns {Promise<Object|null>} Queued job, or null when no symbol needs work
+   */
+  async enqueueForTrackedStocks(jobType, needsWork = null) {
+    const trackedStocks = await dataRefreshService.getTrackedStocks();
+    let symbols = await dataRefreshService.prioritizeByStaleness(trackedStocks.map(stock => stock.symbol));
+
+    if (needsWork) {
+      const filtered = [];
+      for (const symbol of symbols) {
+        if (await needsWork(symbol)) filtered.push(symbol);
+      }
+      symbols = filtered;
+    }
+
+    if (symbols.length === 0) {
+      return null;
+    }
+
+    return jobQueueService.enqueue(jobType, symbols, { scheduled: true });
+  }
+
+  /**
+   * Get all schedules with their effective cron and next/previous run times
+   * @returns {Promise<Array>}
+   */
+  async getSchedules() {
+    const rows = await this.getRows();
+    const rowsByName = Object.fromEntries(rows.map(row => [row.name, row]));
+    return Object.keys(this.tasks).map(name => this.describe(name, rowsByName[name]));
+  }
+
+  /**
+   * Get one schedule
+   * @param {string} name - Task name
+   * @returns {Promise<Object|null>}
+   */
+  async getSchedule(name) {
+    if (!this.tasks[name]) {
+      return null;
+    }
+
+    const schedules = await this.getSchedules();
+    return schedules.find(schedule => schedule.name === name);
+  }
+
+  /**
+   * Update a schedule's cron override and/or enabled flag
+   * @param {string} name - Task name
+   * @param {Object} changes - { cron, enabled }; cron null removes the override
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async updateSchedule(name, changes) {
+    if (!this.tasks[name]) {
+      throw new Error(`Unknown scheduled task: ${name}`);
+    }
+
+    if (changes.cron) {
+      parseCron(changes.cron); // Throws on invalid expressions
+    }
+
+    await this.ensureRow(name);
+
+    const sets = [];
+    const params = [];
+
+    if (changes.cron !== undefined) {
+      sets.push('cron = ?');
+      params.push(changes.cron || null);
+    }
+
+    if (changes.enabled !== undefined) {
+      sets.push('enabled = ?');
+      params.push(changes.enabled ? 1 : 0);
+    }
+
+    if (sets.length > 0) {
+      await new Promise((resolve, reject) => {
+        db.run(
+          `UPDATE schedules SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE name = ?`,
+          [...params, name],
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+    }
+
+    return this.getSchedule(name);
+  }
+
+  /**
+   * Validate a cron expression
+   * @param {string} expression - Cron expression
+   * @returns {Object} { valid, error }
+   */
+  validateCron(expression) {
+    try {
+      parseCron(expression);
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Resolve the cron for a task: DB override, then env var, then default
+   * @param {string} name - Task name
+   * @param {Object} row - Row from the schedules table
+   * @returns {Object} { cron, source }
+   */
+  getEffectiveCron(name, row) {
+    const task = this.tasks[name];
+
+    if (row?.cron) {
+      return { cron: row.cron, source: 'db' };
+    }
+    if (process.env[task.envVar]) {
+      return { cron: process.env[task.envVar], source: 'env' };
+    }
+    return { cron: task.defaultCron, source: 'default' };
+  }
+
+  describe(name, row) {
+    const task = this.tasks[name];
+    const { cron, source } = this.getEffectiveCron(name, row);
+
+    let nextRun = null;
+    let previousRun = null;
+    let error = null;
+    try {
+      const parsed = parseCron(cron);
+      const now = new Date();
+      nextRun = findRun(parsed, now, this.timeZone, 1)?.toISOString() || null;
+      previousRun = findRun(parsed, now, this.timeZone, -1)?.toISOString() || null;
+    } catch (parseError) {
+      error = parseError.message;
+    }
+
+    return {
+      name,
+      description: task.description,
+      cron,
+      source,
+      timeZone: this.timeZone,
+      enabled: row?.enabled === undefined || row?.enabled === null ? true : Boolean(row.enabled),
+      nextRun,
+      previousRun,
+      lastRunAt: row?.last_run_at || null,
+      lastStatus: row?.last_status || null,
+      lastError: row?.last_error || error,
+      lastJobId: row?.last_job_id || null
+    };
+  }
+
+  async getRows() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM schedules', [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async ensureRow(name) {
+    return new Promise((resolve, reject) => {
+      db.run('INSERT OR IGNORE INTO schedules (name) VALUES (?)', [name], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  async recordRun(name, runAt, outcome) {
+    await this.ensureRow(name);
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE schedules
+        SET last_run_at = ?, last_status = ?, last_error = ?, last_job_id = COALESCE(?, last_job_id)
+        WHERE name = ?
+      `;
+
+      db.run(sql, [runAt.toISOString(), outcome.status, outcome.error, outcome.jobId, name], (err) => {
+        if (err) {
+          console.error('❌ Error recording scheduled run:', err.message);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+module.exports = new SchedulerService();
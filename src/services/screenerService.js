@@ -0,0 +1,331 @@
+const jsonata = require('jsonata');
+const db = require('../database');
+const dataRefreshService = require('./dataRefreshService');
+const queryService = require('./queryService');
+const queryCacheService = require('./queryCacheService');
+
+const SORT_ORDERS = ['desc', 'asc'];
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const COLUMN_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+// Bars loaded per symbol unless a screen sets its own limit; enough for a 200-day average
+const DEFAULT_ROW_LIMIT = 300;
+const MAX_ROW_LIMIT = 5000;
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatScreen(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    filter: row.filter,
+    rank: row.rank,
+    sort: row.sort_order,
+    columns: parseJson(row.columns) || {},
+    limit: row.row_limit,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function checkExpression(field, expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    return `${field} must be a JSONata expression`;
+  }
+  try {
+    jsonata(expression);
+  } catch (error) {
+    return `Invalid JSONata expression in ${field}: ${error.message}`;
+  }
+  return null;
+}
+
+// Higher scores first for 'desc'; symbols without a numeric score always go last
+function compareScores(sort) {
+  return (a, b) => {
+    const aScored = typeof a.score === 'number';
+    const bScored = typeof b.score === 'number';
+    if (!aScored || !bScored) {
+      return aScored === bScored ? a.symbol.localeCompare(b.symbol) : aScored ? -1 : 1;
+    }
+    return sort === 'asc' ? a.score - b.score : b.score - a.score;
+  };
+}
+
+/**
+ * Screener Service
+ * Runs a screen across every tracked symbol: a JSONata filter picks the symbols,
+ * a ranking expression scores them and column expressions fill the result table.
+ * Each expression sees the same context as a single-symbol query, newest bar first.
+ * Screens can be saved and run again by name.
+ */
+class ScreenerService {
+  constructor() {
+    console.log('🔭 Screener Service initialized');
+  }
+
+  /**
+   * Check a screen before it is run or saved
+   * @param {Object} screen - { name, filter, rank, sort, columns, limit }
+   * @param {Object} options - { requireName: saving, partial: updating, where only given fields are checked }
+   * @returns {string|null} Problem description, or null if the screen is valid
+   */
+  validateScreen(screen, options = {}) {
+    const { requireName = false, partial = false } = options;
+
+    if ((requireName && !partial) || screen.name !== undefined) {
+      if (!screen.name || !NAME_PATTERN.test(screen.name)) {
+        return 'name is required: letters, digits, "-" or "_", starting with a letter';
+      }
+    }
+
+    if (!partial || screen.filter !== undefined) {
+      const problem = checkExpression('filter', screen.filter);
+      if (problem) return problem;
+    }
+
+    if (screen.rank !== undefined && screen.rank !== null && screen.rank !== '') {
+      const problem = checkExpression('rank', screen.rank);
+      if (problem) return problem;
+    }
+
+    if (screen.sort !== undefined && !SORT_ORDERS.includes(screen.sort)) {
+      return `sort must be one of ${SORT_ORDERS.join(', ')}`;
+    }
+
+    if (screen.columns !== undefined && screen.columns !== null) {
+      if (typeof screen.columns !== 'object' || Array.isArray(screen.columns)) {
+        return 'columns must be an object of { name: expression }';
+      }
+      for (const [name, expression] of Object.entries(screen.columns)) {
+        if (!COLUMN_PATTERN.test(name) || ['rank', 'symbol', 'score'].includes(name)) {
+          return `Column name ${name} must be letters, digits or "_" and not rank, symbol or score`;
+        }
+        const problem = checkExpression(`columns.${name}`, expression);
+        if (problem) return problem;
+      }
+    }
+
+    if (screen.limit !== undefined && screen.limit !== null) {
+      if (!Number.isInteger(screen.limit) || screen.limit < 1 || screen.limit > MAX_ROW_LIMIT) {
+        return `limit must be a whole number of rows between 1 and ${MAX_ROW_LIMIT}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a screen
+   * @param {Object} screen - { filter, rank, sort, columns, limit }; filter must return true for a symbol to match
+   * @param {Object} options - { symbols: defaults to tracked_stocks, top: rows returned, endDate, adjustment }
+   * @returns {Promise<Object>} { success, screened, matched, count, sort, results: [{ rank, symbol, score, date, close, ...columns }], errors }
+   */
+  async runScreen(screen, options = {}) {
+    const symbols = options.symbols ||
+      (await dataRefreshService.getTrackedStocks()).map(stock => stock.symbol);
+    const sort = screen.sort || 'desc';
+    const columns = screen.columns || {};
+    const contextOptions = {
+      limit: screen.limit || DEFAULT_ROW_LIMIT,
+      endDate: options.endDate,
+      adjustment: options.adjustment
+    };
+
+    const cacheKey = queryCacheService.buildKey(
+      symbols,
+      { screen: { filter: screen.filter, rank: screen.rank || null, sort, columns }, top: options.top || null },
+      contextOptions
+    );
+    const cached = queryService.getCachedResponse(cacheKey);
+    if (cached) return cached;
+
+    const matches = [];
+    const errors = [];
+
+    for (const symbol of symbols) {
+      try {
+        const context = await queryService.buildQueryContext(symbol, contextOptions);
+
+        if (await queryService.evaluate(screen.filter, context) !== true) continue;
+
+        const row = {
+          symbol,
+          score: screen.rank ? await queryService.evaluate(screen.rank, context) : null,
+          date: context.data[0].date,
+          close: context.data[0].close
+        };
+
+        // A failing column leaves its cell null rather than dropping the symbol
+        for (const [name, expression] of Object.entries(columns)) {
+          try {
+            const value = await queryService.evaluate(expression, context);
+            row[name] = value === undefined ? null : value;
+          } catch (error) {
+            row[name] = null;
+            errors.push({ symbol, column: name, ...queryService.describeError(error) });
+          }
+        }
+
+        matches.push(row);
+      } catch (error) {
+        errors.push({ symbol, ...queryService.describeError(error) });
+      }
+    }
+
+    matches.sort(compareScores(sort));
+    const results = matches
+      .slice(0, options.top || matches.length)
+      .map((row, index) => ({ rank: index + 1, ...row }));
+
+    const response = {
+      success: true,
+      screened: symbols.length,
+      matched: matches.length,
+      count: results.length,
+      sort,
+      adjustment: options.adjustment || 'split',
+      results,
+      errors
+    };
+
+    // Screens hit by a sandbox limit are not cached so a retry can run again
+    if (!errors.some(error => error.limit !== undefined)) {
+      queryCacheService.set(cacheKey, response);
+    }
+    return response;
+  }
+
+  /**
+   * List saved screens
+   * @returns {Promise<Array>} Saved screens ordered by name
+   */
+  async listScreens() {
+    const rows = await all('SELECT * FROM saved_screens ORDER BY name');
+    return rows.map(formatScreen);
+  }
+
+  /**
+   * Get a saved screen by id or name
+   * @param {number|string} idOrName - Numeric id, or the screen's name
+   * @returns {Promise<Object|null>}
+   */
+  async getScreen(idOrName) {
+    const row = /^\d+$/.test(String(idOrName))
+      ? await get('SELECT * FROM saved_screens WHERE id = ?', [parseInt(idOrName)])
+      : await get('SELECT * FROM saved_screens WHERE name = ?', [idOrName]);
+    return row ? formatScreen(row) : null;
+  }
+
+  /**
+   * Save a new screen
+   * @param {Object} screen - { name, description, filter, rank, sort, columns, limit }
+   * @returns {Promise<Object>} The stored screen
+   */
+  async createScreen(screen) {
+    const { lastID } = await run(`
+      INSERT INTO saved_screens (name, description, filter, rank, sort_order, columns, row_limit)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      screen.name,
+      screen.description || null,
+      screen.filter,
+      screen.rank || null,
+      screen.sort || 'desc',
+      screen.columns ? JSON.stringify(screen.columns) : null,
+      screen.limit || null
+    ]);
+
+    console.log(`🔭 Saved screen ${screen.name}`);
+    return this.getScreen(lastID);
+  }
+
+  /**
+   * Update the given fields of a saved screen
+   * @param {number} id - Saved screen id
+   * @param {Object} fields - Any of the createScreen fields
+   * @returns {Promise<Object|null>} The updated screen, or null if it does not exist
+   */
+  async updateScreen(id, fields) {
+    const columns = {
+      name: 'name',
+      description: 'description',
+      filter: 'filter',
+      rank: 'rank',
+      sort: 'sort_order',
+      columns: 'columns',
+      limit: 'row_limit'
+    };
+
+    const assignments = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (fields[field] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      if (field === 'columns') {
+        params.push(fields.columns ? JSON.stringify(fields.columns) : null);
+      } else if (field === 'sort') {
+        params.push(fields.sort || 'desc');
+      } else {
+        params.push(fields[field] || null);
+      }
+    }
+
+    if (assignments.length > 0) {
+      const { changes } = await run(
+        `UPDATE saved_screens SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, id]
+      );
+      if (changes === 0) return null;
+    }
+
+    return this.getScreen(id);
+  }
+
+  /**
+   * Delete a saved screen
+   * @param {number} id - Saved screen id
+   * @returns {Promise<boolean>} False if it did not exist
+   */
+  async deleteScreen(id) {
+    const { changes } = await run('DELETE FROM saved_screens WHERE id = ?', [id]);
+    return changes > 0;
+  }
+}
+
+module.exports = new ScreenerService();
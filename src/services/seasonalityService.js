@@ -0,0 +1,249 @@
+const { getHistoricalData } = require('./dataRefreshService');
+const tradingCalendarService = require('./tradingCalendarService');
+const queryCacheService = require('./queryCacheService');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function percent(value) {
+  return value === null ? null : value * 100;
+}
+
+/**
+ * Average, median and hit rate (share of positive returns) of a list of returns,
+ * all as percentages
+ */
+function summarize(returns) {
+  if (returns.length === 0) {
+    return { count: 0, average: null, median: null, hitRate: null };
+  }
+  const sorted = [...returns].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    count: returns.length,
+    average: percent(returns.reduce((sum, value) => sum + value, 0) / returns.length),
+    median: percent(sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]),
+    hitRate: returns.filter(value => value > 0).length / returns.length * 100
+  };
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// First market holiday strictly between two dates, or null
+function holidayBetween(from, to) {
+  for (let day = new Date(`${from}T00:00:00Z`); ;) {
+    day.setUTCDate(day.getUTCDate() + 1);
+    const date = day.toISOString().slice(0, 10);
+    if (date >= to) return null;
+    const holiday = tradingCalendarService.getHoliday(date);
+    if (holiday) return holiday;
+  }
+}
+
+/**
+ * Seasonality Service
+ * Calendar effects in a symbol's history: returns by calendar month (month end to
+ * month end), and daily close-to-close returns by weekday, day of month, around
+ * market holidays and around given earnings dates.
+ */
+class SeasonalityService {
+  constructor() {
+    console.log('📆 Seasonality Service initialized');
+  }
+
+  /**
+   * Month-end to month-end returns
+   * @param {Array} rows - Bars oldest first
+   * @returns {Array} [{ year, month (1-12), value }]; the first month in the range has no prior close and is skipped
+   */
+  getMonthlyReturns(rows) {
+    const monthEnds = [];
+    for (const row of rows) {
+      const key = row.date.slice(0, 7);
+      if (monthEnds.length > 0 && monthEnds[monthEnds.length - 1].key === key) {
+        monthEnds[monthEnds.length - 1].close = row.close;
+      } else {
+        monthEnds.push({ key, close: row.close });
+      }
+    }
+
+    return monthEnds.slice(1).map((month, i) => ({
+      year: parseInt(month.key.slice(0, 4)),
+      month: parseInt(month.key.slice(5, 7)),
+      value: month.close / monthEnds[i].close - 1
+    }));
+  }
+
+  /**
+   * Daily returns by trading-day offset from each earnings date; offset 0 is the
+   * first bar on or after the date
+   * @param {Array} rows - Bars oldest first
+   * @param {Array} dailyReturns - Return of each bar against the previous one (null for the first)
+   * @param {Array} dates - Earnings dates (YYYY-MM-DD)
+   * @param {number} window - Bars before and after the event
+   * @returns {Object} { window, events, reaction, runUp, drift, byOffset: [{ offset, count, average, median, hitRate }] }
+   */
+  getEarningsEffect(rows, dailyReturns, dates, window) {
+    const events = [];
+    for (const date of [...dates].sort()) {
+      const index = rows.findIndex(row => row.date >= date);
+      if (index > 0) events.push({ date, reactionDate: rows[index].date, index });
+    }
+
+    const byOffset = [];
+    for (let offset = -window; offset <= window; offset++) {
+      byOffset.push({
+        offset,
+        ...summarize(events
+          .map(event => dailyReturns[event.index + offset])
+          .filter(value => value !== undefined && value !== null))
+      });
+    }
+
+    // Run-up into the event and drift after it, close to close
+    const before = events
+      .filter(event => event.index - window - 1 >= 0)
+      .map(event => rows[event.index - 1].close / rows[event.index - window - 1].close - 1);
+    const after = events
+      .filter(event => event.index + window < rows.length)
+      .map(event => rows[event.index + window].close / rows[event.index].close - 1);
+
+    return {
+      window,
+      events: events.map(({ date, reactionDate }) => ({ date, reactionDate })),
+      reaction: summarize(events.map(event => dailyReturns[event.index])),
+      runUp: summarize(before),
+      drift: summarize(after),
+      byOffset
+    };
+  }
+
+  /**
+   * Seasonality statistics for a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {Object} options - { startDate, endDate, limit, adjustment ('total' by default),
+   *   earnings: dates (YYYY-MM-DD), earningsWindow: bars around each (default 5) }
+   * @returns {Promise<Object>} { success, symbol, dataCount, dateRange, adjustment, byMonth, monthlyReturns,
+   *   byWeekday, byDayOfMonth, holidays, earnings }; each statistic is { count, average, median, hitRate }
+   */
+  async getSeasonality(symbol, options = {}) {
+    // Seasonality needs years of bars, so the default limit is far above the query default
+    const settings = {
+      adjustment: 'total',
+      limit: 100000,
+      earningsWindow: 5,
+      ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    };
+
+    const cacheKey = queryCacheService.buildKey([symbol], { seasonality: settings }, settings);
+    const cached = queryCacheService.get(cacheKey);
+    if (cached) return { ...cached, cached: true };
+
+    try {
+      const rows = await getHistoricalData(
+        symbol,
+        settings.startDate,
+        settings.endDate,
+        settings.limit,
+        settings.adjustment,
+        'asc'
+      );
+
+      if (rows.length < 2) {
+        throw new Error(`Not enough historical data for ${symbol}: ${rows.length} bars, at least 2 needed`);
+      }
+
+      const dailyReturns = rows.map((row, i) => (i === 0 ? null : row.close / rows[i - 1].close - 1));
+      const days = rows.slice(1).map((row, i) => ({ date: row.date, value: dailyReturns[i + 1] }));
+
+      const monthlyReturns = this.getMonthlyReturns(rows);
+      const byMonth = MONTHS.map((name, i) => ({
+        month: i + 1,
+        name,
+        ...summarize(monthlyReturns.filter(entry => entry.month === i + 1).map(entry => entry.value))
+      }));
+
+      const years = [...new Set(monthlyReturns.map(entry => entry.year))];
+      const heatmap = years.map(year => {
+        const months = new Array(12).fill(null);
+        monthlyReturns
+          .filter(entry => entry.year === year)
+          .forEach(entry => { months[entry.month - 1] = percent(entry.value); });
+        return { year, months };
+      });
+
+      const byWeekday = [1, 2, 3, 4, 5].map(day => ({
+        weekday: day,
+        name: WEEKDAYS[day],
+        ...summarize(days.filter(entry => weekday(entry.date) === day).map(entry => entry.value))
+      }));
+
+      const byDayOfMonth = [];
+      for (let day = 1; day <= 31; day++) {
+        const returns = days.filter(entry => parseInt(entry.date.slice(8, 10)) === day).map(entry => entry.value);
+        if (returns.length > 0) byDayOfMonth.push({ day, ...summarize(returns) });
+      }
+
+      // Pre-holiday: the session before a weekday market holiday; post-holiday: the session after one
+      const pre = [];
+      const post = [];
+      const regular = [];
+      const byHoliday = {};
+      for (const entry of days) {
+        const before = holidayBetween(entry.date, tradingCalendarService.nextTradingDay(entry.date));
+        const after = holidayBetween(tradingCalendarService.previousTradingDay(entry.date), entry.date);
+        if (before) {
+          pre.push(entry.value);
+          (byHoliday[before] = byHoliday[before] || { pre: [], post: [] }).pre.push(entry.value);
+        }
+        if (after) {
+          post.push(entry.value);
+          (byHoliday[after] = byHoliday[after] || { pre: [], post: [] }).post.push(entry.value);
+        }
+        if (!before && !after) regular.push(entry.value);
+      }
+
+      const response = {
+        success: true,
+        symbol,
+        dataCount: rows.length,
+        dateRange: {
+          start: rows[0].date,
+          end: rows[rows.length - 1].date
+        },
+        adjustment: settings.adjustment,
+        byMonth,
+        monthlyReturns: heatmap,
+        byWeekday,
+        byDayOfMonth,
+        holidays: {
+          preHoliday: summarize(pre),
+          postHoliday: summarize(post),
+          otherDays: summarize(regular),
+          byHoliday: Object.fromEntries(Object.entries(byHoliday).map(([name, returns]) => [
+            name,
+            { preHoliday: summarize(returns.pre), postHoliday: summarize(returns.post) }
+          ]))
+        },
+        // No earnings calendar is stored, so the dates come from the caller
+        earnings: settings.earnings && settings.earnings.length > 0
+          ? this.getEarningsEffect(rows, dailyReturns, settings.earnings, settings.earningsWindow)
+          : null
+      };
+
+      queryCacheService.set(cacheKey, response);
+      return response;
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        symbol
+      };
+    }
+  }
+}
+
+module.exports = new SeasonalityService();
@@ -1,8 +1,12 @@
 const db = require('../database');
+const queryCacheService = require('./queryCacheService');
+
+const ADJUSTMENT_MODES = ['raw', 'split', 'total'];
 
 /**
  * Stock Split Adjustment Service
- * Handles split adjustments for historical stock data to ensure accurate price comparisons
+ * Handles split adjustments for historical stock data to ensure accurate price comparisons.
+ * Prices are stored raw and adjusted when read, so adding a split never requires rewriting rows.
  */
 class SplitAdjustmentService {
   constructor() {
@@ -58,132 +62,238 @@ class SplitAdjustmentService {
   }
 
   /**
-   * Apply split adjustments to a single stock record
-   * @param {Object} stockRecord - Single day stock data
-   * @returns {Promise<Object>} Split-adjusted stock record
+   * Check if an adjustment mode is supported
+   * @param {string} mode - 'raw', 'split' or 'total'
+   * @returns {boolean}
    */
-  async adjustStockRecord(stockRecord) {
-    try {
-      const adjustmentFactor = await this.getSplitAdjustmentFactor(
-        stockRecord.symbol, 
-        stockRecord.date
-      );
+  isValidAdjustment(mode) {
+    return ADJUSTMENT_MODES.includes(mode);
+  }
 
-      if (adjustmentFactor === 1.0) {
-        // No splits to adjust for
-        return {
-          ...stockRecord,
-          adjusted_close: stockRecord.close,
-          split_adjusted: false,
-          adjustment_factor: 1.0
-        };
+  /**
+   * Get dividends with the close before each ex-date, used for total-return factors
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Array>} Array of { ex_date, amount, previous_close, previous_basis }
+   */
+  async getDividendAdjustments(symbol) {
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT d.ex_date, d.amount,
+          (SELECT h.close FROM historical_stock_data h
+           WHERE h.symbol = d.symbol AND h.date < d.ex_date
+           ORDER BY h.date DESC LIMIT 1) as previous_close,
+          (SELECT h.price_basis FROM historical_stock_data h
+           WHERE h.symbol = d.symbol AND h.date < d.ex_date
+           ORDER BY h.date DESC LIMIT 1) as previous_basis
+        FROM dividends d
+        WHERE d.symbol = ?
+        ORDER BY d.ex_date ASC
+      `, [symbol.toUpperCase()], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.filter(row => row.previous_close !== null));
+        }
+      });
+    });
+  }
+
+  /**
+   * Get spin-offs where the symbol was the parent, as total-return factors.
+   * The distribution is valued with the recorded cost basis allocation when
+   * there is one, otherwise at the spun-off shares' first close.
+   * @param {string} symbol - Parent stock symbol
+   * @returns {Promise<Array>} Array of { exDate, factor }
+   */
+  async getSpinoffAdjustments(symbol) {
+    const rows = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT ca.effective_date, ca.new_symbol, ca.distribution_ratio, ca.cost_basis_allocation,
+          (SELECT h.close FROM historical_stock_data h
+           WHERE h.symbol = ca.symbol AND h.date < ca.effective_date
+           ORDER BY h.date DESC LIMIT 1) as previous_close,
+          (SELECT h.price_basis FROM historical_stock_data h
+           WHERE h.symbol = ca.symbol AND h.date < ca.effective_date
+           ORDER BY h.date DESC LIMIT 1) as previous_basis,
+          (SELECT h.close FROM historical_stock_data h
+           WHERE h.symbol = ca.new_symbol AND h.date >= ca.effective_date
+           ORDER BY h.date ASC LIMIT 1) as spinoff_close,
+          (SELECT h.price_basis FROM historical_stock_data h
+           WHERE h.symbol = ca.new_symbol AND h.date >= ca.effective_date
+           ORDER BY h.date ASC LIMIT 1) as spinoff_basis
+        FROM corporate_actions ca
+        WHERE ca.symbol = ? AND ca.action_type = 'spinoff'
+        ORDER BY ca.effective_date ASC
+      `, [symbol.toUpperCase()], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+
+    const adjustments = [];
+    for (const row of rows) {
+      if (row.cost_basis_allocation !== null) {
+        adjustments.push({ exDate: row.effective_date, factor: 1 - row.cost_basis_allocation });
+        continue;
+      }
+      if (row.previous_close === null || row.spinoff_close === null) {
+        continue;
       }
 
-      // Apply adjustment to all price fields
-      const adjustedRecord = {
-        ...stockRecord,
-        open: Number((stockRecord.open / adjustmentFactor).toFixed(4)),
-        high: Number((stockRecord.high / adjustmentFactor).toFixed(4)),
-        low: Number((stockRecord.low / adjustmentFactor).toFixed(4)),
-        close: Number((stockRecord.close / adjustmentFactor).toFixed(4)),
-        adjusted_close: Number((stockRecord.close / adjustmentFactor).toFixed(4)),
-        // Volume should be multiplied by the adjustment factor
-        volume: Math.round(stockRecord.volume * adjustmentFactor),
-        split_adjusted: true,
-        adjustment_factor: adjustmentFactor
-      };
+      // Compare as-traded prices on both sides of the distribution
+      const previousClose = row.previous_basis === 'raw'
+        ? row.previous_close
+        : row.previous_close * await this.getSplitAdjustmentFactor(symbol, row.effective_date);
+      const spinoffClose = row.spinoff_basis === 'raw'
+        ? row.spinoff_close
+        : row.spinoff_close * await this.getSplitAdjustmentFactor(row.new_symbol, row.effective_date);
+      const value = spinoffClose * (row.distribution_ratio || 1.0);
 
-      return adjustedRecord;
-    } catch (error) {
-      console.error(`Error adjusting stock record for ${stockRecord.symbol}:`, error.message);
-      return {
-        ...stockRecord,
-        adjusted_close: stockRecord.close,
-        split_adjusted: false,
-        adjustment_factor: 1.0
-      };
+      adjustments.push({ exDate: row.effective_date, factor: 1 - value / previousClose });
     }
+
+    return adjustments;
   }
 
   /**
-   * Apply split adjustments to an array of stock records
-   * @param {Array} stockRecords - Array of stock data records
-   * @returns {Promise<Array>} Array of split-adjusted records
+   * Get the adjustment version for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<number>} Version, 0 if splits and dividends never changed
    */
-  async adjustStockRecords(stockRecords) {
+  async getAdjustmentVersion(symbol) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT version FROM adjustment_versions WHERE symbol = ?', [symbol.toUpperCase()], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row?.version || 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Record that a symbol's splits or dividends changed
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<void>}
+   */
+  async bumpAdjustmentVersion(symbol) {
+    return new Promise((resolve, reject) => {
+      db.run(`
+        INSERT INTO adjustment_versions (symbol, version, updated_at)
+        VALUES (?, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT(symbol) DO UPDATE SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+      `, [symbol.toUpperCase()], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          queryCacheService.invalidate(symbol.toUpperCase(), 'adjustments');
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Apply split (and optionally dividend) adjustments to stored bars at read time.
+   * Bars are stored as delivered by the vendor; rows with price_basis NULL were
+   * written before that and are already split-adjusted.
+   * @param {Array} stockRecords - Rows from historical_stock_data for one symbol
+   * @param {string} mode - 'raw', 'split' (default) or 'total'
+   * @param {Array} symbols - Symbols whose splits and distributions apply, when
+   *   the records span a ticker rename (defaults to the records' own symbol)
+   * @returns {Promise<Array>} Adjusted records; adjusted_close is always the total-return close
+   */
+  async adjustStockRecords(stockRecords, mode = 'split', symbols = null) {
     if (!stockRecords || stockRecords.length === 0) {
       return stockRecords;
     }
 
-    try {
-      // Get splits for this symbol once
-      const symbol = stockRecords[0].symbol;
-      const splits = await this.getStockSplits(symbol);
-      
-      if (splits.length === 0) {
-        // No splits for this symbol, just add adjusted_close field
-        return stockRecords.map(record => ({
-          ...record,
-          adjusted_close: record.close,
-          split_adjusted: false,
-          adjustment_factor: 1.0
-        }));
-      }
+    const linkedSymbols = symbols || [stockRecords[0].symbol];
+    const splits = [];
+    const dividends = [];
+    const spinoffs = [];
+    for (const symbol of linkedSymbols) {
+      splits.push(...await this.getStockSplits(symbol));
+      dividends.push(...await this.getDividendAdjustments(symbol));
+      spinoffs.push(...await this.getSpinoffAdjustments(symbol));
+    }
 
-      // Process each record
-      const adjustedRecords = stockRecords.map(record => {
-        // Find all splits that occurred after this record's date
-        const appliedSplits = splits.filter(split => split.split_date > record.date);
-        
-        // Calculate cumulative adjustment factor
-        let adjustmentFactor = 1.0;
-        for (const split of appliedSplits) {
-          adjustmentFactor *= split.split_ratio;
-        }
+    const splitFactorAfter = (date) => splits
+      .filter(split => split.split_date > date)
+      .reduce((ratio, split) => ratio * split.split_ratio, 1.0);
 
-        if (adjustmentFactor === 1.0) {
-          return {
-            ...record,
-            adjusted_close: record.close,
-            split_adjusted: false,
-            adjustment_factor: 1.0
-          };
-        }
+    // Dividend factors use the close before each ex-date in the same share basis as the amount
+    const dividendFactors = dividends
+      .map(dividend => {
+        const previousClose = dividend.previous_basis === 'raw'
+          ? dividend.previous_close
+          : dividend.previous_close * splitFactorAfter(dividend.ex_date);
+        return { exDate: dividend.ex_date, factor: 1 - dividend.amount / previousClose };
+      })
+      .concat(spinoffs)
+      .filter(dividend => dividend.factor > 0);
 
-        // Apply adjustment
-        return {
-          ...record,
-          open: Number((record.open / adjustmentFactor).toFixed(4)),
-          high: Number((record.high / adjustmentFactor).toFixed(4)),
-          low: Number((record.low / adjustmentFactor).toFixed(4)),
-          close: Number((record.close / adjustmentFactor).toFixed(4)),
-          adjusted_close: Number((record.close / adjustmentFactor).toFixed(4)),
-          volume: Math.round(record.volume * adjustmentFactor),
-          split_adjusted: true,
-          adjustment_factor: adjustmentFactor
-        };
-      });
+    return stockRecords.map(({ price_basis, ...record }) => {
+      const splitFactor = splitFactorAfter(record.date);
+      const dividendFactor = dividendFactors
+        .filter(dividend => dividend.exDate > record.date)
+        .reduce((factor, dividend) => factor * dividend.factor, 1.0);
 
-      return adjustedRecords;
-    } catch (error) {
-      console.error('Error adjusting stock records:', error.message);
-      return stockRecords.map(record => ({
+      // Express the stored row in raw (as-traded) terms first
+      const alreadySplitAdjusted = price_basis !== 'raw';
+      const toRaw = alreadySplitAdjusted ? splitFactor : 1.0;
+      const rawClose = record.close * toRaw;
+
+      let adjustmentFactor = 1.0;
+      if (mode === 'split') adjustmentFactor = splitFactor;
+      if (mode === 'total') adjustmentFactor = splitFactor / dividendFactor;
+
+      const price = (value) => Number((value * toRaw / adjustmentFactor).toFixed(4));
+
+      return {
         ...record,
-        adjusted_close: record.close,
-        split_adjusted: false,
-        adjustment_factor: 1.0
-      }));
+        open: price(record.open),
+        high: price(record.high),
+        low: price(record.low),
+        close: price(record.close),
+        adjusted_close: Number((rawClose / splitFactor * dividendFactor).toFixed(4)),
+        // Dividends change the price basis, not the share count
+        volume: Math.round(record.volume / toRaw * (mode === 'raw' ? 1.0 : splitFactor)),
+        split_adjusted: mode !== 'raw' && splitFactor !== 1.0,
+        adjustment_factor: Number(adjustmentFactor.toFixed(6))
+      };
+    });
+  }
+
+  /**
+   * Describe a split ratio the way stock_splits descriptions do
+   * @param {number} ratio - Split ratio (e.g., 4 or 0.1)
+   * @returns {string}
+   */
+  describeSplitRatio(ratio) {
+    if (ratio >= 1) {
+      return Number.isInteger(ratio) ? `${ratio}-for-1 stock split` : `${ratio * 2}-for-2 stock split`;
     }
+    return `1-for-${Math.round(1 / ratio)} reverse stock split`;
   }
 
   /**
    * Get split information for display
    * @param {string} symbol - Stock symbol  
+   * @param {Array} symbols - Symbols to include when the history spans a ticker rename
    * @returns {Promise<Object>} Split summary information
    */
-  async getSplitSummary(symbol) {
+  async getSplitSummary(symbol, symbols = null) {
     try {
-      const splits = await this.getStockSplits(symbol);
+      const splits = [];
+      for (const linkedSymbol of symbols || [symbol]) {
+        splits.push(...await this.getStockSplits(linkedSymbol));
+      }
+      splits.sort((a, b) => a.split_date.localeCompare(b.split_date));
       
       if (splits.length === 0) {
         return {
@@ -202,9 +312,11 @@ class SplitAdjustmentService {
         symbol: symbol.toUpperCase(),
         hasSplits: true,
         totalSplits: splits.length,
-        cumulativeRatio: Number(cumulativeRatio.toFixed(2)),
+        cumulativeRatio: Number(cumulativeRatio.toFixed(6)),
         splits: splits.map(split => ({
+          symbol: split.symbol,
           date: split.split_date,
+          type: split.split_ratio < 1 ? 'reverse_split' : 'split',
           ratio: split.split_ratio,
           description: split.description
         }))
@@ -226,22 +338,27 @@ class SplitAdjustmentService {
    * Add a new stock split (for maintenance)
    * @param {string} symbol - Stock symbol
    * @param {string} splitDate - Split date (YYYY-MM-DD)
-   * @param {number} splitRatio - Split ratio (e.g., 4.0 for 4-for-1)
+   * @param {number} splitRatio - Split ratio (e.g., 4.0 for 4-for-1, 0.1 for a 1-for-10 reverse split)
    * @param {string} description - Description of the split
    * @returns {Promise<boolean>} Success status
    */
   async addStockSplit(symbol, splitDate, splitRatio, description) {
     return new Promise((resolve, reject) => {
       db.run(`
-        INSERT OR REPLACE INTO stock_splits (symbol, split_date, split_ratio, description)
+        INSERT INTO stock_splits (symbol, split_date, split_ratio, description)
         VALUES (?, ?, ?, ?)
-      `, [symbol.toUpperCase(), splitDate, splitRatio, description], function(err) {
+        ON CONFLICT(symbol, split_date) DO UPDATE SET
+          split_ratio = excluded.split_ratio,
+          description = excluded.description,
+          reconciled_at = NULL
+      `, [symbol.toUpperCase(), splitDate, splitRatio, description], (err) => {
         if (err) {
           console.error(`Error adding stock split for ${symbol}:`, err.message);
           reject(err);
         } else {
-          console.log(`✅ Added stock split for ${symbol}: ${splitRatio}-for-1 on ${splitDate}`);
-          resolve(true);
+          console.log(`✅ Added stock split for ${symbol}: ${this.describeSplitRatio(splitRatio)} on ${splitDate}`);
+          // Stored bars are raw, so the new split applies to every read from now on
+          this.bumpAdjustmentVersion(symbol).then(() => resolve(true), reject);
         }
       });
     });
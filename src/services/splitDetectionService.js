@@ -0,0 +1,228 @@
+const db = require('../database');
+const splitAdjustmentService = require('./splitAdjustmentService');
+const splitReconciliationService = require('./splitReconciliationService');
+
+// Forward and reverse split ratios seen in practice (prices divide by the ratio)
+const COMMON_RATIOS = [
+  1.5, 2, 3, 4, 5, 6, 7, 8, 10, 15, 20,
+  1 / 2, 1 / 3, 1 / 4, 1 / 5, 1 / 8, 1 / 10, 1 / 15, 1 / 20, 1 / 25, 1 / 30, 1 / 50
+];
+const DEFAULT_TOLERANCE = 0.08;
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+const VOLUME_WINDOW = 20;
+// Vendors disagree by a day or two on split dates
+const KNOWN_SPLIT_WINDOW_DAYS = 3;
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function daysBetween(a, b) {
+  return Math.abs(new Date(a) - new Date(b)) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Split Detection Service
+ * Finds likely splits missing from stock_splits by scanning raw bars for
+ * overnight price jumps close to a common split ratio, confirmed by trading
+ * volume moving by roughly the inverse amount. Candidates are kept in
+ * suspected_splits until confirmed into stock_splits or dismissed.
+ */
+class SplitDetectionService {
+  constructor() {
+    console.log('🔎 Split Detection Service initialized');
+  }
+
+  /**
+   * Find split-like discontinuities in a series of bars
+   * @param {Array} bars - Raw bars ordered by date ascending
+   * @param {Object} options - { tolerance, minConfidence }
+   * @returns {Array} Candidates ordered by date
+   */
+  scanPriceDiscontinuities(bars, options = {}) {
+    const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+    const minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+    const candidates = [];
+
+    for (let i = 1; i < bars.length; i++) {
+      const previous = bars[i - 1];
+      const current = bars[i];
+      if (!previous.close || !current.open) continue;
+
+      const priceRatio = previous.close / current.open;
+      if (Math.abs(priceRatio - 1) <= tolerance) continue;
+
+      let best = null;
+      for (const ratio of COMMON_RATIOS) {
+        const deviation = Math.abs(priceRatio / ratio - 1);
+        if (deviation <= tolerance && (!best || deviation < best.deviation)) {
+          best = { ratio, deviation };
+        }
+      }
+      if (!best) continue;
+
+      // Share count scales with the ratio, so volume should move by about the same factor
+      const before = average(bars.slice(Math.max(0, i - VOLUME_WINDOW), i).map(bar => bar.volume).filter(Boolean));
+      const after = average(bars.slice(i, i + VOLUME_WINDOW).map(bar => bar.volume).filter(Boolean));
+      const volumeRatio = before && after ? after / before : null;
+      const volumeScore = volumeRatio
+        ? Math.max(0, 1 - Math.abs(Math.log(volumeRatio / best.ratio)) / Math.log(3))
+        : 0;
+
+      const priceScore = 1 - best.deviation / tolerance;
+      const confidence = Number((0.6 * priceScore + 0.4 * volumeScore).toFixed(3));
+      if (confidence < minConfidence) continue;
+
+      candidates.push({
+        date: current.date,
+        previousDate: previous.date,
+        previousClose: previous.close,
+        open: current.open,
+        priceRatio: Number(priceRatio.toFixed(4)),
+        suggestedRatio: Number(best.ratio.toFixed(6)),
+        description: splitAdjustmentService.describeSplitRatio(best.ratio),
+        volumeRatio: volumeRatio ? Number(volumeRatio.toFixed(3)) : null,
+        volumeConfirmed: volumeScore >= 0.5,
+        confidence
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Scan a symbol's stored history for suspected splits and record new candidates
+   * @param {string} symbol - Stock symbol
+   * @param {Object} options - { tolerance, minConfidence, includeKnown }
+   * @returns {Promise<Object>} Scan summary with candidates and their status
+   */
+  async detectSplits(symbol, options = {}) {
+    const upperSymbol = symbol.toUpperCase();
+
+    const rows = await all(`
+      SELECT symbol, date, open, high, low, close, adjusted_close, volume, price_basis, created_at
+      FROM historical_stock_data
+      WHERE symbol = ?
+      ORDER BY date ASC
+    `, [upperSymbol]);
+
+    // Compare prices as traded, whatever basis each row was stored in
+    const bars = await splitAdjustmentService.adjustStockRecords(rows, 'raw');
+    const knownSplits = await splitAdjustmentService.getStockSplits(upperSymbol);
+    const scanned = this.scanPriceDiscontinuities(bars || [], options);
+
+    const candidates = [];
+    for (const candidate of scanned) {
+      const known = knownSplits.find(split => daysBetween(split.split_date, candidate.date) <= KNOWN_SPLIT_WINDOW_DAYS);
+      if (known) {
+        if (options.includeKnown) {
+          candidates.push({ ...candidate, status: 'known', knownSplitDate: known.split_date });
+        }
+        continue;
+      }
+
+      // Refresh pending candidates, leave confirmed/dismissed ones as they are
+      await run(`
+        INSERT INTO suspected_splits (symbol, split_date, suggested_ratio, price_ratio, volume_ratio, confidence)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(symbol, split_date) DO UPDATE SET
+          suggested_ratio = excluded.suggested_ratio,
+          price_ratio = excluded.price_ratio,
+          volume_ratio = excluded.volume_ratio,
+          confidence = excluded.confidence
+        WHERE status = 'pending'
+      `, [upperSymbol, candidate.date, candidate.suggestedRatio, candidate.priceRatio, candidate.volumeRatio, candidate.confidence]);
+
+      const [stored] = await all(
+        'SELECT status FROM suspected_splits WHERE symbol = ? AND split_date = ?',
+        [upperSymbol, candidate.date]
+      );
+      candidates.push({ ...candidate, status: stored.status });
+    }
+
+    return {
+      symbol: upperSymbol,
+      barsScanned: bars ? bars.length : 0,
+      tolerance: options.tolerance ?? DEFAULT_TOLERANCE,
+      minConfidence: options.minConfidence ?? DEFAULT_MIN_CONFIDENCE,
+      candidates
+    };
+  }
+
+  /**
+   * Get a recorded suspected split
+   * @param {string} symbol - Stock symbol
+   * @param {string} date - Split date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>}
+   */
+  async getSuspectedSplit(symbol, date) {
+    const [row] = await all(
+      'SELECT * FROM suspected_splits WHERE symbol = ? AND split_date = ?',
+      [symbol.toUpperCase(), date]
+    );
+    return row || null;
+  }
+
+  /**
+   * Confirm a suspected split into stock_splits and reconcile stored history
+   * @param {string} symbol - Stock symbol
+   * @param {string} date - Split date (YYYY-MM-DD)
+   * @param {number} ratio - Ratio to record, defaults to the suggested one
+   * @returns {Promise<Object|null>} { split, reconciliation }, or null if no such candidate
+   */
+  async confirmSuspectedSplit(symbol, date, ratio = null) {
+    const suspected = await this.getSuspectedSplit(symbol, date);
+    if (!suspected) {
+      return null;
+    }
+
+    const splitRatio = ratio ?? suspected.suggested_ratio;
+    const description = `${splitAdjustmentService.describeSplitRatio(splitRatio)} (detected from price data)`;
+
+    await splitAdjustmentService.addStockSplit(symbol, date, splitRatio, description);
+    await run(
+      `UPDATE suspected_splits SET status = 'confirmed', resolved_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [suspected.id]
+    );
+    const reconciliation = await splitReconciliationService.reconcile(symbol);
+
+    return {
+      split: { symbol: symbol.toUpperCase(), date, ratio: splitRatio, description },
+      reconciliation
+    };
+  }
+
+  /**
+   * Dismiss a suspected split so later scans keep it out of the pending list
+   * @param {string} symbol - Stock symbol
+   * @param {string} date - Split date (YYYY-MM-DD)
+   * @returns {Promise<boolean>} False if no such candidate
+   */
+  async dismissSuspectedSplit(symbol, date) {
+    const { changes } = await run(
+      `UPDATE suspected_splits SET status = 'dismissed', resolved_at = CURRENT_TIMESTAMP WHERE symbol = ? AND split_date = ?`,
+      [symbol.toUpperCase(), date]
+    );
+    return changes > 0;
+  }
+}
+
+module.exports = new SplitDetectionService();
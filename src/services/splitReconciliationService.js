@@ -0,0 +1,202 @@
+const db = require('../database');
+const splitAdjustmentService = require('./splitAdjustmentService');
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Split Reconciliation Service
+ * Brings stored history in line with the stock_splits table. Rows written
+ * before raw storage (price_basis NULL) were split-adjusted on insert with the
+ * splits known at that moment (split created_at <= row created_at); they are
+ * converted back to raw so read-time adjustment also covers splits found later.
+ * Newly inserted splits are marked reconciled and every run is audited.
+ */
+class SplitReconciliationService {
+  constructor() {
+    // Serializes reconcile() so two runs never convert or audit the same splits at once
+    this.pending = Promise.resolve();
+    console.log('🧮 Split Reconciliation Service initialized');
+  }
+
+  /**
+   * Reconcile stored history for a symbol with its splits
+   * @param {string} symbol - Stock symbol
+   * @param {Object} options - { dryRun: true } to report without writing
+   * @returns {Promise<Object>} Reconciliation report
+   */
+  async reconcile(symbol, options = {}) {
+    const result = this.pending.then(() => this.reconcileSymbol(symbol.toUpperCase(), options));
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  async reconcileSymbol(symbol, options) {
+    const { dryRun = false } = options;
+
+    const splits = await all(`
+      SELECT split_date, split_ratio, description, reconciled_at, created_at
+      FROM stock_splits
+      WHERE symbol = ?
+      ORDER BY split_date ASC
+    `, [symbol]);
+
+    const { count: legacyRows } = await get(
+      'SELECT COUNT(*) as count FROM historical_stock_data WHERE symbol = ? AND price_basis IS NULL',
+      [symbol]
+    );
+
+    // Legacy rows that had each split applied when they were inserted
+    const conversions = [];
+    for (const split of splits) {
+      const { count } = await get(`
+        SELECT COUNT(*) as count FROM historical_stock_data
+        WHERE symbol = ? AND price_basis IS NULL AND date < ? AND created_at >= ?
+      `, [symbol, split.split_date, split.created_at]);
+
+      if (count > 0) {
+        conversions.push({ splitDate: split.split_date, ratio: split.split_ratio, rows: count });
+      }
+    }
+
+    // Every stored bar before a new split reads differently once it is reconciled
+    const newSplits = [];
+    for (const split of splits.filter(split => !split.reconciled_at)) {
+      const { count } = await get(
+        'SELECT COUNT(*) as count FROM historical_stock_data WHERE symbol = ? AND date < ?',
+        [symbol, split.split_date]
+      );
+      newSplits.push({
+        splitDate: split.split_date,
+        ratio: split.split_ratio,
+        description: split.description,
+        affectedRows: count
+      });
+    }
+
+    const report = {
+      symbol,
+      dryRun,
+      newSplits,
+      legacyRows,
+      conversions,
+      convertedRows: legacyRows,
+      affectedRows: newSplits.reduce((sum, split) => sum + split.affectedRows, 0),
+      auditId: null
+    };
+
+    if (dryRun || (newSplits.length === 0 && legacyRows === 0)) {
+      return report;
+    }
+
+    // The connection is shared with every other writer, so each step is a single
+    // statement rather than a transaction that could roll back their writes too.
+    // Converting legacy rows and marking them raw happen in the same UPDATE, so a
+    // row is never converted twice.
+    if (legacyRows > 0) {
+      // Cumulative ratio of the splits each row had applied when it was inserted
+      const factor = `(${splits.map(() => '(CASE WHEN date < ? AND created_at >= ? THEN ? ELSE 1 END)').join(' * ') || 1})`;
+      const factorParams = splits.flatMap(split => [split.split_date, split.created_at, split.split_ratio]);
+
+      await run(`
+        UPDATE historical_stock_data
+        SET open = open * ${factor}, high = high * ${factor}, low = low * ${factor},
+            close = close * ${factor}, adjusted_close = close * ${factor},
+            volume = ROUND(volume / ${factor}), price_basis = 'raw'
+        WHERE symbol = ? AND price_basis IS NULL
+      `, [
+        ...factorParams, ...factorParams, ...factorParams,
+        ...factorParams, ...factorParams, ...factorParams,
+        symbol
+      ]);
+    }
+
+    if (newSplits.length > 0) {
+      await run(`
+        UPDATE stock_splits SET reconciled_at = CURRENT_TIMESTAMP
+        WHERE symbol = ? AND reconciled_at IS NULL AND split_date IN (${newSplits.map(() => '?').join(', ')})
+      `, [symbol, ...newSplits.map(split => split.splitDate)]);
+    }
+
+    // Reads of converted rows change too; new splits bumped the version when inserted
+    if (legacyRows > 0) {
+      await splitAdjustmentService.bumpAdjustmentVersion(symbol);
+    }
+    const adjustmentVersion = await splitAdjustmentService.getAdjustmentVersion(symbol);
+
+    const { lastID } = await run(`
+      INSERT INTO split_reconciliations (symbol, splits, converted_rows, affected_rows, adjustment_version, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      symbol,
+      JSON.stringify(newSplits.map(split => split.splitDate)),
+      report.convertedRows,
+      report.affectedRows,
+      adjustmentVersion,
+      JSON.stringify({ newSplits, conversions })
+    ]);
+
+    console.log(`🧮 Reconciled ${symbol}: ${newSplits.length} new split(s), ${legacyRows} legacy row(s) converted to raw`);
+    return { ...report, auditId: lastID, adjustmentVersion };
+  }
+
+  /**
+   * Get the reconciliation audit log for a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Audit entries, newest first
+   */
+  async getReconciliations(symbol, limit = 50) {
+    const rows = await all(`
+      SELECT * FROM split_reconciliations
+      WHERE symbol = ?
+      ORDER BY id DESC LIMIT ?
+    `, [symbol.toUpperCase(), limit]);
+
+    return rows.map(row => ({
+      id: row.id,
+      symbol: row.symbol,
+      splits: parseJson(row.splits) || [],
+      convertedRows: row.converted_rows,
+      affectedRows: row.affected_rows,
+      adjustmentVersion: row.adjustment_version,
+      details: parseJson(row.details),
+      createdAt: row.created_at
+    }));
+  }
+}
+
+module.exports = new SplitReconciliationService();
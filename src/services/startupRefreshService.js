@@ -1,6 +1,10 @@
 const db = require('../database');
-const alphaVantageService = require('./alphaVantageService');
+const marketDataService = require('./marketDataService');
 const dataRefreshService = require('./dataRefreshService');
+const apiQuotaService = require('./apiQuotaService');
+const splitAdjustmentService = require('./splitAdjustmentService');
+const splitReconciliationService = require('./splitReconciliationService');
+const tradingCalendarService = require('./tradingCalendarService');
 
 class StartupRefreshService {
   constructor() {
@@ -8,15 +12,17 @@ class StartupRefreshService {
   }
 
   /**
-   * Check if a stock needs data refresh today
+   * Check if a newer daily bar can exist than the latest one stored. Uses the
+   * exchange calendar, so weekends, holidays and sessions still in progress
+   * do not trigger a refresh.
    * @param {string} symbol - Stock symbol
    * @returns {Promise<boolean>}
    */
   async needsDataRefresh(symbol) {
     return new Promise((resolve, reject) => {
       const sql = `
-        SELECT last_data_refresh 
-        FROM tracked_stocks 
+        SELECT MAX(date) as latest_date 
+        FROM historical_stock_data 
         WHERE symbol = ?
       `;
       
@@ -25,9 +31,7 @@ class StartupRefreshService {
           console.error('❌ Error checking data refresh status:', err.message);
           reject(err);
         } else {
-          const today = new Date().toISOString().split('T')[0];
-          const needsRefresh = !row?.last_data_refresh || row.last_data_refresh < today;
-          resolve(needsRefresh);
+          resolve(tradingCalendarService.hasNewBarsSince(row?.latest_date || null));
         }
       });
     });
@@ -110,7 +114,7 @@ class StartupRefreshService {
   }
 
   /**
-   * Fetch and store split data from Alpha Vantage
+   * Fetch and store split data from the symbol's market data provider
    * @param {string} symbol - Stock symbol
    * @returns {Promise<Object>}
    */
@@ -118,33 +122,18 @@ class StartupRefreshService {
     try {
       console.log(`🔍 Fetching split data for ${symbol}...`);
       
-      const url = `https://www.alphavantage.co/query?function=SPLITS&symbol=${symbol}&apikey=${process.env.ALPHA_VANTAGE_API_KEY}`;
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data['Error Message']) {
-        throw new Error(`Alpha Vantage API Error: ${data['Error Message']}`);
-      }
-
-      if (data['Note']) {
-        throw new Error(`Alpha Vantage API Rate Limit: ${data['Note']}`);
-      }
-
-      const splits = data.data || [];
+      const splits = await marketDataService.fetchSplits(symbol);
       let inserted = 0;
       let skipped = 0;
 
       for (const split of splits) {
-        const splitRatio = parseFloat(split.split_factor);
-        const description = `${split.split_factor} stock split`;
-
         await new Promise((resolve, reject) => {
           const sql = `
             INSERT OR IGNORE INTO stock_splits (symbol, split_date, split_ratio, description)
             VALUES (?, ?, ?, ?)
           `;
           
-          db.run(sql, [symbol.toUpperCase(), split.effective_date, splitRatio, description], function(err) {
+          db.run(sql, [symbol.toUpperCase(), split.date, split.ratio, split.description], function(err) {
             if (err) {
               console.error(`❌ Error storing split data:`, err.message);
               reject(err);
@@ -160,8 +149,14 @@ class StartupRefreshService {
         });
       }
 
+      let reconciliation = null;
+      if (inserted > 0) {
+        await splitAdjustmentService.bumpAdjustmentVersion(symbol);
+        reconciliation = await splitReconciliationService.reconcile(symbol);
+      }
+
       console.log(`✅ Split data for ${symbol}: ${inserted} new, ${skipped} existing`);
-      return { symbol, inserted, skipped, total: splits.length };
+      return { symbol, inserted, skipped, total: splits.length, reconciliationId: reconciliation?.auditId || null };
 
     } catch (error) {
       console.error(`❌ Error fetching splits for ${symbol}:`, error.message);
@@ -169,6 +164,30 @@ class StartupRefreshService {
     }
   }
 
+  /**
+   * Fetch the last 100 days of bars for a symbol and mark it refreshed
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>}
+   */
+  async refreshRecentData(symbol) {
+    // Fetch recent 100 days of data (compact mode)
+    const historicalData = await marketDataService.fetchRecentData(symbol);
+    await dataRefreshService.storeHistoricalData(historicalData);
+    await this.markDataRefreshed(symbol);
+    return { symbol, recordsProcessed: historicalData.length };
+  }
+
+  /**
+   * Fetch and store splits for a symbol and mark it checked
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<Object>}
+   */
+  async checkSplits(symbol) {
+    const splitResult = await this.fetchAndStoreSplits(symbol);
+    await this.markSplitChecked(symbol);
+    return splitResult;
+  }
+
   /**
    * Perform startup refresh for a single symbol
    * @param {string} symbol - Stock symbol
@@ -189,22 +208,20 @@ class StartupRefreshService {
       if (needsData) {
         console.log(`📊 Refreshing historical data for ${symbol}...`);
         try {
-          // Fetch recent 100 days of data (compact mode)
-          const historicalData = await alphaVantageService.fetchRecentData(symbol);
-          await dataRefreshService.storeHistoricalData(historicalData);
-          await this.markDataRefreshed(symbol);
+          const dataResult = await this.refreshRecentData(symbol);
           result.dataRefreshed = true;
-          result.recordsProcessed = historicalData.length;
+          result.recordsProcessed = dataResult.recordsProcessed;
           console.log(`✅ Data refresh completed for ${symbol}`);
         } catch (error) {
           console.error(`❌ Data refresh failed for ${symbol}:`, error.message);
           result.errors.push(`Data refresh: ${error.message}`);
+          if (apiQuotaService.isQuotaError(error)) {
+            result.deferred = true;
+            return result;
+          }
         }
-
-        // Rate limiting between API calls
-        await new Promise(resolve => setTimeout(resolve, 2500));
       } else {
-        console.log(`✓ ${symbol} data already refreshed today, skipping`);
+        console.log(`✓ ${symbol} data is current through the last completed session, skipping`);
       }
 
       // Check if split check is needed
@@ -213,8 +230,7 @@ class StartupRefreshService {
       if (needsSplits) {
         console.log(`🔍 Checking splits for ${symbol}...`);
         try {
-          const splitResult = await this.fetchAndStoreSplits(symbol);
-          await this.markSplitChecked(symbol);
+          const splitResult = await this.checkSplits(symbol);
           result.splitsChecked = true;
           result.splitsFound = splitResult.total;
           result.newSplits = splitResult.inserted;
@@ -222,11 +238,9 @@ class StartupRefreshService {
         } catch (error) {
           console.error(`❌ Split check failed for ${symbol}:`, error.message);
           result.errors.push(`Split check: ${error.message}`);
-        }
-
-        // Rate limiting between API calls
-        if (needsData) {
-          await new Promise(resolve => setTimeout(resolve, 2500));
+          if (apiQuotaService.isQuotaError(error)) {
+            result.deferred = true;
+          }
         }
       } else {
         console.log(`✓ ${symbol} splits already checked today, skipping`);
@@ -260,16 +274,30 @@ class StartupRefreshService {
 
       const results = [];
       let apiCallsUsed = 0;
+      let deferredCount = 0;
+
+      // Stalest symbols go first so a short budget is spent where it matters most
+      const orderedSymbols = await dataRefreshService.prioritizeByStaleness(trackedStocks.map(s => s.symbol));
+      const namesBySymbol = Object.fromEntries(trackedStocks.map(s => [s.symbol, s.name]));
+
+      // Process each stock sequentially; apiQuotaService paces and caps the API calls
+      for (const symbol of orderedSymbols) {
+        if (deferredCount > 0) {
+          console.log(`⏸️  ${symbol} deferred, API budget exhausted`);
+          results.push({ symbol, dataRefreshed: false, splitsChecked: false, deferred: true, errors: [] });
+          deferredCount++;
+          continue;
+        }
 
-      // Process each stock sequentially to respect API rate limits
-      for (const stock of trackedStocks) {
         console.log(`\n${'='.repeat(60)}`);
-        console.log(`Processing ${stock.symbol} (${stock.name})`);
+        console.log(`Processing ${symbol} (${namesBySymbol[symbol]})`);
         console.log('='.repeat(60));
 
-        const result = await this.refreshSymbol(stock.symbol);
+        const result = await this.refreshSymbol(symbol);
         results.push(result);
 
+        if (result.deferred) deferredCount++;
+
         // Count API calls made
         if (result.dataRefreshed) apiCallsUsed++;
         if (result.splitsChecked) apiCallsUsed++;
@@ -288,6 +316,15 @@ class StartupRefreshService {
       console.log(`📊 Data refreshed: ${dataRefreshed}`);
       console.log(`🔍 Splits checked: ${splitsChecked}`);
       console.log(`📡 API calls used: ${apiCallsUsed}`);
+
+      const budget = await apiQuotaService.getBudget();
+      Object.values(budget).forEach(b => {
+        console.log(`📒 ${b.provider} budget remaining today: ${b.daily.remaining}/${b.daily.limit}`);
+      });
+
+      if (deferredCount > 0) {
+        console.log(`⏸️  Deferred (budget exhausted): ${deferredCount}`);
+      }
       
       if (errors.length > 0) {
         console.log(`⚠️  Errors encountered: ${errors.length}`);
@@ -304,6 +341,8 @@ class StartupRefreshService {
         dataRefreshed,
         splitsChecked,
         apiCallsUsed,
+        deferred: deferredCount,
+        budget,
         results,
         errors: errors.length
       };
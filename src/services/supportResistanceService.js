@@ -0,0 +1,248 @@
+const { getHistoricalData } = require('./dataRefreshService');
+
+const PIVOT_PERIODS = ['day', 'week', 'month'];
+
+// A touch loses half its weight in the strength score every this many bars
+const RECENCY_HALF_LIFE_BARS = 60;
+
+// Monday of the bar's week, or its month, as a grouping key
+function periodKey(date, period) {
+  if (period === 'month') return date.slice(0, 7);
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Bars whose high (or low) is the extreme of the `window` bars on each side.
+ * Ties go to the earlier bar, so a flat top is one swing point.
+ */
+function findSwings(rows, window) {
+  const highs = [];
+  const lows = [];
+
+  for (let i = window; i < rows.length - window; i++) {
+    const before = rows.slice(i - window, i);
+    const after = rows.slice(i + 1, i + window + 1);
+    const bar = rows[i];
+
+    if (before.every(other => other.high <= bar.high) && after.every(other => other.high < bar.high)) {
+      highs.push({ index: i, date: bar.date, price: bar.high, kind: 'high' });
+    }
+    if (before.every(other => other.low >= bar.low) && after.every(other => other.low > bar.low)) {
+      lows.push({ index: i, date: bar.date, price: bar.low, kind: 'low' });
+    }
+  }
+
+  return { highs, lows };
+}
+
+/**
+ * Group swing points whose prices are within `tolerance` (a fraction) of the
+ * running cluster average
+ */
+function clusterSwings(swings, tolerance) {
+  const clusters = [];
+  for (const swing of [...swings].sort((a, b) => a.price - b.price)) {
+    const current = clusters[clusters.length - 1];
+    if (current && swing.price <= current.average * (1 + tolerance)) {
+      current.touches.push(swing);
+      current.average = current.touches.reduce((sum, touch) => sum + touch.price, 0) / current.touches.length;
+    } else {
+      clusters.push({ touches: [swing], average: swing.price });
+    }
+  }
+  return clusters;
+}
+
+function classicPivots({ high, low, close }) {
+  const pivot = (high + low + close) / 3;
+  return {
+    pivot,
+    r1: 2 * pivot - low,
+    r2: pivot + (high - low),
+    r3: high + 2 * (pivot - low),
+    s1: 2 * pivot - high,
+    s2: pivot - (high - low),
+    s3: low - 2 * (high - pivot)
+  };
+}
+
+function fibonacciPivots({ high, low, close }) {
+  const pivot = (high + low + close) / 3;
+  const span = high - low;
+  return {
+    pivot,
+    r1: pivot + 0.382 * span,
+    r2: pivot + 0.618 * span,
+    r3: pivot + span,
+    s1: pivot - 0.382 * span,
+    s2: pivot - 0.618 * span,
+    s3: pivot - span
+  };
+}
+
+function camarillaPivots({ high, low, close }) {
+  const span = (high - low) * 1.1;
+  return {
+    pivot: (high + low + close) / 3,
+    r1: close + span / 12,
+    r2: close + span / 6,
+    r3: close + span / 4,
+    r4: close + span / 2,
+    s1: close - span / 12,
+    s2: close - span / 6,
+    s3: close - span / 4,
+    s4: close - span / 2
+  };
+}
+
+/**
+ * Support and Resistance Service
+ * Finds swing highs and lows, clusters them into price zones that are scored by
+ * how often and how recently price turned there, and computes classic, Fibonacci
+ * and Camarilla pivot points from the last complete day, week or month.
+ */
+class SupportResistanceService {
+  constructor() {
+    this.pivotPeriods = PIVOT_PERIODS;
+    console.log('📏 Support/Resistance Service initialized');
+  }
+
+  /**
+   * Pivot points from the last complete period: the last bar for 'day' (levels for
+   * the next session), otherwise the last full week or month before the latest bar's
+   * @param {Array} rows - Bars oldest first
+   * @param {string} period - 'day', 'week' or 'month'
+   * @returns {Object|null} { period, basedOn: { start, end, high, low, close }, classic, fibonacci, camarilla }
+   */
+  getPivotPoints(rows, period = 'day') {
+    let bars = rows.slice(-1);
+    if (period !== 'day') {
+      const current = periodKey(rows[rows.length - 1].date, period);
+      const completed = rows.filter(row => periodKey(row.date, period) < current);
+      if (completed.length === 0) return null;
+      const last = periodKey(completed[completed.length - 1].date, period);
+      bars = completed.filter(row => periodKey(row.date, period) === last);
+    }
+
+    const basedOn = {
+      start: bars[0].date,
+      end: bars[bars.length - 1].date,
+      high: Math.max(...bars.map(bar => bar.high)),
+      low: Math.min(...bars.map(bar => bar.low)),
+      close: bars[bars.length - 1].close
+    };
+
+    return {
+      period,
+      basedOn,
+      classic: classicPivots(basedOn),
+      fibonacci: fibonacciPivots(basedOn),
+      camarilla: camarillaPivots(basedOn)
+    };
+  }
+
+  /**
+   * Find support and resistance zones and pivot points for a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {Object} options - { window: bars on each side of a swing point (default 5),
+   *   tolerance: zone width as a fraction of price (default 0.015), minTouches (default 2),
+   *   pivotPeriod: 'day', 'week' or 'month', startDate, endDate, limit, adjustment }
+   * @returns {Promise<Object>} { success, symbol, dataCount, dateRange, lastClose, swings, zones,
+   *   nearestSupport, nearestResistance, pivots }
+   */
+  async getLevels(symbol, options = {}) {
+    const window = options.window || 5;
+    const tolerance = options.tolerance || 0.015;
+    const minTouches = options.minTouches || 2;
+
+    try {
+      const rows = await getHistoricalData(
+        symbol,
+        options.startDate,
+        options.endDate,
+        options.limit,
+        options.adjustment,
+        'asc'
+      );
+
+      if (rows.length < 2 * window + 1) {
+        throw new Error(`Not enough historical data for ${symbol}: ${rows.length} bars, at least ${2 * window + 1} needed`);
+      }
+
+      const lastIndex = rows.length - 1;
+      const lastClose = rows[lastIndex].close;
+      const swings = findSwings(rows, window);
+
+      const zones = clusterSwings([...swings.highs, ...swings.lows], tolerance)
+        .filter(cluster => cluster.touches.length >= minTouches)
+        .map(cluster => {
+          const prices = cluster.touches.map(touch => touch.price);
+          const highTouches = cluster.touches.filter(touch => touch.kind === 'high').length;
+          const lowTouches = cluster.touches.length - highTouches;
+          const dates = cluster.touches.map(touch => touch.date).sort();
+
+          // Recent touches count for more; a level that has been both a top and a bottom for more still
+          const recency = cluster.touches.reduce(
+            (sum, touch) => sum + Math.pow(0.5, (lastIndex - touch.index) / RECENCY_HALF_LIFE_BARS), 0);
+          const roleReversal = highTouches > 0 && lowTouches > 0;
+
+          return {
+            type: cluster.average <= lastClose ? 'support' : 'resistance',
+            level: cluster.average,
+            low: Math.min(...prices) * (1 - tolerance / 2),
+            high: Math.max(...prices) * (1 + tolerance / 2),
+            touches: cluster.touches.length,
+            swingHighs: highTouches,
+            swingLows: lowTouches,
+            roleReversal,
+            firstTouch: dates[0],
+            lastTouch: dates[dates.length - 1],
+            score: recency * (roleReversal ? 1.5 : 1)
+          };
+        });
+
+      // Strength is the score relative to the strongest zone, 0-100
+      const topScore = Math.max(0, ...zones.map(zone => zone.score));
+      for (const zone of zones) {
+        zone.strength = topScore === 0 ? 0 : Math.round(zone.score / topScore * 100);
+        delete zone.score;
+      }
+      zones.sort((a, b) => b.level - a.level);
+
+      const supports = zones.filter(zone => zone.type === 'support');
+      const resistances = zones.filter(zone => zone.type === 'resistance');
+
+      return {
+        success: true,
+        symbol,
+        dataCount: rows.length,
+        dateRange: {
+          start: rows[0].date,
+          end: rows[lastIndex].date
+        },
+        adjustment: options.adjustment || 'split',
+        lastClose,
+        settings: { window, tolerance, minTouches },
+        swings: {
+          highs: swings.highs.map(({ date, price }) => ({ date, price })),
+          lows: swings.lows.map(({ date, price }) => ({ date, price }))
+        },
+        zones,
+        nearestSupport: supports.length > 0 ? supports[0] : null,
+        nearestResistance: resistances.length > 0 ? resistances[resistances.length - 1] : null,
+        pivots: this.getPivotPoints(rows, options.pivotPeriod || 'day')
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        symbol
+      };
+    }
+  }
+}
+
+module.exports = new SupportResistanceService();
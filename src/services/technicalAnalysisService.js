@@ -0,0 +1,280 @@
+/**
+ * Technical Analysis Service
+ * Indicator functions registered on every compiled JSONata expression, so
+ * queries can write `$sma(data.close, 20)[0]` instead of rebuilding windows
+ * with $map index tricks.
+ *
+ * Series follow the order of `data`: newest first. Array results line up
+ * index-for-index with the input, with null where there is not yet enough
+ * history. Returns and drawdowns are fractions (0.05 = 5%).
+ */
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function toNumbers(value, name) {
+  return toArray(value).map(item => {
+    if (item === null || item === undefined) return null;
+    const number = Number(item);
+    if (Number.isNaN(number)) {
+      throw new Error(`$${name} expects an array of numbers, e.g. $${name}(data.close)`);
+    }
+    return number;
+  });
+}
+
+function toPeriod(value, fallback, name) {
+  const period = value === undefined ? fallback : Number(value);
+  if (!Number.isInteger(period) || period < 1) {
+    throw new Error(`$${name} period must be a positive whole number`);
+  }
+  return period;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values, sample = false) {
+  if (values.length < (sample ? 2 : 1)) return null;
+  const average = mean(values);
+  const squares = values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0);
+  return Math.sqrt(squares / (values.length - (sample ? 1 : 0)));
+}
+
+// Indicators are computed oldest first; order 'desc' series are flipped on the way in and out
+function chronological(values, order) {
+  return order === 'desc' ? [...values].reverse() : values;
+}
+
+function smaSeries(values, period) {
+  return values.map((_, i) => {
+    if (i < period - 1) return null;
+    const window = values.slice(i - period + 1, i + 1);
+    return window.includes(null) ? null : mean(window);
+  });
+}
+
+// Seeded with the SMA of the first full window, like most charting packages
+function emaSeries(values, period) {
+  const k = 2 / (period + 1);
+  const result = new Array(values.length).fill(null);
+  let previous = null;
+
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === null) {
+      previous = null;
+      continue;
+    }
+    if (previous === null) {
+      if (i < period - 1) continue;
+      const window = values.slice(i - period + 1, i + 1);
+      if (window.includes(null)) continue;
+      previous = mean(window);
+    } else {
+      previous = values[i] * k + previous * (1 - k);
+    }
+    result[i] = previous;
+  }
+
+  return result;
+}
+
+class TechnicalAnalysisService {
+  constructor() {
+    this.functionNames = ['sma', 'ema', 'rsi', 'macd', 'bollinger', 'atr', 'returns', 'drawdown', 'stddev', 'rolling'];
+    console.log('📐 Technical Analysis Service initialized');
+  }
+
+  /**
+   * Register every indicator function on a compiled expression
+   * @param {Object} expression - Compiled JSONata expression
+   * @param {Object} options - { order: 'desc' (default, newest first) or 'asc' }
+   * @returns {Object} The same expression
+   */
+  register(expression, options = {}) {
+    const order = options.order || 'desc';
+    for (const name of this.functionNames) {
+      const implementation = this[name];
+      expression.registerFunction(name, (...args) => implementation.call(this, order, ...args));
+    }
+    return expression;
+  }
+
+  /**
+   * $sma(values, period) - Simple moving average
+   */
+  sma(order, values, period) {
+    const series = chronological(toNumbers(values, 'sma'), order);
+    return chronological(smaSeries(series, toPeriod(period, 20, 'sma')), order);
+  }
+
+  /**
+   * $ema(values, period) - Exponential moving average
+   */
+  ema(order, values, period) {
+    const series = chronological(toNumbers(values, 'ema'), order);
+    return chronological(emaSeries(series, toPeriod(period, 20, 'ema')), order);
+  }
+
+  /**
+   * $rsi(values, period) - Relative Strength Index (0-100) with Wilder smoothing, period defaults to 14
+   */
+  rsi(order, values, period) {
+    const series = chronological(toNumbers(values, 'rsi'), order);
+    const length = toPeriod(period, 14, 'rsi');
+    const result = new Array(series.length).fill(null);
+
+    let averageGain = 0;
+    let averageLoss = 0;
+    for (let i = 1; i < series.length; i++) {
+      const change = series[i] - series[i - 1];
+      const gain = Math.max(change, 0);
+      const loss = Math.max(-change, 0);
+
+      if (i <= length) {
+        averageGain += gain / length;
+        averageLoss += loss / length;
+        if (i < length) continue;
+      } else {
+        averageGain = (averageGain * (length - 1) + gain) / length;
+        averageLoss = (averageLoss * (length - 1) + loss) / length;
+      }
+      result[i] = averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss);
+    }
+
+    return chronological(result, order);
+  }
+
+  /**
+   * $macd(values, fast, slow, signal) - MACD line, signal line and histogram (defaults 12, 26, 9)
+   */
+  macd(order, values, fast, slow, signal) {
+    const series = chronological(toNumbers(values, 'macd'), order);
+    const fastEma = emaSeries(series, toPeriod(fast, 12, 'macd'));
+    const slowEma = emaSeries(series, toPeriod(slow, 26, 'macd'));
+    const line = series.map((_, i) => fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null);
+    const signalLine = emaSeries(line, toPeriod(signal, 9, 'macd'));
+
+    const result = line.map((value, i) => value === null ? null : {
+      macd: value,
+      signal: signalLine[i],
+      histogram: signalLine[i] === null ? null : value - signalLine[i]
+    });
+    return chronological(result, order);
+  }
+
+  /**
+   * $bollinger(values, period, multiplier) - Bollinger Bands (defaults 20, 2)
+   */
+  bollinger(order, values, period, multiplier) {
+    const series = chronological(toNumbers(values, 'bollinger'), order);
+    const length = toPeriod(period, 20, 'bollinger');
+    const k = multiplier === undefined ? 2 : Number(multiplier);
+
+    const result = series.map((value, i) => {
+      if (i < length - 1) return null;
+      const window = series.slice(i - length + 1, i + 1);
+      if (window.includes(null)) return null;
+
+      const middle = mean(window);
+      const deviation = standardDeviation(window);
+      const upper = middle + k * deviation;
+      const lower = middle - k * deviation;
+      return {
+        middle,
+        upper,
+        lower,
+        percentB: upper === lower ? null : (value - lower) / (upper - lower),
+        bandwidth: middle === 0 ? null : (upper - lower) / middle
+      };
+    });
+    return chronological(result, order);
+  }
+
+  /**
+   * $atr(rows, period) - Average True Range from rows with high, low and close (period defaults to 14)
+   */
+  atr(order, rows, period) {
+    const bars = chronological(toArray(rows), order);
+    const length = toPeriod(period, 14, 'atr');
+    if (bars.some(bar => !bar || typeof bar !== 'object' || bar.high === undefined)) {
+      throw new Error('$atr expects rows with high, low and close, e.g. $atr(data, 14)');
+    }
+
+    const trueRanges = bars.map((bar, i) => i === 0
+      ? bar.high - bar.low
+      : Math.max(bar.high - bar.low, Math.abs(bar.high - bars[i - 1].close), Math.abs(bar.low - bars[i - 1].close)));
+
+    // Wilder smoothing, seeded with the average of the first full window
+    const result = new Array(bars.length).fill(null);
+    let previous = null;
+    for (let i = length - 1; i < bars.length; i++) {
+      previous = previous === null
+        ? mean(trueRanges.slice(0, length))
+        : (previous * (length - 1) + trueRanges[i]) / length;
+      result[i] = previous;
+    }
+
+    return chronological(result, order);
+  }
+
+  /**
+   * $returns(values, type) - Period-over-period returns, 'simple' (default) or 'log'
+   */
+  returns(order, values, type) {
+    const series = chronological(toNumbers(values, 'returns'), order);
+    const log = type === 'log';
+
+    const result = series.map((value, i) => {
+      const previous = series[i - 1];
+      if (i === 0 || value === null || !previous) return null;
+      return log ? Math.log(value / previous) : value / previous - 1;
+    });
+    return chronological(result, order);
+  }
+
+  /**
+   * $drawdown(values) - Decline from the running peak at each point (0 or negative)
+   */
+  drawdown(order, values) {
+    const series = chronological(toNumbers(values, 'drawdown'), order);
+
+    let peak = null;
+    const result = series.map(value => {
+      if (value === null) return null;
+      peak = peak === null ? value : Math.max(peak, value);
+      return peak === 0 ? 0 : value / peak - 1;
+    });
+    return chronological(result, order);
+  }
+
+  /**
+   * $stddev(values, sample) - Standard deviation, population unless sample is true; nulls are skipped
+   */
+  stddev(order, values, sample) {
+    return standardDeviation(toNumbers(values, 'stddev').filter(value => value !== null), sample === true);
+  }
+
+  /**
+   * $rolling(values, period, function) - Apply a function to each trailing window.
+   * Windows are in the same order as the series, e.g. $rolling(data.close, 5, $max)
+   */
+  async rolling(order, values, period, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('$rolling expects a function, e.g. $rolling(data.close, 5, $max)');
+    }
+    const series = chronological(toArray(values), order);
+    const length = toPeriod(period, 20, 'rolling');
+
+    const result = new Array(series.length).fill(null);
+    for (let i = length - 1; i < series.length; i++) {
+      result[i] = await fn(chronological(series.slice(i - length + 1, i + 1), order));
+    }
+    return chronological(result, order);
+  }
+}
+
+module.exports = new TechnicalAnalysisService();
@@ -0,0 +1,293 @@
+const EXCHANGE_TIMEZONE = 'America/New_York';
+const REGULAR_OPEN = '09:30';
+const REGULAR_CLOSE = '16:00';
+const EARLY_CLOSE = '13:00';
+
+// One-off NYSE/NASDAQ closures that no holiday rule produces
+const SPECIAL_CLOSURES = {
+  '2001-09-11': 'September 11 attacks',
+  '2001-09-12': 'September 11 attacks',
+  '2001-09-13': 'September 11 attacks',
+  '2001-09-14': 'September 11 attacks',
+  '2004-06-11': 'National Day of Mourning (Ronald Reagan)',
+  '2007-01-02': 'National Day of Mourning (Gerald Ford)',
+  '2012-10-29': 'Hurricane Sandy',
+  '2012-10-30': 'Hurricane Sandy',
+  '2018-12-05': 'National Day of Mourning (George H.W. Bush)',
+  '2025-01-09': 'National Day of Mourning (Jimmy Carter)'
+};
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function parseDate(dateString) {
+  return new Date(`${String(dateString).slice(0, 10)}T00:00:00Z`);
+}
+
+function addDays(dateString, days) {
+  const date = parseDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+function makeDate(year, month, day) {
+  return toDateString(new Date(Date.UTC(year, month - 1, day)));
+}
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return makeDate(year, month, 1 + offset + (n - 1) * 7);
+  }
+
+  const last = new Date(Date.UTC(year, month, 0));
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return makeDate(year, month, last.getUTCDate() - offset);
+}
+
+// Saturday holidays move to Friday, Sunday holidays to Monday
+function observed(dateString) {
+  const day = parseDate(dateString).getUTCDay();
+  if (day === 6) return addDays(dateString, -1);
+  if (day === 0) return addDays(dateString, 1);
+  return dateString;
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return makeDate(year, month, day);
+}
+
+/**
+ * Trading Calendar Service
+ * NYSE/NASDAQ holidays, early closes and trading-day arithmetic. Dates are
+ * YYYY-MM-DD strings in exchange local time (America/New_York).
+ */
+class TradingCalendarService {
+  constructor() {
+    this.timeZone = EXCHANGE_TIMEZONE;
+    this.holidayCache = {};
+    this.earlyCloseCache = {};
+    console.log(`📅 Trading Calendar Service initialized (NYSE/NASDAQ, ${this.timeZone})`);
+  }
+
+  /**
+   * Get full-day market holidays for a year
+   * @param {number} year - Calendar year
+   * @returns {Object} Map of date to holiday name
+   */
+  getHolidays(year) {
+    if (this.holidayCache[year]) {
+      return this.holidayCache[year];
+    }
+
+    const holidays = {};
+    const add = (date, name) => {
+      // Observed dates that fall into another year (e.g. Jan 1 on a Saturday) are not closures
+      if (date.startsWith(String(year))) holidays[date] = name;
+    };
+
+    // New Year's Day on a Saturday is not observed on the prior Friday
+    const newYear = makeDate(year, 1, 1);
+    if (parseDate(newYear).getUTCDay() !== 6) add(observed(newYear), "New Year's Day");
+
+    if (year >= 1998) add(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+    add(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+    add(addDays(easterSunday(year), -2), 'Good Friday');
+    add(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+    if (year >= 2022) add(observed(makeDate(year, 6, 19)), 'Juneteenth National Independence Day');
+    add(observed(makeDate(year, 7, 4)), 'Independence Day');
+    add(nthWeekday(year, 9, 1, 1), 'Labor Day');
+    add(nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+    add(observed(makeDate(year, 12, 25)), 'Christmas Day');
+
+    for (const [date, name] of Object.entries(SPECIAL_CLOSURES)) {
+      add(date, name);
+    }
+
+    this.holidayCache[year] = holidays;
+    return holidays;
+  }
+
+  /**
+   * Get early-close (13:00) sessions for a year
+   * @param {number} year - Calendar year
+   * @returns {Object} Map of date to reason
+   */
+  getEarlyCloses(year) {
+    if (this.earlyCloseCache[year]) {
+      return this.earlyCloseCache[year];
+    }
+
+    const earlyCloses = {};
+    const addIfMonToThu = (date, reason) => {
+      const day = parseDate(date).getUTCDay();
+      if (day >= 1 && day <= 4) earlyCloses[date] = reason;
+    };
+
+    addIfMonToThu(makeDate(year, 7, 3), 'Day before Independence Day');
+    earlyCloses[addDays(nthWeekday(year, 11, 4, 4), 1)] = 'Day after Thanksgiving';
+    addIfMonToThu(makeDate(year, 12, 24), 'Christmas Eve');
+
+    this.earlyCloseCache[year] = earlyCloses;
+    return earlyCloses;
+  }
+
+  /**
+   * Get the holiday name for a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string|null} Holiday name, or null if not a holiday
+   */
+  getHoliday(date) {
+    const year = parseInt(String(date).slice(0, 4));
+    return this.getHolidays(year)[String(date).slice(0, 10)] || null;
+  }
+
+  /**
+   * Check if the market is open on a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  isTradingDay(date) {
+    const day = parseDate(date).getUTCDay();
+    return day !== 0 && day !== 6 && !this.getHoliday(date);
+  }
+
+  /**
+   * Check if a date is an early-close session
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  isEarlyClose(date) {
+    const year = parseInt(String(date).slice(0, 4));
+    return this.isTradingDay(date) && Boolean(this.getEarlyCloses(year)[String(date).slice(0, 10)]);
+  }
+
+  /**
+   * Describe the trading session on a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Object} { date, isTradingDay, holiday, earlyClose, open, close }
+   */
+  getSession(date) {
+    const isTradingDay = this.isTradingDay(date);
+    const earlyClose = this.isEarlyClose(date);
+
+    return {
+      date,
+      isTradingDay,
+      holiday: this.getHoliday(date),
+      earlyClose,
+      open: isTradingDay ? REGULAR_OPEN : null,
+      close: isTradingDay ? (earlyClose ? EARLY_CLOSE : REGULAR_CLOSE) : null
+    };
+  }
+
+  /**
+   * Get the trading day before a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} Previous trading day
+   */
+  previousTradingDay(date) {
+    let candidate = addDays(date, -1);
+    while (!this.isTradingDay(candidate)) {
+      candidate = addDays(candidate, -1);
+    }
+    return candidate;
+  }
+
+  /**
+   * Get the trading day after a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} Next trading day
+   */
+  nextTradingDay(date) {
+    let candidate = addDays(date, 1);
+    while (!this.isTradingDay(candidate)) {
+      candidate = addDays(candidate, 1);
+    }
+    return candidate;
+  }
+
+  /**
+   * List trading days in an inclusive date range
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array<string>} Trading days, oldest first
+   */
+  getTradingDays(startDate, endDate) {
+    const days = [];
+    for (let date = String(startDate).slice(0, 10); date <= endDate; date = addDays(date, 1)) {
+      if (this.isTradingDay(date)) days.push(date);
+    }
+    return days;
+  }
+
+  /**
+   * Get the current date and time at the exchange
+   * @param {Date} now - Reference time
+   * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+   */
+  getExchangeNow(now = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(now).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`
+    };
+  }
+
+  /**
+   * Get the most recent trading day whose session has closed
+   * @param {Date} now - Reference time
+   * @returns {string} Date (YYYY-MM-DD) of the latest bar that can exist
+   */
+  lastCompletedTradingDay(now = new Date()) {
+    const { date, time } = this.getExchangeNow(now);
+    const session = this.getSession(date);
+
+    if (session.isTradingDay && time >= session.close) {
+      return date;
+    }
+    return this.previousTradingDay(date);
+  }
+
+  /**
+   * Check if a newer daily bar can exist than the latest one stored
+   * @param {string|null} latestBarDate - Latest stored bar date (YYYY-MM-DD)
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  hasNewBarsSince(latestBarDate, now = new Date()) {
+    return !latestBarDate || latestBarDate < this.lastCompletedTradingDay(now);
+  }
+}
+
+module.exports = new TradingCalendarService();
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service opens the database on require; keep its startup logs out of the test output
+process.env.DATABASE_PATH = ':memory:';
+test.mock.method(console, 'log', () => {});
+const splitAdjustmentService = require('../src/services/splitAdjustmentService');
+
+// 2-for-1 split on 2024-01-05; $1.00 dividend going ex on 2024-01-04 after a $100 close
+splitAdjustmentService.getStockSplits = async () => [
+  { symbol: 'TEST', split_date: '2024-01-05', split_ratio: 2, description: '2:1 stock split' }
+];
+splitAdjustmentService.getDividendAdjustments = async () => [
+  { ex_date: '2024-01-04', amount: 1, previous_close: 100, previous_basis: 'raw' }
+];
+splitAdjustmentService.getSpinoffAdjustments = async () => [];
+
+function bar(date, close, volume, priceBasis = 'raw') {
+  return { symbol: 'TEST', date, open: close, high: close, low: close, close, adjusted_close: close, volume, price_basis: priceBasis };
+}
+
+const rawBars = [
+  bar('2024-01-05', 49.5, 2000),
+  bar('2024-01-04', 99, 1000),
+  bar('2024-01-03', 100, 1000)
+];
+
+test('raw mode returns bars as traded', async () => {
+  const [after, exDate, before] = await splitAdjustmentService.adjustStockRecords(rawBars, 'raw');
+
+  assert.equal(before.close, 100);
+  assert.equal(before.volume, 1000);
+  assert.equal(before.adjustment_factor, 1);
+  assert.equal(before.split_adjusted, false);
+  assert.equal(exDate.close, 99);
+  assert.equal(after.close, 49.5);
+  assert.equal('price_basis' in before, false);
+});
+
+test('split mode divides prices and multiplies volume by later splits', async () => {
+  const [after, exDate, before] = await splitAdjustmentService.adjustStockRecords(rawBars, 'split');
+
+  assert.equal(before.close, 50);
+  assert.equal(before.volume, 2000);
+  assert.equal(before.adjustment_factor, 2);
+  assert.equal(before.split_adjusted, true);
+  assert.equal(exDate.close, 49.5);
+  assert.equal(after.close, 49.5);
+  assert.equal(after.volume, 2000);
+  assert.equal(after.adjustment_factor, 1);
+});
+
+test('total mode also scales prices before the ex-date by 1 - dividend / previous close', async () => {
+  const [after, exDate, before] = await splitAdjustmentService.adjustStockRecords(rawBars, 'total');
+
+  // 100 / 2 * 0.99
+  assert.equal(before.close, 49.5);
+  assert.equal(before.adjustment_factor, 2.020202);
+  // Dividends do not change the share count
+  assert.equal(before.volume, 2000);
+  assert.equal(exDate.close, 49.5);
+  assert.equal(exDate.volume, 2000);
+  assert.equal(after.close, 49.5);
+});
+
+test('adjusted_close is the split- and dividend-adjusted close in every mode', async () => {
+  for (const mode of ['raw', 'split', 'total']) {
+    const records = await splitAdjustmentService.adjustStockRecords(rawBars, mode);
+    assert.deepEqual(records.map(record => record.adjusted_close), [49.5, 49.5, 49.5], mode);
+  }
+});
+
+test('rows stored split-adjusted before raw storage are converted back first', async () => {
+  const legacyBars = [bar('2024-01-03', 50, 2000, null)];
+
+  const [raw] = await splitAdjustmentService.adjustStockRecords(legacyBars, 'raw');
+  assert.equal(raw.close, 100);
+  assert.equal(raw.volume, 1000);
+
+  const [split] = await splitAdjustmentService.adjustStockRecords(legacyBars, 'split');
+  assert.equal(split.close, 50);
+  assert.equal(split.volume, 2000);
+});
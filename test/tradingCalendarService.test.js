@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const tradingCalendarService = require('../src/services/tradingCalendarService');
+
+test('2024 holidays match the published NYSE calendar', () => {
+  assert.deepEqual(Object.keys(tradingCalendarService.getHolidays(2024)).sort(), [
+    '2024-01-01',
+    '2024-01-15',
+    '2024-02-19',
+    '2024-03-29',
+    '2024-05-27',
+    '2024-06-19',
+    '2024-07-04',
+    '2024-09-02',
+    '2024-11-28',
+    '2024-12-25'
+  ]);
+  assert.equal(tradingCalendarService.getHoliday('2024-03-29'), 'Good Friday');
+});
+
+test('weekend holidays move to the observed weekday', () => {
+  assert.equal(tradingCalendarService.getHoliday('2021-07-05'), 'Independence Day');
+  assert.equal(tradingCalendarService.getHoliday('2021-12-24'), 'Christmas Day');
+  assert.equal(tradingCalendarService.getHoliday('2022-06-20'), 'Juneteenth National Independence Day');
+  assert.equal(tradingCalendarService.getHoliday('2022-12-26'), 'Christmas Day');
+  assert.equal(tradingCalendarService.getHoliday('2026-07-03'), 'Independence Day');
+});
+
+test('New Year on a Saturday is not observed on the prior Friday', () => {
+  assert.equal(tradingCalendarService.isTradingDay('2021-12-31'), true);
+  assert.equal(tradingCalendarService.getHoliday('2022-01-01'), null);
+});
+
+test('Juneteenth is a holiday from 2022 only', () => {
+  assert.equal(tradingCalendarService.isTradingDay('2021-06-18'), true);
+  assert.equal(tradingCalendarService.isTradingDay('2023-06-19'), false);
+});
+
+test('special closures are holidays', () => {
+  assert.equal(tradingCalendarService.isTradingDay('2012-10-29'), false);
+  assert.equal(tradingCalendarService.isTradingDay('2025-01-09'), false);
+});
+
+test('early closes fall on the day before Independence Day, after Thanksgiving and on Christmas Eve', () => {
+  assert.deepEqual(Object.keys(tradingCalendarService.getEarlyCloses(2024)).sort(), [
+    '2024-07-03',
+    '2024-11-29',
+    '2024-12-24'
+  ]);
+  assert.equal(tradingCalendarService.getSession('2024-11-29').close, '13:00');
+  assert.equal(tradingCalendarService.getSession('2024-11-27').close, '16:00');
+});
+
+test('no early close when the eve is a Friday or a holiday itself', () => {
+  // July 3, 2026 is a Friday and the observed Independence Day
+  assert.equal(tradingCalendarService.isEarlyClose('2026-07-02'), false);
+  assert.equal(tradingCalendarService.isEarlyClose('2026-07-03'), false);
+  // Christmas 2021 was observed on Friday December 24
+  assert.equal(tradingCalendarService.isEarlyClose('2021-12-24'), false);
+});
+
+test('trading-day arithmetic skips weekends and holidays', () => {
+  assert.equal(tradingCalendarService.previousTradingDay('2024-04-01'), '2024-03-28');
+  assert.equal(tradingCalendarService.nextTradingDay('2024-11-27'), '2024-11-29');
+  assert.deepEqual(tradingCalendarService.getTradingDays('2024-12-23', '2024-12-27'), [
+    '2024-12-23',
+    '2024-12-24',
+    '2024-12-26',
+    '2024-12-27'
+  ]);
+});
+
+test('an early-close session counts as complete after 13:00 in New York', () => {
+  // 12:30 and 14:00 EST on the day after Thanksgiving 2024
+  assert.equal(tradingCalendarService.lastCompletedTradingDay(new Date('2024-11-29T17:30:00Z')), '2024-11-27');
+  assert.equal(tradingCalendarService.lastCompletedTradingDay(new Date('2024-11-29T19:00:00Z')), '2024-11-29');
+});